@@ -0,0 +1,103 @@
+/**
+ * PIVY Scanner Benchmark - Single-threaded vs worker pool
+ *
+ * Builds a synthetic set of announcements (a few of them paying the
+ * receiver, the rest to other receivers) and scans it on the main thread
+ * and on worker pools of increasing size. Checks that every run finds the
+ * same payments and prints the speedup.
+ *
+ * Announcements carry no view tag, so every one costs a full watch-only
+ * derivation - the worst case, as for announcements made by old clients.
+ *
+ * Run with: node stealth-address/benchmark-scan.js [announcements] [maxWorkers]
+ */
+
+import { availableParallelism } from 'os';
+
+import PivyStealthAptos from './pivyStealthHelpersAptos.js';
+import PivyScanner from './pivyScanner.js';
+import { MemoryAnnouncementSource } from './pivyAnnouncementSources.js';
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Configuration                                                   */
+/*──────────────────────────────────────────────────────────────────*/
+
+const CONFIG = {
+  PIVY_STEALTH: { packageId: '0xc0d6', moduleName: 'pivy_stealth' },
+  ANNOUNCEMENTS: Number(process.argv[2] ?? 2_000),
+  MAX_WORKERS: Number(process.argv[3] ?? availableParallelism()),
+  // One payment to the receiver in this many announcements
+  MATCH_EVERY: 100,
+  PAGE_SIZE: 500,
+};
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Benchmark                                                       */
+/*──────────────────────────────────────────────────────────────────*/
+
+(async () => {
+  console.log('⏱️  PIVY Scanner Benchmark');
+  console.log(`   Announcements: ${CONFIG.ANNOUNCEMENTS} | Page size: ${CONFIG.PAGE_SIZE}\n`);
+
+  const pivy = new PivyStealthAptos();
+  const receiver = pivy.generateMetaKeys();
+  const other = pivy.generateMetaKeys();
+  const hex = (bytes) => '0x' + Buffer.from(bytes).toString('hex');
+
+  console.log('🔧 Building announcements...');
+  const events = [];
+  for (let i = 0; i < CONFIG.ANNOUNCEMENTS; i++) {
+    const eph = pivy.generateEphemeralKey();
+    const meta = i % CONFIG.MATCH_EVERY === 0 ? receiver : other;
+    const stealth = await pivy.deriveStealthPub(meta.metaSpendPubB58, meta.metaViewPubB58, eph.privateKey);
+    events.push({
+      type: '0xc0d6::pivy_stealth::PaymentEvent<0x1::aptos_coin::AptosCoin>',
+      transaction_version: String(i + 1),
+      event_index: 0,
+      data: {
+        stealth_owner: stealth.stealthAptosAddress,
+        payer: '0x1',
+        amount: '100000000',
+        coin_type: '0x1::aptos_coin::AptosCoin',
+        label: '0x',
+        eph_pubkey: hex(pivy.getPubBytes(eph.account)),
+        payload: '0x',
+        note: '0x',
+        timestamp: String(i),
+      },
+    });
+  }
+
+  const scanWith = async (workers) => {
+    const source = new MemoryAnnouncementSource(CONFIG, events);
+    const scanner = new PivyScanner(null, CONFIG, {
+      metaViewPriv: receiver.metaView.privateKey.toUint8Array(),
+      metaSpendPub: receiver.metaSpendPubB58,
+      pageSize: CONFIG.PAGE_SIZE,
+      source,
+      workers,
+    });
+    try {
+      // Exclude worker start-up: every worker loads its modules on a first batch
+      if (workers) await scanner.matchAnnouncements(source.announcements.slice(0, workers * 4));
+      const started = performance.now();
+      const { payments } = await scanner.scan({ kinds: ['coin'] });
+      return { payments, ms: performance.now() - started };
+    } finally {
+      await scanner.close();
+    }
+  };
+
+  const baseline = await scanWith(undefined);
+  const fingerprint = (payments) => JSON.stringify(payments, (key, value) => (typeof value === 'bigint' ? String(value) : value));
+  console.log(`\n📊 Main thread : ${baseline.ms.toFixed(0)} ms (${baseline.payments.length} payments)`);
+
+  for (let workers = 1; workers <= CONFIG.MAX_WORKERS; workers *= 2) {
+    const run = await scanWith(workers);
+    const same = fingerprint(run.payments) === fingerprint(baseline.payments);
+    console.log(
+      `   ${String(workers).padStart(2)} worker(s): ${run.ms.toFixed(0)} ms ` +
+      `(${(baseline.ms / run.ms).toFixed(2)}x) results ${same ? '✅ identical' : '❌ DIFFER'}`
+    );
+  }
+})();
@@ -27,6 +27,8 @@ import {
   MoveVector,
 } from "@aptos-labs/ts-sdk";
 import PivyStealthAptos from "./pivyStealthHelpersAptos.js";
+import PIVYUniversalClient from "./pivyUniversalClient.js";
+import { formatUnits } from "./pivyAmounts.js";
 import "dotenv/config";
 
 /*──────────────────────────────────────────────────────────────────*/
@@ -36,6 +38,7 @@ import "dotenv/config";
 const CONFIG = {
   // USDC amount to transfer (in smallest unit - 6 decimals)
   USDC_AMOUNT: 1000000, // 1 USDC = 1,000,000 units
+  USDC_DECIMALS: 6,
 
   // Ethereum Sepolia Testnet
   ETH_SEPOLIA: {
@@ -270,7 +273,7 @@ const getAttestationFromIris = async (messageHash) => {
       .call();
     console.log(
       `   💰 Current USDC balance: ${balance} units (${
-        balance / 1000000n
+        formatUnits(balance, CONFIG.USDC_DECIMALS)
       } USDC)`
     );
 
@@ -412,7 +415,10 @@ const getAttestationFromIris = async (messageHash) => {
     const utf8 = new TextEncoder();
     const labelBytes = new Uint8Array(32);
     labelBytes.set(utf8.encode(CONFIG.DEMO.label).slice(0, 32));
-    const payloadBytes = utf8.encode("CCTP cross-chain stealth payment");
+    const payloadBytes = pivy.encodeAnnouncementPayload(
+      "CCTP cross-chain stealth payment",
+      stealthInfo.viewTag
+    );
 
     // Call PIVY announce_fa function for Fungible Asset (CCTP USDC)
     const announceTransaction = await aptosClient.transaction.build.simple({
@@ -471,7 +477,8 @@ const getAttestationFromIris = async (messageHash) => {
     const stealthKP = await pivy.deriveStealthKeypair(
       Buffer.from(metaSpendPriv).toString("hex"),
       Buffer.from(metaViewPriv).toString("hex"),
-      ephPubB58
+      ephPubB58,
+      { stealthAddress: stealthInfo.stealthAptosAddress }
     );
 
     console.log(`   🔑 Stealth keypair derived successfully`);
@@ -497,7 +504,7 @@ const getAttestationFromIris = async (messageHash) => {
       // For now, we assume the USDC was minted successfully from CCTP
       console.log(
         `   💰 Stealth address received: ${
-          CONFIG.USDC_AMOUNT / 1000000
+          formatUnits(CONFIG.USDC_AMOUNT, CONFIG.USDC_DECIMALS)
         } USDC from CCTP`
       );
     } catch (error) {
@@ -508,40 +515,17 @@ const getAttestationFromIris = async (messageHash) => {
     console.log("   🔄 Withdrawing USDC via PIVY smart contract (Sponsored Transaction)...");
     console.log("   💡 Using sponsored transaction - stealth address signs, receiver sponsor pays gas");
     
-    // 1. Build transaction with fee payer enabled
-    const withdrawTransaction = await aptosClient.transaction.build.simple({
-      sender: stealthInfo.stealthAptosAddress,
-      withFeePayer: true, // Enable sponsored transaction
-      data: {
-        function: `${CONFIG.PIVY_STEALTH.packageId}::${CONFIG.PIVY_STEALTH.moduleName}::${CONFIG.PIVY_STEALTH.fnWithdrawFa}`,
-        functionArguments: [
-          CONFIG.USDC_TYPE, // fa_metadata (Fungible Asset object address)
-          CONFIG.USDC_AMOUNT, // amount to withdraw
-          CONFIG.APTOS_TESTNET.receiverFinalAddress, // Ed25519 final destination
-        ],
-      },
-    });
-
-    // 2. Sign with stealth address (sender)
-    const senderAuthenticator = aptosClient.transaction.sign({
+    // Sponsored automatically: the stealth address holds no APT for gas
+    const pivyUniversal = new PIVYUniversalClient(aptosClient, CONFIG);
+    const withdrawResult = await pivyUniversal.withdraw({
       signer: stealthKP.account, // Stealth address signs
-      transaction: withdrawTransaction,
-    });
-
-    // 3. Sign with receiver sponsor (fee payer)
-    const feePayerAuthenticator = aptosClient.transaction.signAsFeePayer({
-      signer: aptosAccount,
-      transaction: withdrawTransaction,
-    });
-
-    // 4. Submit transaction with both signatures
-    const withdrawResult = await aptosClient.transaction.submit.simple({
-      transaction: withdrawTransaction,
-      senderAuthenticator: senderAuthenticator,
-      feePayerAuthenticator: feePayerAuthenticator,
+      assetType: CONFIG.USDC_TYPE, // fa_metadata (Fungible Asset object address)
+      amount: CONFIG.USDC_AMOUNT, // amount to withdraw
+      destination: CONFIG.APTOS_TESTNET.receiverFinalAddress, // Ed25519 final destination
+      feePayer: aptosAccount, // Receiver sponsor pays gas
     });
 
-    // 5. Wait for transaction execution
+    // Wait for transaction execution
     await aptosClient.waitForTransaction({
       transactionHash: withdrawResult.hash,
     });
@@ -566,7 +550,7 @@ const getAttestationFromIris = async (messageHash) => {
     console.log(`   Source Chain         : Ethereum Sepolia`);
     console.log(`   Destination Chain    : Aptos Testnet`);
     console.log(
-      `   Amount              : ${CONFIG.USDC_AMOUNT / 1000000} USDC`
+      `   Amount              : ${formatUnits(CONFIG.USDC_AMOUNT, CONFIG.USDC_DECIMALS)} USDC`
     );
     console.log(`   Stealth Address     : ${stealthInfo.stealthAptosAddress}`);
     console.log(
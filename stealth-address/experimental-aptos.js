@@ -18,6 +18,8 @@ import { Account, Secp256k1PrivateKey, SigningSchemeInput } from '@aptos-labs/ts
 
 // Import PIVY stealth functionality using class-based approach
 import PivyStealthAptos from './pivyStealthHelpersAptos.js';
+import PivyScanner from './pivyScanner.js';
+import { MemoryAnnouncementSource } from './pivyAnnouncementSources.js';
 
 /*──────────────────────────────────────────────────────────────────*/
 /*  Demo & Test Implementation                                      */
@@ -91,7 +93,8 @@ import PivyStealthAptos from './pivyStealthHelpersAptos.js';
   const stealthKP = await pivy.deriveStealthKeypair(
     metaSpendPriv, 
     metaViewPriv, 
-    ephPubB58
+    ephPubB58,
+    { stealthAddress: stealthPub.stealthAptosAddress }
   );
 
   console.log('\n📊 Results');
@@ -125,6 +128,48 @@ import PivyStealthAptos from './pivyStealthHelpersAptos.js';
     console.log('\n❌ Aptos import failed:', e.message);
   }
 
+  // Scan a local stand-in event source (same shape as indexer events)
+  console.log('\n📡 Scanner (local event source)');
+  
+  const hex = (bytes) => '0x' + Buffer.from(bytes).toString('hex');
+  const foreignStealth = await pivy.deriveStealthPub(
+    pivy.generateMetaKeys().metaSpendPubB58,
+    pivy.generateMetaKeys().metaViewPubB58,
+    pivy.generateEphemeralKey().privateKey
+  );
+  const paymentEvent = (stealthAptosAddress, ephPub, viewTag, note, version) => ({
+    type: '0xc0d6::pivy_stealth::PaymentEvent<0x1::aptos_coin::AptosCoin>',
+    transaction_version: String(version),
+    event_index: 0,
+    data: {
+      stealth_owner: stealthAptosAddress,
+      payer: '0x1',
+      amount: '100000000',
+      coin_type: '0x1::aptos_coin::AptosCoin',
+      label: hex(pivy.toBytes('demo')),
+      eph_pubkey: hex(ephPub),
+      payload: hex(pivy.encodeAnnouncementPayload('PIVY demo', viewTag)),
+      note: hex(note),
+      timestamp: String(Math.floor(Date.now() / 1000)),
+    },
+  });
+  const localEvents = [
+    paymentEvent(foreignStealth.stealthAptosAddress, bs58.decode(ephPubB58), foreignStealth.viewTag, new Uint8Array(0), 1),
+    paymentEvent(stealthPub.stealthAptosAddress, bs58.decode(ephPubB58), stealthPub.viewTag, encryptedNote, 2),
+  ];
+  
+  const scanConfig = { PIVY_STEALTH: { packageId: '0xc0d6', moduleName: 'pivy_stealth' } };
+  const scanner = new PivyScanner(null, scanConfig, {
+    metaViewPriv,
+    metaSpendPub: metaSpendPubB58,
+    source: new MemoryAnnouncementSource(scanConfig, localEvents),
+  });
+  const { payments, stats } = await scanner.scan();
+  
+  console.log('   Events scanned:', stats.scanned, '| matched:', stats.matched);
+  console.log('   Found our payment:', payments[0]?.stealthAddress === stealthPub.stealthAptosAddress ? '✅ YES' : '❌ NO');
+  console.log('   Scanned note matches:', payments[0]?.note === privateNote ? '✅ YES' : '❌ NO');
+
   console.log('\n🔧 Helper Library Integration:');
   console.log('   ✅ All functions imported from pivyStealthHelpersAptos.js');
   console.log('   ✅ No duplicate implementations');
@@ -115,7 +115,8 @@ const LABEL = "personal";
     const stealthKP = await pivy.deriveStealthKeypair(
         metaSpendPriv, 
         metaViewPriv,
-        ephPubB58
+        ephPubB58,
+        { stealthAddress: stealthPub.stealthAptosAddress }
     );
 
     console.log('   🔑 Stealth keypair derived successfully');
@@ -142,7 +142,8 @@ const pad32 = (u8) => {
   console.log('\\n[Step 3]: Ed25519 payer sends APT to stealth address');
 
   const labelBytes = pad32(toBytes(CONFIG.LABEL_STR));
-  const payloadBytes = toBytes(CONFIG.PAYLOAD_STR);
+  // Payload carries the view tag so the receiver can skip foreign announcements fast
+  const payloadBytes = pivy.encodeAnnouncementPayload(CONFIG.PAYLOAD_STR, stealthPub.viewTag);
 
   // Ed25519 payer sends payment to stealth address
   const payTransaction = await aptos.transaction.build.simple({
@@ -192,7 +193,8 @@ const pad32 = (u8) => {
   const stealthKP = await pivy.deriveStealthKeypair(
     Buffer.from(metaSpendPriv).toString('hex'), 
     Buffer.from(metaViewPriv).toString('hex'), 
-    ephPubB58
+    ephPubB58,
+    { stealthAddress: stealthPub.stealthAptosAddress }
   );
 
   console.log('   🔑 Stealth keypair derived from secp256k1 meta keys');
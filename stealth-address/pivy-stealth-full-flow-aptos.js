@@ -3,7 +3,7 @@
  * 
  * This script demonstrates the universal stealth address flow:
  * 1. Ed25519 payer account (user's normal funded wallet)
- * 2. Generate secp256k1 meta keys for receiver (one-time setup)
+ * 2. Derive secp256k1 meta keys from the receiver's Ed25519 wallet signature
  * 3. Ed25519 payer uses secp256k1 crypto to generate stealth address
  * 4. Ed25519 payer sends ANY TOKEN (Coin/FungibleAsset) to stealth address
  * 5. secp256k1 receiver derives stealth private key
@@ -14,6 +14,7 @@
  * - Auto-detects token type and uses correct functions
  * - Smart gas management (native for Coins, sponsored for FAs)
  * - Users keep their existing Ed25519 wallets
+ * - Meta keys are recoverable from the wallet - no extra backup needed
  * - Clean separation of account management and cryptography
  */
 
@@ -23,6 +24,7 @@ import bs58 from 'bs58';
 // Import PIVY stealth functionality using class-based approach
 import PivyStealthAptos from './pivyStealthHelpersAptos.js';
 import { PIVYUniversalClient } from './pivyUniversalClient.js';
+import { APTOS_COIN_TYPE } from './pivyPortfolio.js';
 
 /*──────────────────────────────────────────────────────────────────*/
 /*  Configuration                                                   */
@@ -67,13 +69,14 @@ const CONFIG = {
   
   // TEST 1 - APT (CoinType): stealth gets native APT, can pay own gas
   // ASSET_TYPE: '0x1::aptos_coin::AptosCoin',
-  // PAY_AMOUNT: 100_000_000n, // 1 APT (8 decimals)
-  // WITHDRAW_AMOUNT: 50_000_000n, // 0.5 APT
+  // PAY_AMOUNT: '1.0', // 1 APT
+  // WITHDRAW_AMOUNT: '0.5', // 0.5 APT
   
   // TEST 2 - USDC (FungibleAsset): stealth gets USDC, needs sponsored withdrawal
   ASSET_TYPE: '0x69091fbab5f7d635ee7ac5098cf0c1efbe31d68fec0f2cd565e8d168daf52832', // USDC FA
-  PAY_AMOUNT: 1000000n, // 1 USDC (6 decimals)
-  WITHDRAW_AMOUNT: 1000000n, // 1 USDC
+  // Display amounts in whole tokens; the client converts them with the asset's decimals
+  PAY_AMOUNT: '1.0', // 1 USDC
+  WITHDRAW_AMOUNT: '1.0', // 1 USDC
 
   /** Demo data */
   LABEL_STR: 'PIVY_UNIVERSAL_DEMO_APTOS_V1',
@@ -126,9 +129,9 @@ const pad32 = (u8) => {
   const payerAddr = payerEd25519Account.accountAddress.toString();
   const receiverAddr = receiverEd25519Account.accountAddress.toString();
 
-  // Generate secp256k1 meta keys for receiver (one-time setup)
-  console.log('[Step 1]: Account setup and secp256k1 meta key generation');
-  const metaKeys = pivy.generateMetaKeys();
+  // Derive secp256k1 meta keys from the receiver's Ed25519 wallet (recoverable any time)
+  console.log('[Step 1]: Account setup and secp256k1 meta key derivation from receiver wallet');
+  const metaKeys = await pivy.deriveMetaKeysFromSigner(receiverEd25519Account);
   const { metaSpend, metaView, metaSpendPubB58, metaViewPubB58 } = metaKeys;
   
   // Extract private keys for receiver operations
@@ -138,7 +141,7 @@ const pad32 = (u8) => {
   console.log('   💼 Ed25519 User Accounts:');
   console.log(`      Payer: ${payerAddr}`);
   console.log(`      Receiver: ${receiverAddr}`);
-  console.log('   🔐 secp256k1 Meta Keys (for stealth crypto):');
+  console.log('   🔐 secp256k1 Meta Keys (derived from receiver wallet signature):');
   console.log(`      Spend Public: ${metaSpendPubB58}`);
   console.log(`      View Public: ${metaViewPubB58}`);
   
@@ -151,7 +154,7 @@ const pad32 = (u8) => {
 
   // Check Ed25519 account balances  
   const payerBalance = await aptos.getAccountAPTAmount({ accountAddress: payerAddr });
-  console.log(`   💰 Payer APT balance: ${payerBalance} octas (${payerBalance / 100_000_000} APT)`);
+  console.log(`   💰 Payer APT balance: ${payerBalance} octas (${await pivyUniversal.formatAmount(APTOS_COIN_TYPE, payerBalance)})`);
   
   if (assetInfo.isFungibleAsset) {
     console.log(`   💡 Note: Paying with ${assetInfo.detectedAs} - stealth will need sponsored withdrawal`);
@@ -188,55 +191,21 @@ const pad32 = (u8) => {
   console.log(`\\n[Step 3]: Ed25519 payer sends ${assetInfo.detectedAs} to stealth address`);
 
   const labelBytes = pad32(toBytes(CONFIG.LABEL_STR));
-  const payloadBytes = toBytes(CONFIG.PAYLOAD_STR);
-
-  // Universal payment using smart routing
-  let payRes;
-  if (assetInfo.isFungibleAsset) {
-    console.log('   🔄 Using pay_fa() for FungibleAsset');
-    const payTransaction = await aptos.transaction.build.simple({
-      sender: payerAddr,
-      data: {
-        function: `${CONFIG.PIVY_STEALTH.packageId}::${CONFIG.PIVY_STEALTH.moduleName}::${CONFIG.PIVY_STEALTH.fnPayFa}`,
-        functionArguments: [
-          stealthPub.stealthAptosAddress,      // stealth_owner
-          CONFIG.ASSET_TYPE,                   // fa_metadata
-          CONFIG.PAY_AMOUNT,                   // amount
-          Array.from(labelBytes),              // label
-          Array.from(bs58.decode(ephPubB58)),  // eph_pubkey
-          Array.from(payloadBytes),            // payload
-          Array.from(encryptedNote),           // note
-        ],
-      },
-    });
-    payRes = await aptos.signAndSubmitTransaction({
-      signer: payerEd25519Account,
-      transaction: payTransaction,
-    });
-  } else {
-    console.log('   🔄 Using pay<T>() for CoinType');
-    const payTransaction = await aptos.transaction.build.simple({
-      sender: payerAddr,
-      data: {
-        function: `${CONFIG.PIVY_STEALTH.packageId}::${CONFIG.PIVY_STEALTH.moduleName}::${CONFIG.PIVY_STEALTH.fnPay}`,
-        typeArguments: [CONFIG.ASSET_TYPE],
-        functionArguments: [
-          stealthPub.stealthAptosAddress,      // stealth_owner
-          CONFIG.PAY_AMOUNT,                   // amount
-          Array.from(labelBytes),              // label
-          Array.from(bs58.decode(ephPubB58)),  // eph_pubkey
-          Array.from(payloadBytes),            // payload
-          Array.from(encryptedNote),           // note
-        ],
-      },
-    });
-    payRes = await aptos.signAndSubmitTransaction({
-      signer: payerEd25519Account,
-      transaction: payTransaction,
-    });
-  }
-
-  await aptos.waitForTransaction({ transactionHash: payRes.hash });
+  // Payload carries the view tag so the receiver can skip foreign announcements fast
+  const payloadBytes = pivy.encodeAnnouncementPayload(CONFIG.PAYLOAD_STR, stealthPub.viewTag);
+
+  // Universal payment using smart routing (pay_fa() or pay<T>())
+  console.log(`   🔄 Using ${assetInfo.isFungibleAsset ? 'pay_fa()' : 'pay<T>()'} for ${assetInfo.detectedAs}`);
+  const payRes = await pivyUniversal.pay({
+    signer: payerEd25519Account,
+    stealthOwner: stealthPub.stealthAptosAddress,
+    assetType: CONFIG.ASSET_TYPE,
+    amount: CONFIG.PAY_AMOUNT,
+    label: labelBytes,
+    ephPubkey: bs58.decode(ephPubB58),
+    payload: payloadBytes,
+    note: encryptedNote,
+  });
   
   console.log('   ✅ Payment sent successfully!');
   console.log(`   📋 Transaction: ${payRes.hash}`);
@@ -255,6 +224,11 @@ const pad32 = (u8) => {
 
   console.log('\\n[Step 4]: Receiver processes payment using secp256k1 crypto');
   
+  // View tag check: one ECDH rules out almost every foreign announcement
+  const { viewTag } = pivy.decodeAnnouncementPayload(payloadBytes);
+  const viewTagMatches = pivy.checkViewTag(viewTag, metaViewPriv, ephPubB58);
+  console.log('   🏷️  View tag check:', viewTagMatches ? '✅ MATCH' : '❌ NOT OURS');
+  
   // Decrypt the private note
   const decryptedNote = await pivy.decryptNote(
     encryptedNote,
@@ -269,7 +243,8 @@ const pad32 = (u8) => {
   const stealthKP = await pivy.deriveStealthKeypair(
     Buffer.from(metaSpendPriv).toString('hex'), 
     Buffer.from(metaViewPriv).toString('hex'), 
-    ephPubB58
+    ephPubB58,
+    { stealthAddress: stealthPub.stealthAptosAddress }
   );
 
   console.log('   🔑 Stealth keypair derived from secp256k1 meta keys');
@@ -287,68 +262,16 @@ const pad32 = (u8) => {
   });
   console.log(`   💰 Stealth APT balance: ${stealthBalance} octas`);
 
-  // Intelligent withdrawal based on token type
-  let withdrawRes;
-  if (assetInfo.isFungibleAsset) {
-    console.log('   🎯 FungibleAsset withdrawal - using sponsored transaction');
-    console.log('   💸 Sponsor pays gas, stealth address signs withdrawal');
-    
-    // Build withdrawal transaction with fee payer
-    const withdrawTransaction = await aptos.transaction.build.simple({
-      sender: stealthPub.stealthAptosAddress,
-      withFeePayer: true, // Enable sponsored transaction
-      data: {
-        function: `${CONFIG.PIVY_STEALTH.packageId}::${CONFIG.PIVY_STEALTH.moduleName}::${CONFIG.PIVY_STEALTH.fnWithdrawFa}`,
-        functionArguments: [
-          CONFIG.ASSET_TYPE,          // fa_metadata
-          CONFIG.WITHDRAW_AMOUNT,     // amount
-          receiverAddr,               // destination
-        ],
-      },
-    });
-
-    // Sign with stealth address (sender)
-    const senderAuthenticator = aptos.transaction.sign({
-      signer: stealthKP.account, // Stealth address signs
-      transaction: withdrawTransaction,
-    });
-
-    // Sign with receiver sponsor (fee payer)
-    const feePayerAuthenticator = aptos.transaction.signAsFeePayer({
-      signer: payerEd25519Account, // Sponsor pays gas
-      transaction: withdrawTransaction,
-    });
-
-    // Submit transaction with both signatures
-    withdrawRes = await aptos.transaction.submit.simple({
-      transaction: withdrawTransaction,
-      senderAuthenticator: senderAuthenticator,
-      feePayerAuthenticator: feePayerAuthenticator,
-    });
-  } else {
-    console.log('   🎯 CoinType withdrawal - stealth address pays own gas');
-    
-    if (stealthBalance < 10000) { // Less than 0.0001 APT
-      console.log('   ⚠️  Warning: Very low APT balance for gas fees');
-    }
-    
-    const withdrawTransaction = await aptos.transaction.build.simple({
-      sender: stealthPub.stealthAptosAddress,
-      data: {
-        function: `${CONFIG.PIVY_STEALTH.packageId}::${CONFIG.PIVY_STEALTH.moduleName}::${CONFIG.PIVY_STEALTH.fnWithdraw}`,
-        typeArguments: [CONFIG.ASSET_TYPE],
-        functionArguments: [
-          CONFIG.WITHDRAW_AMOUNT,     // amount
-          receiverAddr,               // destination
-        ],
-      },
-    });
-
-    withdrawRes = await aptos.signAndSubmitTransaction({
-      signer: stealthKP.account, // Stealth address signs and pays gas
-      transaction: withdrawTransaction,
-    });
-  }
+  // The client sponsors the withdrawal when the stealth address cannot pay
+  // its own gas (e.g. it only received an FA); otherwise it self-pays
+  const withdrawRes = await pivyUniversal.withdraw({
+    signer: stealthKP.account,         // Stealth address signs
+    assetType: CONFIG.ASSET_TYPE,
+    amount: CONFIG.WITHDRAW_AMOUNT,
+    destination: receiverAddr,
+    feePayer: payerEd25519Account,     // Sponsor, used only if needed
+  });
+  const sponsored = withdrawRes.signature?.type === 'fee_payer_signature';
 
   await aptos.waitForTransaction({ transactionHash: withdrawRes.hash });
 
@@ -357,7 +280,7 @@ const pad32 = (u8) => {
   console.log(`   💡 secp256k1 stealth → Ed25519 receiver ${assetInfo.detectedAs} transfer successful!`);
   console.log(`   🔧 Function used: ${assetInfo.isFungibleAsset ? 'withdraw_fa()' : 'withdraw<T>()'}`);
   
-  if (assetInfo.isFungibleAsset) {
+  if (sponsored) {
     console.log('   💸 Gas paid by: Receiver sponsor account (sponsored transaction)');
   } else {
     console.log('   💸 Gas paid by: Stealth address (native balance)');
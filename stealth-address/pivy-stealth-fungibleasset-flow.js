@@ -21,6 +21,8 @@ import bs58 from 'bs58';
 
 // Import PIVY stealth functionality
 import PivyStealthAptos from './pivyStealthHelpersAptos.js';
+import { APTOS_COIN_TYPE, PivyPortfolio } from './pivyPortfolio.js';
+import PIVYUniversalClient from './pivyUniversalClient.js';
 
 /*──────────────────────────────────────────────────────────────────*/
 /*  Configuration                                                   */
@@ -43,8 +45,8 @@ const CONFIG = {
 
   /** FungibleAsset Configuration - USDC Only */
   ASSET_TYPE: '0x69091fbab5f7d635ee7ac5098cf0c1efbe31d68fec0f2cd565e8d168daf52832', // USDC FA
-  PAY_AMOUNT: 1000000n, // 1 USDC (6 decimals)
-  WITHDRAW_AMOUNT: 1000000n, // 1 USDC (full withdrawal)
+  PAY_AMOUNT: '1.0', // 1 USDC, converted with the asset's decimals
+  WITHDRAW_AMOUNT: '1.0', // 1 USDC (full withdrawal)
 
   /** Demo data */
   LABEL_STR: 'PIVY_FUNGIBLEASSET_USDC_DEMO_V1',
@@ -117,8 +119,9 @@ const pad32 = (u8) => {
   console.log(`      Gas Strategy: Sponsored Transaction`);
 
   // Check Ed25519 account balances  
+  const pivyUniversal = new PIVYUniversalClient(aptos, CONFIG);
   const payerBalance = await aptos.getAccountAPTAmount({ accountAddress: payerAddr });
-  console.log(`   💰 Payer APT balance: ${payerBalance} octas (${payerBalance / 100_000_000} APT)`);
+  console.log(`   💰 Payer APT balance: ${payerBalance} octas (${await pivyUniversal.formatAmount(APTOS_COIN_TYPE, payerBalance)})`);
   console.log(`   💡 Note: Stealth address will receive USDC but 0 APT - needs sponsored withdrawal`);
 
   /*────────────────────────────────────────────────────────────────*/
@@ -149,7 +152,8 @@ const pad32 = (u8) => {
   console.log('\\n[Step 3]: Ed25519 payer sends USDC (FungibleAsset) to stealth address');
 
   const labelBytes = pad32(toBytes(CONFIG.LABEL_STR));
-  const payloadBytes = toBytes(CONFIG.PAYLOAD_STR);
+  // Payload carries the view tag so the receiver can skip foreign announcements fast
+  const payloadBytes = pivy.encodeAnnouncementPayload(CONFIG.PAYLOAD_STR, stealthPub.viewTag);
 
   console.log('   🔄 Using pay_fa() for FungibleAsset without type arguments');
   const payTransaction = await aptos.transaction.build.simple({
@@ -159,7 +163,7 @@ const pad32 = (u8) => {
       functionArguments: [
         stealthPub.stealthAptosAddress,      // stealth_owner
         CONFIG.ASSET_TYPE,                   // fa_metadata
-        CONFIG.PAY_AMOUNT,                   // amount
+        await pivyUniversal.toBaseUnits(CONFIG.ASSET_TYPE, CONFIG.PAY_AMOUNT), // amount
         Array.from(labelBytes),              // label
         Array.from(bs58.decode(ephPubB58)),  // eph_pubkey
         Array.from(payloadBytes),            // payload
@@ -201,7 +205,8 @@ const pad32 = (u8) => {
   const stealthKP = await pivy.deriveStealthKeypair(
     Buffer.from(metaSpendPriv).toString('hex'), 
     Buffer.from(metaViewPriv).toString('hex'), 
-    ephPubB58
+    ephPubB58,
+    { stealthAddress: stealthPub.stealthAptosAddress }
   );
 
   console.log('   🔑 Stealth keypair derived from secp256k1 meta keys');
@@ -219,40 +224,15 @@ const pad32 = (u8) => {
   });
   console.log(`   💰 Stealth APT balance: ${stealthBalance} octas (${stealthBalance / 100_000_000} APT)`);
 
-  console.log('   🎯 FungibleAsset withdrawal - using sponsored transaction');
+  console.log('   🎯 FungibleAsset withdrawal - sponsored when the stealth address has no APT for gas');
   console.log('   💸 Sponsor pays gas, stealth address signs withdrawal');
-  
-  // Build withdrawal transaction with fee payer
-  const withdrawTransaction = await aptos.transaction.build.simple({
-    sender: stealthPub.stealthAptosAddress,
-    withFeePayer: true, // Enable sponsored transaction
-    data: {
-      function: `${CONFIG.PIVY_STEALTH.packageId}::${CONFIG.PIVY_STEALTH.moduleName}::${CONFIG.PIVY_STEALTH.fnWithdrawFa}`,
-      functionArguments: [
-        CONFIG.ASSET_TYPE,          // fa_metadata
-        CONFIG.WITHDRAW_AMOUNT,     // amount
-        receiverAddr,               // destination
-      ],
-    },
-  });
-
-  // Sign with stealth address (sender)
-  const senderAuthenticator = aptos.transaction.sign({
-    signer: stealthKP.account, // Stealth address signs
-    transaction: withdrawTransaction,
-  });
 
-  // Sign with receiver sponsor (fee payer)
-  const feePayerAuthenticator = aptos.transaction.signAsFeePayer({
-    signer: payerEd25519Account, // Sponsor pays gas
-    transaction: withdrawTransaction,
-  });
-
-  // Submit transaction with both signatures
-  const withdrawRes = await aptos.transaction.submit.simple({
-    transaction: withdrawTransaction,
-    senderAuthenticator: senderAuthenticator,
-    feePayerAuthenticator: feePayerAuthenticator,
+  const withdrawRes = await pivyUniversal.withdraw({
+    signer: stealthKP.account,         // Stealth address signs
+    assetType: CONFIG.ASSET_TYPE,
+    amount: CONFIG.WITHDRAW_AMOUNT,
+    destination: receiverAddr,
+    feePayer: payerEd25519Account,     // Sponsor pays gas
   });
 
   await aptos.waitForTransaction({ transactionHash: withdrawRes.hash });
@@ -273,9 +253,14 @@ const pad32 = (u8) => {
   const finalReceiverBalance = await aptos.getAccountAPTAmount({ accountAddress: receiverAddr });
   const finalStealthBalance = await aptos.getAccountAPTAmount({ accountAddress: stealthPub.stealthAptosAddress });
   
-  console.log(`   💰 Final receiver APT balance: ${finalReceiverBalance} octas (${finalReceiverBalance / 100_000_000} APT)`);
+  console.log(`   💰 Final receiver APT balance: ${finalReceiverBalance} octas (${await pivyUniversal.formatAmount(APTOS_COIN_TYPE, finalReceiverBalance)})`);
   console.log(`   💰 Final stealth APT balance: ${finalStealthBalance} octas (should remain 0)`);
-  console.log(`   💡 Note: USDC balance checking would require specific FA queries`);
+
+  // USDC left on the stealth address (primary fungible store)
+  const { assets: stealthAssets } = await new PivyPortfolio(aptos).getStealthPortfolio([
+    { stealthAddress: stealthPub.stealthAptosAddress, kind: 'fa', assetType: CONFIG.ASSET_TYPE },
+  ]);
+  console.log(`   💰 Final stealth USDC balance: ${await pivyUniversal.formatAmount(CONFIG.ASSET_TYPE, stealthAssets[0]?.balance ?? 0n)} (should be 0 after full withdrawal)`);
 
   console.log('\\n🎉 PIVY FungibleAsset Stealth Flow Complete!');
   console.log('');
@@ -309,8 +294,8 @@ const pad32 = (u8) => {
   console.log(`   Payment Function: pay_fa() without type arguments`);
   console.log(`   Withdrawal Function: withdraw_fa() without type arguments`);
   console.log(`   Gas Strategy: Sponsored Transaction (sponsor pays gas)`);
-  console.log(`   Amount Sent: ${CONFIG.PAY_AMOUNT / 1000000n} USDC`);
-  console.log(`   Amount Withdrawn: ${CONFIG.WITHDRAW_AMOUNT / 1000000n} USDC`);
+  console.log(`   Amount Sent: ${CONFIG.PAY_AMOUNT} USDC`);
+  console.log(`   Amount Withdrawn: ${CONFIG.WITHDRAW_AMOUNT} USDC`);
   console.log('');
   console.log('🔧 Sponsored Transaction Pattern:');
   console.log('   1. Build transaction with withFeePayer: true');
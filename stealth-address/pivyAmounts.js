@@ -0,0 +1,106 @@
+/**
+ * PIVY Amounts - Exact conversion between display amounts and base units
+ *
+ * On-chain amounts are u64 integers in an asset's smallest unit; people
+ * write "1.5". Conversion is done on decimal strings and BigInts only, so
+ * no precision is lost to floating point: an amount with more fractional
+ * digits than the asset has, or one that does not fit in a u64, is
+ * rejected rather than rounded or wrapped.
+ *
+ * @author PIVY Team
+ * @version 1.0.0
+ */
+
+import { PivyAmountError } from './pivyErrors.js';
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Constants                                                       */
+/*──────────────────────────────────────────────────────────────────*/
+
+/** Largest Move `u64`, the ceiling for any on-chain amount */
+export const MAX_U64 = (1n << 64n) - 1n;
+
+/** Plain decimal: digits with an optional fraction, e.g. `1`, `1.5`, `.5` */
+const DECIMAL_PATTERN = /^(\d*)(?:\.(\d*))?$/;
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Conversion                                                      */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Checks that a base-unit amount is an integer within u64 range.
+ *
+ * @param {bigint|number|string} units - Amount in base units
+ * @returns {bigint} The amount
+ * @throws {PivyAmountError} If not a non-negative integer or above MAX_U64
+ */
+export function toU64(units) {
+  let value;
+  try {
+    value = BigInt(units);
+  } catch (cause) {
+    throw new PivyAmountError(`Not an integer amount: ${units}`, { reason: 'malformed', amount: units, cause });
+  }
+  if (typeof units === 'number' && !Number.isSafeInteger(units)) {
+    throw new PivyAmountError(`Amount ${units} is not an exact integer`, { reason: 'malformed', amount: units });
+  }
+  if (value < 0n) {
+    throw new PivyAmountError(`Amount ${units} is negative`, { reason: 'malformed', amount: units });
+  }
+  if (value > MAX_U64) {
+    throw new PivyAmountError(`Amount ${units} exceeds u64`, { reason: 'overflow', amount: units });
+  }
+  return value;
+}
+
+/**
+ * Converts a display amount to base units, exactly.
+ *
+ * @param {string} amount - Decimal amount, e.g. `"1.5"`
+ * @param {number} decimals - Asset decimals, e.g. 6 for USDC
+ * @returns {bigint} Base units, e.g. `1500000n`
+ * @throws {PivyAmountError} `reason` is `malformed`, `too-precise` (more
+ *   fractional digits than `decimals`) or `overflow`
+ *
+ * @example
+ * parseUnits('1.5', 6);      // 1500000n
+ * parseUnits('0.0000001', 6) // throws: too-precise
+ */
+export function parseUnits(amount, decimals) {
+  const text = String(amount).trim();
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match || text === '' || text === '.') {
+    throw new PivyAmountError(`Not a decimal amount: "${amount}"`, { reason: 'malformed', amount });
+  }
+
+  const [, whole, fraction = ''] = match;
+  const significant = fraction.replace(/0+$/, '');
+  if (significant.length > decimals) {
+    throw new PivyAmountError(`Amount "${amount}" has more than ${decimals} decimal places`, {
+      reason: 'too-precise',
+      amount,
+    });
+  }
+
+  const units = BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(significant.padEnd(decimals, '0') || '0');
+  if (units > MAX_U64) {
+    throw new PivyAmountError(`Amount "${amount}" exceeds u64`, { reason: 'overflow', amount });
+  }
+  return units;
+}
+
+/**
+ * Formats base units as a display amount, without trailing zeros.
+ *
+ * @param {bigint|number|string} units - Amount in base units
+ * @param {number} decimals - Asset decimals
+ * @returns {string} e.g. `"1.5"` for `1500000n` with 6 decimals
+ */
+export function formatUnits(units, decimals) {
+  const value = BigInt(units);
+  const sign = value < 0n ? '-' : '';
+  const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+  return `${sign}${whole}${fraction ? `.${fraction}` : ''}`;
+}
@@ -0,0 +1,134 @@
+/**
+ * PIVY Announcement Matcher - Tests announcements against a receiver's keys
+ *
+ * The per-announcement work of a scan, kept apart from paging, policy and
+ * storage so it runs anywhere: `PivyScanner` uses it on the main thread and
+ * the workers of a `PivyScanPool` (see pivyScanWorker.js) load only this
+ * module. It must not import Node.js built-ins, so module Web Workers can
+ * load it in the browser.
+ *
+ * @author PIVY Team
+ * @version 1.0.0
+ */
+
+import bs58 from 'bs58';
+
+import PivyStealthAptos from './pivyStealthHelpersAptos.js';
+
+/**
+ * Matches announcements for one receiver, watch-only: it needs the view
+ * private key and the spend PUBLIC key.
+ *
+ * @example
+ * const matcher = new PivyAnnouncementMatcher({ metaViewPriv, metaSpendPub });
+ * const payment = await matcher.matchAnnouncement(announcement); // or null
+ */
+export class PivyAnnouncementMatcher {
+  /**
+   * @param {Object} options
+   * @param {string|Uint8Array} options.metaViewPriv - Receiver's meta view private key
+   * @param {string|Uint8Array} options.metaSpendPub - Receiver's meta spend public key
+   * @param {number} [options.scheme] - Scheme of the receiver's meta-address;
+   *   when omitted it is inferred per announcement
+   * @param {PivyStealthAptos} [options.pivy] - Helpers instance to use
+   */
+  constructor({ metaViewPriv, metaSpendPub, scheme, pivy = new PivyStealthAptos() }) {
+    this.pivy = pivy;
+    this.metaViewPriv = pivy.to32u8(metaViewPriv);
+    this.metaSpendPub = pivy.to32u8(metaSpendPub);
+    this.scheme = scheme;
+  }
+
+  /**
+   * Tests one announcement against the receiver's keys.
+   *
+   * One ECDH is done per announcement: the candidate schemes are all on
+   * one curve and share its secret. The view tag (when present) then rules
+   * out most foreign announcements for every scheme; survivors are
+   * confirmed by deriving the stealth address watch-only and comparing it
+   * with `stealthOwner`.
+   *
+   * @param {Object} announcement - Record from an AnnouncementSource
+   * @returns {Promise<Object|null>} The payment, or null if it is not ours
+   * @returns {string} returns.stealthAddress - Stealth address that received funds
+   * @returns {string} returns.kind - One of PAYMENT_EVENT_KIND
+   * @returns {string} returns.assetType - Coin type or FA metadata address
+   * @returns {string} returns.assetName - Coin type name or FA name
+   * @returns {bigint} returns.amount - Amount in base units
+   * @returns {string} returns.payer - Payer address
+   * @returns {string} returns.label - Public label text
+   * @returns {string} returns.message - Public payload message
+   * @returns {string|null} returns.note - Decrypted private note (null if
+   *   empty or unreadable)
+   * @returns {string} returns.ephPubB58 - Ephemeral public key
+   * @returns {number} returns.scheme - Key derivation scheme that matched
+   * @returns {number} returns.timestamp - Block timestamp (seconds)
+   * @returns {bigint} returns.transactionVersion - Ledger version of the payment
+   * @returns {number} returns.eventIndex - Event index within the transaction
+   */
+  async matchAnnouncement(announcement) {
+    const { ephPubkey: ephPub, note: noteBytes, stealthOwner } = announcement;
+    const { viewTag, message } = this.pivy.decodeAnnouncementPayload(announcement.payload);
+
+    const schemes = this.candidateSchemes(ephPub, noteBytes);
+    let shared;
+    try {
+      shared = this.pivy.computeSharedSecret(this.metaViewPriv, ephPub, { scheme: schemes[0] });
+    } catch {
+      return null; // eph_pubkey is not a valid point on the scheme's curve
+    }
+
+    for (const scheme of schemes) {
+      if (viewTag !== null && this.pivy.viewTagFromShared(shared, scheme) !== viewTag) continue;
+
+      let stealth;
+      try {
+        stealth = this.pivy.stealthPubFromShared(shared, this.metaSpendPub, scheme);
+      } catch {
+        continue; // the receiver's spend key is on the other curve
+      }
+      if (stealth.stealthAptosAddress !== stealthOwner) continue;
+
+      return {
+        stealthAddress: stealthOwner,
+        kind: announcement.kind,
+        assetType: announcement.assetType,
+        assetName: announcement.assetName,
+        amount: announcement.amount,
+        payer: announcement.payer,
+        label: new TextDecoder().decode(announcement.label),
+        message,
+        note: await this.readNote(noteBytes, ephPub),
+        ephPubB58: bs58.encode(ephPub),
+        scheme,
+        timestamp: announcement.timestamp,
+        transactionVersion: announcement.transactionVersion,
+        eventIndex: announcement.eventIndex,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Schemes worth trying for an announcement, most likely first: the
+   * receiver's scheme if configured, else `getCandidateSchemes`. Either
+   * way they are all on one curve.
+   */
+  candidateSchemes(ephPub, noteBytes) {
+    if (this.scheme !== undefined) return [this.scheme];
+    return this.pivy.getCandidateSchemes(ephPub, noteBytes);
+  }
+
+  /** Decrypts a payment's private note, or null if empty or unreadable */
+  async readNote(noteBytes, ephPub) {
+    if (!noteBytes.length) return null;
+    try {
+      return await this.pivy.decryptNote(noteBytes, this.metaViewPriv, ephPub);
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default PivyAnnouncementMatcher;
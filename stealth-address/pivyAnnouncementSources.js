@@ -0,0 +1,460 @@
+/**
+ * PIVY Announcement Sources - Pluggable backends for payment discovery
+ *
+ * An AnnouncementSource reads `pivy_stealth` payment and withdrawal events
+ * from somewhere and hands them to the scanner and watcher as normalised
+ * records, so no downstream code parses raw Move event types.
+ *
+ * Adapters:
+ * - IndexerAnnouncementSource: Aptos indexer GraphQL API
+ * - FullnodeAnnouncementSource: fullnode REST transaction pagination
+ * - FileAnnouncementSource: replays events recorded to a JSON / JSON-lines file
+ * - MemoryAnnouncementSource: in-process events, for tests
+ *
+ * AnnouncementSource interface:
+ *
+ *   fetchAnnouncements({ kind, fromVersion, offset, limit }) => Promise<Announcement[]>
+ *   fetchWithdrawals({ kind, fromVersion, offset, limit }) => Promise<Withdrawal[]>
+ *
+ * Each returns events of `kind` with version > `fromVersion`, ordered by
+ * version then event index, skipping the first `offset` of them.
+ * `fetchWithdrawals` reads `WithdrawEvent<CoinType>` / `WithdrawEventFA`.
+ *
+ * @author PIVY Team
+ * @version 1.0.0
+ */
+
+import { readFile } from 'fs/promises';
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Constants                                                       */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Payment event kinds emitted by the `pivy_stealth` module.
+ *
+ * - COIN: `PaymentEvent<CoinType>` from `announce` / `pay`
+ * - FA: `PaymentEventFA` from `announce_fa` / `pay_fa`
+ */
+export const PAYMENT_EVENT_KIND = Object.freeze({
+  COIN: 'coin',
+  FA: 'fa',
+});
+
+/** Move struct name of each payment event kind */
+const EVENT_STRUCT = Object.freeze({
+  [PAYMENT_EVENT_KIND.COIN]: 'PaymentEvent',
+  [PAYMENT_EVENT_KIND.FA]: 'PaymentEventFA',
+});
+
+/** Move struct name of the withdrawal event of each kind */
+const WITHDRAW_EVENT_STRUCT = Object.freeze({
+  [PAYMENT_EVENT_KIND.COIN]: 'WithdrawEvent',
+  [PAYMENT_EVENT_KIND.FA]: 'WithdrawEventFA',
+});
+
+/** Transactions fetched per fullnode REST request */
+export const DEFAULT_TRANSACTION_BATCH = 100;
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Normalisation                                                   */
+/*──────────────────────────────────────────────────────────────────*/
+
+/** Decodes a Move `vector<u8>` as returned by the indexer / REST (0x-hex) */
+export function moveBytes(value) {
+  if (value instanceof Uint8Array) return value;
+  if (Array.isArray(value)) return Uint8Array.from(value);
+  if (typeof value === 'string') return Uint8Array.from(Buffer.from(value.replace(/^0x/, ''), 'hex'));
+  return new Uint8Array(0);
+}
+
+/** Full-length, lower-case 0x address, so short and long forms compare equal */
+export function normalizeAddress(address) {
+  return '0x' + String(address).replace(/^0x/i, '').toLowerCase().padStart(64, '0');
+}
+
+/**
+ * Splits a Move event type into its `pivy_stealth` payment kind.
+ *
+ * @param {string} type - e.g. `0x…::pivy_stealth::PaymentEvent<0x1::aptos_coin::AptosCoin>`
+ * @param {Object} config - Config with `PIVY_STEALTH.packageId` and `moduleName`
+ * @returns {Object|null} `{ kind, typeArgument }`, or null if the type is
+ *   not a payment event of this package
+ */
+export function parsePaymentEventType(type, config) {
+  return parseEventType(type, config, EVENT_STRUCT);
+}
+
+/**
+ * Splits a Move event type into its `pivy_stealth` withdrawal kind.
+ *
+ * @param {string} type - e.g. `0x…::pivy_stealth::WithdrawEventFA`
+ * @param {Object} config - Config with `PIVY_STEALTH.packageId` and `moduleName`
+ * @returns {Object|null} `{ kind, typeArgument }`, or null if the type is
+ *   not a withdrawal event of this package
+ */
+export function parseWithdrawEventType(type, config) {
+  return parseEventType(type, config, WITHDRAW_EVENT_STRUCT);
+}
+
+/** Matches `type` against the generic (Coin) and non-generic (FA) struct of `structs` */
+function parseEventType(type, config, structs) {
+  const match = /^(0x[0-9a-fA-F]+)::(\w+)::(\w+)(?:<(.+)>)?$/.exec(type ?? '');
+  if (!match) return null;
+
+  const [, address, moduleName, struct, typeArgument] = match;
+  const { packageId, moduleName: expectedModule } = config.PIVY_STEALTH;
+  if (normalizeAddress(address) !== normalizeAddress(packageId) || moduleName !== expectedModule) {
+    return null;
+  }
+
+  if (struct === structs[PAYMENT_EVENT_KIND.COIN] && typeArgument) {
+    return { kind: PAYMENT_EVENT_KIND.COIN, typeArgument };
+  }
+  if (struct === structs[PAYMENT_EVENT_KIND.FA] && !typeArgument) {
+    return { kind: PAYMENT_EVENT_KIND.FA, typeArgument: null };
+  }
+  return null;
+}
+
+/**
+ * Normalises a raw payment event into an announcement record.
+ *
+ * Accepts indexer rows (`{ type, data, transaction_version, event_index }`)
+ * and fullnode REST events (`{ type, data }` plus the version and index
+ * passed in `position`).
+ *
+ * @param {Object} event - Raw event
+ * @param {Object} config - Config with `PIVY_STEALTH.packageId` and `moduleName`
+ * @param {Object} [position] - `{ version, eventIndex }` when not on the event
+ * @returns {Object|null} Announcement, or null if not a payment event
+ * @returns {string} returns.kind - One of PAYMENT_EVENT_KIND
+ * @returns {string} returns.eventType - Full Move event type
+ * @returns {string} returns.assetType - Coin type or normalised FA metadata address
+ * @returns {string} returns.assetName - Coin type name or FA name
+ * @returns {string} returns.stealthOwner - Normalised stealth address
+ * @returns {string} returns.payer - Normalised payer address
+ * @returns {bigint} returns.amount - Amount in base units
+ * @returns {Uint8Array} returns.label - Public label bytes
+ * @returns {Uint8Array} returns.ephPubkey - Ephemeral public key
+ * @returns {Uint8Array} returns.payload - Public payload (may carry a view tag)
+ * @returns {Uint8Array} returns.note - Encrypted private note
+ * @returns {number} returns.timestamp - Block timestamp (seconds)
+ * @returns {bigint} returns.transactionVersion - Ledger version
+ * @returns {number} returns.eventIndex - Event index within the transaction
+ */
+export function normalizeAnnouncement(event, config, position = {}) {
+  const parsed = parsePaymentEventType(event.type, config);
+  if (!parsed) return null;
+
+  const { data } = event;
+  const isFa = parsed.kind === PAYMENT_EVENT_KIND.FA;
+
+  return {
+    kind: parsed.kind,
+    eventType: event.type,
+    assetType: isFa ? normalizeAddress(data.fa_metadata) : data.coin_type,
+    assetName: isFa ? data.fa_name : data.coin_type,
+    stealthOwner: normalizeAddress(data.stealth_owner),
+    payer: normalizeAddress(data.payer),
+    amount: BigInt(data.amount),
+    label: moveBytes(data.label),
+    ephPubkey: moveBytes(data.eph_pubkey),
+    payload: moveBytes(data.payload),
+    note: moveBytes(data.note),
+    timestamp: Number(data.timestamp),
+    transactionVersion: BigInt(position.version ?? event.transaction_version ?? event.version),
+    eventIndex: Number(position.eventIndex ?? event.event_index ?? 0),
+  };
+}
+
+/**
+ * Normalises a raw withdrawal event into a withdrawal record.
+ *
+ * Accepts the same raw shapes as `normalizeAnnouncement`.
+ *
+ * @param {Object} event - Raw event
+ * @param {Object} config - Config with `PIVY_STEALTH.packageId` and `moduleName`
+ * @param {Object} [position] - `{ version, eventIndex }` when not on the event
+ * @returns {Object|null} Withdrawal, or null if not a withdrawal event
+ * @returns {string} returns.kind - One of PAYMENT_EVENT_KIND
+ * @returns {string} returns.eventType - Full Move event type
+ * @returns {string} returns.assetType - Coin type or normalised FA metadata address
+ * @returns {string} returns.stealthOwner - Normalised stealth address withdrawn from
+ * @returns {string} returns.destination - Normalised destination address
+ * @returns {bigint} returns.amount - Amount in base units
+ * @returns {number} returns.timestamp - Block timestamp (seconds)
+ * @returns {bigint} returns.transactionVersion - Ledger version
+ * @returns {number} returns.eventIndex - Event index within the transaction
+ */
+export function normalizeWithdrawal(event, config, position = {}) {
+  const parsed = parseWithdrawEventType(event.type, config);
+  if (!parsed) return null;
+
+  const { data } = event;
+  const isFa = parsed.kind === PAYMENT_EVENT_KIND.FA;
+
+  return {
+    kind: parsed.kind,
+    eventType: event.type,
+    assetType: isFa ? normalizeAddress(data.fa_metadata) : data.coin_type,
+    stealthOwner: normalizeAddress(data.stealth_owner),
+    destination: normalizeAddress(data.destination),
+    amount: BigInt(data.amount),
+    timestamp: Number(data.timestamp),
+    transactionVersion: BigInt(position.version ?? event.transaction_version ?? event.version),
+    eventIndex: Number(position.eventIndex ?? event.event_index ?? 0),
+  };
+}
+
+/** Event families a source can read: Move structs and their normaliser */
+const EVENT_FAMILY = Object.freeze({
+  payment: { structs: EVENT_STRUCT, normalize: normalizeAnnouncement },
+  withdrawal: { structs: WITHDRAW_EVENT_STRUCT, normalize: normalizeWithdrawal },
+});
+
+/** Orders announcements (or withdrawals) by version, then event index */
+function compareAnnouncements(a, b) {
+  if (a.transactionVersion !== b.transactionVersion) {
+    return a.transactionVersion < b.transactionVersion ? -1 : 1;
+  }
+  return a.eventIndex - b.eventIndex;
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Indexer GraphQL                                                 */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Reads payment and withdrawal events from the Aptos indexer
+ * (`aptosClient.getEvents`).
+ *
+ * `PaymentEvent` and `WithdrawEvent` are generic, so Coin events are
+ * matched by type prefix (`PaymentEvent<…>`) to cover every `CoinType`.
+ *
+ * @example
+ * const source = new IndexerAnnouncementSource(aptos, CONFIG);
+ */
+export class IndexerAnnouncementSource {
+  /**
+   * @param {Aptos} aptosClient - Aptos SDK client with an indexer configured
+   * @param {Object} config - Config with `PIVY_STEALTH.packageId` and `moduleName`
+   */
+  constructor(aptosClient, config) {
+    this.aptosClient = aptosClient;
+    this.config = config;
+  }
+
+  async fetchAnnouncements(args) {
+    return this.fetchEvents(EVENT_FAMILY.payment, args);
+  }
+
+  async fetchWithdrawals(args) {
+    return this.fetchEvents(EVENT_FAMILY.withdrawal, args);
+  }
+
+  async fetchEvents({ structs, normalize }, { kind, fromVersion, offset, limit }) {
+    const { packageId, moduleName } = this.config.PIVY_STEALTH;
+    const eventType = `${packageId}::${moduleName}::${structs[kind]}`;
+    const typeFilter = kind === PAYMENT_EVENT_KIND.FA
+      ? { _eq: eventType }
+      : { _like: `${eventType}<%` };
+
+    const events = await this.aptosClient.getEvents({
+      options: {
+        where: {
+          indexed_type: typeFilter,
+          transaction_version: { _gt: String(fromVersion) },
+        },
+        orderBy: [{ transaction_version: 'asc' }, { event_index: 'asc' }],
+        offset,
+        limit,
+      },
+    });
+
+    return events
+      .map((event) => normalize(event, this.config))
+      .filter((record) => record?.kind === kind);
+  }
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Fullnode REST                                                   */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Reads payment and withdrawal events by paging through fullnode REST
+ * transactions.
+ *
+ * Works without an indexer, at the cost of reading every transaction after
+ * `fromVersion`. Matches found so far are cached per event family, `kind`
+ * and `fromVersion`, so consecutive pages of one scan do not re-read the
+ * chain.
+ *
+ * @example
+ * const source = new FullnodeAnnouncementSource(aptos, CONFIG, { batchSize: 100 });
+ */
+export class FullnodeAnnouncementSource {
+  /**
+   * @param {Aptos} aptosClient - Aptos SDK client
+   * @param {Object} config - Config with `PIVY_STEALTH.packageId` and `moduleName`
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=DEFAULT_TRANSACTION_BATCH] - Transactions per request
+   */
+  constructor(aptosClient, config, { batchSize = DEFAULT_TRANSACTION_BATCH } = {}) {
+    this.aptosClient = aptosClient;
+    this.config = config;
+    this.batchSize = batchSize;
+    this.cursor = null;
+  }
+
+  async fetchAnnouncements(args) {
+    return this.fetchEvents(EVENT_FAMILY.payment, args);
+  }
+
+  async fetchWithdrawals(args) {
+    return this.fetchEvents(EVENT_FAMILY.withdrawal, args);
+  }
+
+  async fetchEvents(family, { kind, fromVersion, offset, limit }) {
+    const from = BigInt(fromVersion);
+    const cursor = this.cursor;
+    if (!cursor || cursor.family !== family || cursor.kind !== kind || cursor.fromVersion !== from || offset < cursor.dropped) {
+      this.cursor = { family, kind, fromVersion: from, nextVersion: from + 1n, dropped: 0, matches: [] };
+    }
+    const state = this.cursor;
+
+    const { ledger_version: ledgerVersion } = await this.aptosClient.getLedgerInfo();
+    while (state.dropped + state.matches.length < offset + limit && state.nextVersion <= BigInt(ledgerVersion)) {
+      const transactions = await this.aptosClient.getTransactions({
+        options: { offset: state.nextVersion, limit: this.batchSize },
+      });
+      if (!transactions.length) break;
+
+      for (const transaction of transactions) {
+        (transaction.events ?? []).forEach((event, eventIndex) => {
+          const record = family.normalize(event, this.config, { version: transaction.version, eventIndex });
+          if (record?.kind === kind) state.matches.push(record);
+        });
+      }
+      state.nextVersion = BigInt(transactions[transactions.length - 1].version) + 1n;
+    }
+
+    // Earlier pages are not asked for again by the scanner
+    const start = offset - state.dropped;
+    const page = state.matches.slice(start, start + limit);
+    state.matches = state.matches.slice(start);
+    state.dropped = offset;
+    return page;
+  }
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Local Replay                                                    */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * In-memory announcement source.
+ *
+ * Accepts the same raw events as the file source; `push()` adds more while
+ * a watcher is running. Withdrawal events are kept too, for
+ * `fetchWithdrawals`.
+ *
+ * @example
+ * const source = new MemoryAnnouncementSource(CONFIG, recordedEvents);
+ * source.push(fakePaymentEvent);
+ */
+export class MemoryAnnouncementSource {
+  /**
+   * @param {Object} config - Config with `PIVY_STEALTH.packageId` and `moduleName`
+   * @param {Object[]} [events=[]] - Raw events (indexer row shape)
+   */
+  constructor(config, events = []) {
+    this.config = config;
+    this.announcements = [];
+    this.withdrawals = [];
+    this.push(...events);
+  }
+
+  /**
+   * Adds raw events (indexer row shape); events other than payments and
+   * withdrawals are ignored.
+   */
+  push(...events) {
+    for (const event of events) {
+      const announcement = normalizeAnnouncement(event, this.config);
+      if (announcement) this.announcements.push(announcement);
+      const withdrawal = normalizeWithdrawal(event, this.config);
+      if (withdrawal) this.withdrawals.push(withdrawal);
+    }
+    this.announcements.sort(compareAnnouncements);
+    this.withdrawals.sort(compareAnnouncements);
+  }
+
+  async fetchAnnouncements({ kind, fromVersion, offset, limit }) {
+    return this.announcements
+      .filter((a) => a.kind === kind && a.transactionVersion > BigInt(fromVersion))
+      .slice(offset, offset + limit);
+  }
+
+  async fetchWithdrawals({ kind, fromVersion, offset, limit }) {
+    return this.withdrawals
+      .filter((w) => w.kind === kind && w.transactionVersion > BigInt(fromVersion))
+      .slice(offset, offset + limit);
+  }
+}
+
+/**
+ * Replays events recorded to a local file.
+ *
+ * The file holds raw events in indexer row shape
+ * (`{ type, data, transaction_version, event_index }`), either as one JSON
+ * array or as JSON lines. Fullnode REST transactions (`{ version, events }`)
+ * are also accepted and expanded into their events.
+ *
+ * @example
+ * const source = new FileAnnouncementSource('./fixtures/payments.jsonl', CONFIG);
+ */
+export class FileAnnouncementSource extends MemoryAnnouncementSource {
+  /**
+   * @param {string} filePath - Recorded events file
+   * @param {Object} config - Config with `PIVY_STEALTH.packageId` and `moduleName`
+   */
+  constructor(filePath, config) {
+    super(config);
+    this.filePath = filePath;
+    this.loaded = null;
+  }
+
+  async load() {
+    const text = (await readFile(this.filePath, 'utf8')).trim();
+    const records = text.startsWith('[')
+      ? JSON.parse(text)
+      : text.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+
+    for (const record of records) {
+      if (Array.isArray(record.events)) {
+        const events = record.events.map((event, eventIndex) => ({
+          ...event,
+          transaction_version: record.version,
+          event_index: eventIndex,
+        }));
+        this.push(...events);
+      } else {
+        this.push(record);
+      }
+    }
+  }
+
+  async fetchAnnouncements(args) {
+    this.loaded ??= this.load();
+    await this.loaded;
+    return super.fetchAnnouncements(args);
+  }
+
+  async fetchWithdrawals(args) {
+    this.loaded ??= this.load();
+    await this.loaded;
+    return super.fetchWithdrawals(args);
+  }
+}
@@ -0,0 +1,309 @@
+/**
+ * PIVY Error Types
+ *
+ * Typed errors thrown by the PIVY stealth helpers and clients, so callers
+ * can tell failure causes apart with `instanceof` instead of matching
+ * message strings.
+ *
+ * @author PIVY Team
+ * @version 1.0.0
+ */
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Base Error                                                      */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Base class for every error raised by the PIVY library.
+ *
+ * @param {string} message - Human-readable description
+ * @param {Object} [options]
+ * @param {string} [options.code] - Stable machine-readable error code
+ * @param {Error} [options.cause] - Underlying error, if any
+ */
+export class PivyError extends Error {
+  constructor(message, { code = 'PIVY_ERROR', cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Cryptography Errors                                             */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Raised when an encrypted note or memo cannot be opened.
+ *
+ * `reason` tells support tooling why:
+ * - `authentication-failed` - note AEAD tag rejected (tampered data or wrong key)
+ * - `truncated` - payload is shorter than its format requires
+ * - `wrong-key` - memo was encrypted to a different view key or ephemeral key
+ * - `corrupted` - memo is malformed or its AEAD tag was rejected
+ * - `unknown-version` - memo envelope version or scheme is not supported
+ *
+ * @example
+ * try {
+ *   await pivy.decryptNote(noteBytes, metaViewPriv, ephPub);
+ * } catch (e) {
+ *   if (e instanceof PivyDecryptionError) console.log(e.reason);
+ * }
+ */
+export class PivyDecryptionError extends PivyError {
+  constructor(message, { reason, version, cause } = {}) {
+    super(message, { code: 'PIVY_DECRYPTION_FAILED', cause });
+    this.reason = reason;
+    this.version = version;
+  }
+}
+
+/**
+ * Raised when a stealth meta-address string cannot be used.
+ *
+ * `reason` is one of `malformed`, `unknown-scheme`, `invalid-point`,
+ * `swapped-keys` or `checksum`.
+ */
+export class PivyMetaAddressError extends PivyError {
+  constructor(message, { reason, cause } = {}) {
+    super(message, { code: 'PIVY_INVALID_META_ADDRESS', cause });
+    this.reason = reason;
+  }
+}
+
+/**
+ * Raised when the key derivation scheme of a received payment is unknown,
+ * so its stealth key cannot be recovered safely.
+ *
+ * `reason` is `missing` (neither a scheme nor the announced stealth address
+ * was given) or `no-match` (no scheme derives the announced address from
+ * these keys).
+ */
+export class PivySchemeError extends PivyError {
+  constructor(message, { reason, cause } = {}) {
+    super(message, { code: 'PIVY_UNKNOWN_SCHEME', cause });
+    this.reason = reason;
+  }
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Asset Errors                                                    */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Raised when an asset type is neither a coin type nor an FA metadata
+ * address.
+ *
+ * `reason` is `malformed` (not a struct tag or an address) or `not-found`
+ * (no `coin::CoinInfo` or `fungible_asset::Metadata` on chain).
+ */
+export class PivyAssetTypeError extends PivyError {
+  constructor(message, { reason, assetType, cause } = {}) {
+    super(message, { code: 'PIVY_INVALID_ASSET_TYPE', cause });
+    this.reason = reason;
+    this.assetType = assetType;
+  }
+}
+
+/**
+ * Raised when an amount cannot be converted to u64 base units.
+ *
+ * `reason` is `malformed` (not a plain decimal or non-negative integer),
+ * `too-precise` (more fractional digits than the asset has), `overflow`
+ * (above u64) or `unknown-decimals` (the asset's decimals are unreadable).
+ */
+export class PivyAmountError extends PivyError {
+  constructor(message, { reason, amount, cause } = {}) {
+    super(message, { code: 'PIVY_INVALID_AMOUNT', cause });
+    this.reason = reason;
+    this.amount = amount;
+  }
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Transaction Errors                                              */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Raised when a PIVY transaction fails in simulation or on chain.
+ *
+ * Subclasses name the known causes; every instance carries what was being
+ * attempted, so a failure can be reported without re-deriving it:
+ * - `function` - Entry function, e.g. `0x…::pivy_stealth::pay_fa`
+ * - `assetType` - Coin type or FA metadata address
+ * - `args` - Named arguments of the call (amount, destination, …)
+ * - `vmStatus` - Raw VM status from the node
+ * - `abortCode` / `location` - Move abort code and `address::module`, for aborts
+ * - `hash` - Transaction hash, when it reached the chain
+ */
+export class PivyTransactionError extends PivyError {
+  constructor(message, {
+    code = 'PIVY_TRANSACTION_FAILED',
+    function: fn,
+    assetType,
+    args,
+    vmStatus,
+    abortCode,
+    location,
+    hash,
+    cause,
+  } = {}) {
+    super(message, { code, cause });
+    this.function = fn;
+    this.assetType = assetType;
+    this.args = args;
+    this.vmStatus = vmStatus;
+    this.abortCode = abortCode;
+    this.location = location;
+    this.hash = hash;
+  }
+}
+
+/** `pivy_stealth` aborted with `EInvalidAmount` (0): the amount is zero */
+export class PivyInvalidAmountError extends PivyTransactionError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'PIVY_EINVALID_AMOUNT' });
+  }
+}
+
+/**
+ * `pivy_stealth` aborted with `EInsufficientFunds` (1), or the framework
+ * found too small a balance for the amount
+ */
+export class PivyInsufficientFundsError extends PivyTransactionError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'PIVY_EINSUFFICIENT_FUNDS' });
+  }
+}
+
+/**
+ * `pivy_stealth` aborted with `EPayloadTooLong` (2): the payload is over
+ * 121 bytes or the note over 256
+ */
+export class PivyPayloadTooLongError extends PivyTransactionError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'PIVY_EPAYLOAD_TOO_LONG' });
+  }
+}
+
+/** An account involved has no `CoinStore` for the coin type */
+export class PivyCoinStoreNotFoundError extends PivyTransactionError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'PIVY_COIN_STORE_NOT_FOUND' });
+  }
+}
+
+/** The gas payer cannot cover the fee, or the transaction ran out of gas */
+export class PivyInsufficientGasError extends PivyTransactionError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'PIVY_INSUFFICIENT_GAS' });
+  }
+}
+
+/** `pivy_stealth` abort codes (sources/pivy_stealth.move) */
+export const PIVY_ABORT_CODE = {
+  INVALID_AMOUNT: 0,
+  INSUFFICIENT_FUNDS: 1,
+  PAYLOAD_TOO_LONG: 2,
+};
+
+const PIVY_ABORTS = {
+  [PIVY_ABORT_CODE.INVALID_AMOUNT]: [PivyInvalidAmountError, 'amount must be greater than zero'],
+  [PIVY_ABORT_CODE.INSUFFICIENT_FUNDS]: [PivyInsufficientFundsError, 'balance is below the amount'],
+  [PIVY_ABORT_CODE.PAYLOAD_TOO_LONG]: [PivyPayloadTooLongError, 'payload or note is too long'],
+};
+
+/** Framework aborts by `module` and error constant */
+const FRAMEWORK_ABORTS = {
+  'coin::ECOIN_STORE_NOT_PUBLISHED': [PivyCoinStoreNotFoundError, 'coin store not registered'],
+  'coin::EINSUFFICIENT_BALANCE': [PivyInsufficientFundsError, 'balance is below the amount'],
+  'fungible_asset::EINSUFFICIENT_BALANCE': [PivyInsufficientFundsError, 'balance is below the amount'],
+};
+
+/** Same, by abort reason (code without its category) when the node gives no name */
+const FRAMEWORK_ABORT_REASONS = {
+  'coin::5': 'coin::ECOIN_STORE_NOT_PUBLISHED',
+  'coin::6': 'coin::EINSUFFICIENT_BALANCE',
+  'fungible_asset::4': 'fungible_asset::EINSUFFICIENT_BALANCE',
+};
+
+/** VM statuses meaning the fee could not be paid (the API spells out "Out of gas") */
+const GAS_STATUS_PATTERN = /OUT_OF_GAS|out of gas|INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE/i;
+
+/** `Move abort in 0xADDR::module: NAME(0xCODE): …` or `…: 0xCODE` */
+const MOVE_ABORT_PATTERN = /Move abort in (0x[0-9a-f]+)::(\w+): (?:(\w+)\()?(0x[0-9a-f]+)/i;
+
+/** VM status of a failed response, FailedTransactionError or API rejection */
+function vmStatusOf(failure) {
+  if (typeof failure === 'string') return failure;
+  if (failure?.vm_status) return failure.vm_status;
+  if (failure?.transaction?.vm_status) return failure.transaction.vm_status;
+  if (failure?.data?.error_code === 'vm_error') return failure.data.message;
+  return null;
+}
+
+/**
+ * Turns a failed simulation or submission into a typed PIVY error.
+ *
+ * Accepts a failed transaction response (e.g. from simulation), the SDK's
+ * `FailedTransactionError` from `waitForTransaction`, an `AptosApiError`
+ * rejecting a submission, or a raw VM status string. `pivy_stealth` aborts
+ * are recognised in the module named by `context.function` (default
+ * `pivy_stealth`). Errors that carry no VM status, such as network
+ * failures, are returned unchanged.
+ *
+ * @param {Error|Object|string} failure - What the SDK threw or returned
+ * @param {Object} [context] - `{ function, assetType, args }` of the call
+ * @returns {Error} A PivyTransactionError (or subclass), or `failure`
+ *
+ * @example
+ * try {
+ *   await aptos.waitForTransaction({ transactionHash });
+ * } catch (e) {
+ *   const error = decodeTransactionError(e, { function: 'pay_fa' });
+ *   if (error instanceof PivyPayloadTooLongError) shortenPayload();
+ * }
+ */
+export function decodeTransactionError(failure, context = {}) {
+  const vmStatus = vmStatusOf(failure);
+  if (!vmStatus) return failure;
+
+  const details = {
+    ...context,
+    vmStatus,
+    hash: failure.hash ?? failure.transaction?.hash,
+    cause: failure instanceof Error ? failure : undefined,
+  };
+  const what = context.function ?? 'Transaction';
+
+  const abort = MOVE_ABORT_PATTERN.exec(vmStatus);
+  if (abort) {
+    const [, address, module, name, hex] = abort;
+    const abortCode = Number(BigInt(hex));
+    Object.assign(details, { abortCode, location: `${address}::${module}` });
+
+    // The PIVY module is the one being called, when the context names it
+    const [, pivyAddress, pivyModule = 'pivy_stealth'] = /^(0x[0-9a-f]+)::(\w+)::/i.exec(context.function ?? '') ?? [];
+    const inPivy = module === pivyModule && (!pivyAddress || BigInt(address) === BigInt(pivyAddress));
+
+    let known;
+    if (inPivy) {
+      known = PIVY_ABORTS[abortCode];
+    } else if (BigInt(address) === 1n) {
+      known = FRAMEWORK_ABORTS[`${module}::${name}`]
+        ?? FRAMEWORK_ABORTS[FRAMEWORK_ABORT_REASONS[`${module}::${abortCode & 0xffff}`]];
+    }
+    if (known) {
+      const [ErrorClass, description] = known;
+      return new ErrorClass(`${what} failed: ${description} (${vmStatus})`, details);
+    }
+    return new PivyTransactionError(`${what} aborted: ${vmStatus}`, details);
+  }
+
+  if (GAS_STATUS_PATTERN.test(vmStatus)) {
+    return new PivyInsufficientGasError(`${what} failed: not enough APT for gas (${vmStatus})`, details);
+  }
+  return new PivyTransactionError(`${what} failed: ${vmStatus}`, details);
+}
+
+export default PivyError;
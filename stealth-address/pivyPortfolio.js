@@ -0,0 +1,367 @@
+/**
+ * PIVY Portfolio - Balances held across a receiver's stealth addresses
+ *
+ * Turns the payments found by `PivyScanner` into current holdings: for
+ * every stealth address it reads the `CoinStore<CoinType>` balances and the
+ * primary fungible store balances (including each coin's paired FA, such
+ * as APT's `0xa`), and totals them per address and per asset. Decimals and
+ * symbols come from the FA `Metadata` object, or `coin::CoinInfo` for a
+ * coin with no paired FA.
+ *
+ * Only public on-chain state is read, so no keys are needed.
+ *
+ * @author PIVY Team
+ * @version 1.0.0
+ */
+
+import { AccountAddress, createObjectAddress } from '@aptos-labs/ts-sdk';
+
+import { moveBytes, normalizeAddress, PAYMENT_EVENT_KIND } from './pivyAnnouncementSources.js';
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Constants                                                       */
+/*──────────────────────────────────────────────────────────────────*/
+
+/** Coin type of APT */
+export const APTOS_COIN_TYPE = '0x1::aptos_coin::AptosCoin';
+
+/** Metadata address of APT's paired fungible asset */
+export const APTOS_FA_METADATA = normalizeAddress('0xa');
+
+/** Move struct holding FA name, symbol and decimals */
+export const FA_METADATA_STRUCT = '0x1::fungible_asset::Metadata';
+
+/** Matches `0x1::coin::CoinStore<CoinType>` and captures the coin type */
+const COIN_STORE_PATTERN = /^0x0*1::coin::CoinStore<(.+)>$/;
+
+/**
+ * Address of an account's primary fungible store for one asset, as
+ * derived by `primary_fungible_store::primary_store_address`.
+ *
+ * @param {string} owner - Account address
+ * @param {string} faMetadata - FA metadata address
+ * @returns {string} Normalised store object address
+ */
+export function primaryStoreAddress(owner, faMetadata) {
+  const seed = AccountAddress.from(normalizeAddress(faMetadata)).toUint8Array();
+  return createObjectAddress(AccountAddress.from(normalizeAddress(owner)), seed).toStringLong();
+}
+
+/**
+ * Canonical form of a coin type: every address in it written as the SDK
+ * prints it (`0x1` for special addresses, 64 hex digits otherwise), so
+ * `0xabc::m::T` and its padded form compare equal.
+ *
+ * @param {string} coinType - Move struct tag, e.g. `0x1::aptos_coin::AptosCoin`
+ * @returns {string} Canonical struct tag
+ */
+export function normalizeCoinType(coinType) {
+  return coinType.replace(/0x[0-9a-f]+(?=::)/gi, (address) => AccountAddress.from(normalizeAddress(address)).toString());
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Main PivyPortfolio Class                                        */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Reads balances of stealth addresses from a fullnode.
+ *
+ * Coin/FA pairings and asset metadata are cached per instance, so reuse
+ * one portfolio to refresh balances cheaply.
+ *
+ * Every asset balance has the shape:
+ * - `assetType` - FA metadata address, or the coin type for a coin with no paired FA
+ * - `coinType` - Coin type, or null for an FA-only asset
+ * - `faMetadata` - FA metadata address, or null for a coin with no paired FA
+ * - `name`, `symbol`, `decimals` - From the asset metadata (null if unreadable)
+ * - `coinBalance` - Amount in `CoinStore` (bigint, base units)
+ * - `faBalance` - Amount in the primary fungible store (bigint, base units)
+ * - `balance` - `coinBalance + faBalance`
+ *
+ * @example
+ * const { payments } = await scanner.scan();
+ * const portfolio = await new PivyPortfolio(aptos).getStealthPortfolio(payments);
+ * for (const asset of portfolio.assets) {
+ *   console.log(asset.symbol, asset.balance, 'across', asset.addresses, 'addresses');
+ * }
+ */
+export class PivyPortfolio {
+  /**
+   * @param {Aptos} aptosClient - Aptos SDK client
+   */
+  constructor(aptosClient) {
+    this.aptosClient = aptosClient;
+    this.pairedMetadata = new Map();
+    this.pairedCoin = new Map();
+    this.assetInfo = new Map();
+  }
+
+  /**
+   * Balances of every stealth address, per address and per asset.
+   *
+   * Payments tell the portfolio which FA stores to read; with bare
+   * addresses only coin stores and their paired FAs are found.
+   *
+   * @param {Array<Object|string>} paymentsOrAddresses - Payments from
+   *   `PivyScanner` / `PivyScanIndex`, or stealth addresses
+   * @returns {Promise<Object>} Portfolio
+   * @returns {Object[]} returns.addresses - `{ address, assets }` per stealth
+   *   address, with its non-zero asset balances
+   * @returns {Object[]} returns.assets - Per-asset totals: an asset balance
+   *   plus `addresses`, the number of stealth addresses holding it
+   */
+  async getStealthPortfolio(paymentsOrAddresses) {
+    const faAssets = new Map();
+    const coinTypes = new Map();
+    for (const entry of paymentsOrAddresses) {
+      const address = normalizeAddress(typeof entry === 'string' ? entry : entry.stealthAddress);
+      if (!faAssets.has(address)) {
+        faAssets.set(address, new Set());
+        coinTypes.set(address, new Set());
+      }
+      if (typeof entry === 'string') continue;
+      if (entry.kind === PAYMENT_EVENT_KIND.FA) faAssets.get(address).add(normalizeAddress(entry.assetType));
+      else coinTypes.get(address).add(entry.assetType);
+    }
+
+    const addresses = [];
+    const totals = new Map();
+    for (const [address, faSet] of faAssets) {
+      const assets = await this.getAddressBalances(address, {
+        faMetadata: [...faSet],
+        coinTypes: [...coinTypes.get(address)],
+      });
+      addresses.push({ address, assets });
+
+      for (const asset of assets) {
+        const total = totals.get(asset.assetType)
+          ?? { ...asset, coinBalance: 0n, faBalance: 0n, balance: 0n, addresses: 0 };
+        total.coinBalance += asset.coinBalance;
+        total.faBalance += asset.faBalance;
+        total.balance += asset.balance;
+        total.addresses++;
+        totals.set(asset.assetType, total);
+      }
+    }
+
+    return { addresses, assets: [...totals.values()] };
+  }
+
+  /**
+   * Non-zero asset balances of one address.
+   *
+   * Reads every `CoinStore` on the account, plus the primary store of
+   * each listed FA and of every coin's paired FA. A coin and its paired FA
+   * are reported as one asset. An address with no account (only ever paid
+   * FAs) has no `CoinStore`s but may still hold FAs.
+   *
+   * @param {string} address - Account address
+   * @param {Object} [options]
+   * @param {string[]} [options.faMetadata] - FA metadata addresses to check
+   * @param {string[]} [options.coinTypes] - Coin types whose paired FA to
+   *   check even when the account has no `CoinStore` for them
+   * @returns {Promise<Object[]>} Asset balances
+   */
+  async getAddressBalances(address, { faMetadata = [], coinTypes = [] } = {}) {
+    const accountAddress = normalizeAddress(address);
+    const coinBalances = await this.getCoinBalances(accountAddress);
+
+    // One entry per asset, keyed by FA metadata when the coin is paired
+    const assets = new Map();
+    for (const coinType of new Set([...coinBalances.keys(), ...coinTypes])) {
+      const paired = await this.getPairedMetadata(coinType);
+      assets.set(paired ?? coinType, { coinType, faMetadata: paired });
+    }
+    for (const metadata of faMetadata.map(normalizeAddress)) {
+      if (!assets.has(metadata)) assets.set(metadata, { coinType: null, faMetadata: metadata });
+    }
+
+    const balances = [];
+    for (const [assetType, { coinType, faMetadata: metadata }] of assets) {
+      const coinBalance = coinBalances.get(coinType) ?? 0n;
+      const faBalance = metadata ? await this.getPrimaryStoreBalance(accountAddress, metadata) : 0n;
+      if (coinBalance + faBalance === 0n) continue;
+
+      balances.push({
+        assetType,
+        coinType,
+        faMetadata: metadata,
+        ...(await this.getAssetInfo({ coinType, faMetadata: metadata })),
+        coinBalance,
+        faBalance,
+        balance: coinBalance + faBalance,
+      });
+    }
+    return balances;
+  }
+
+  /**
+   * `CoinStore` balances of an account, by coin type.
+   *
+   * @param {string} accountAddress - Normalised account address
+   * @returns {Promise<Map<string, bigint>>} Empty if the account does not exist
+   */
+  async getCoinBalances(accountAddress) {
+    let resources;
+    try {
+      resources = await this.aptosClient.getAccountResources({ accountAddress });
+    } catch (error) {
+      // `pay_fa` creates the primary store but not the account
+      if (error.status === 404) return new Map();
+      throw error;
+    }
+
+    const coinBalances = new Map();
+    for (const resource of resources) {
+      const match = COIN_STORE_PATTERN.exec(resource.type);
+      if (match) coinBalances.set(match[1], BigInt(resource.data.coin.value));
+    }
+    return coinBalances;
+  }
+
+  /**
+   * Asset types an address holds, as listed by the indexer.
+   *
+   * A fullnode cannot enumerate primary fungible stores, so use this to
+   * find FAs with no paired coin before `getAddressBalances`. Returns empty
+   * lists when no indexer is reachable.
+   *
+   * @param {string} address - Account address
+   * @returns {Promise<Object>} `{ faMetadata, coinTypes }`
+   */
+  async listAssetTypes(address) {
+    const faMetadata = [];
+    const coinTypes = [];
+    try {
+      const balances = await this.aptosClient.getCurrentFungibleAssetBalances({
+        options: { where: { owner_address: { _eq: normalizeAddress(address) } } },
+      });
+      for (const { asset_type: assetType, token_standard: standard } of balances) {
+        if (!assetType) continue;
+        if (standard === 'v2') faMetadata.push(normalizeAddress(assetType));
+        else coinTypes.push(assetType);
+      }
+    } catch {
+      // No indexer on this network; callers fall back to what they know
+    }
+    return { faMetadata, coinTypes };
+  }
+
+  /**
+   * Balance of an account's primary fungible store for one asset.
+   *
+   * @param {string} address - Account address
+   * @param {string} faMetadata - FA metadata address
+   * @returns {Promise<bigint>} Balance in base units (0n without a store)
+   */
+  async getPrimaryStoreBalance(address, faMetadata) {
+    const [balance] = await this.aptosClient.view({
+      payload: {
+        function: '0x1::primary_fungible_store::balance',
+        typeArguments: [FA_METADATA_STRUCT],
+        functionArguments: [address, faMetadata],
+      },
+    });
+    return BigInt(balance);
+  }
+
+  /**
+   * Metadata address of the FA paired with a coin, if any (cached).
+   *
+   * @param {string} coinType - Coin type, e.g. `0x1::aptos_coin::AptosCoin`
+   * @returns {Promise<string|null>} Normalised metadata address, or null
+   */
+  async getPairedMetadata(coinType) {
+    if (coinType === APTOS_COIN_TYPE) return APTOS_FA_METADATA;
+    if (this.pairedMetadata.has(coinType)) return this.pairedMetadata.get(coinType);
+
+    let paired = null;
+    try {
+      const [option] = await this.aptosClient.view({
+        payload: {
+          function: '0x1::coin::paired_metadata',
+          typeArguments: [coinType],
+          functionArguments: [],
+        },
+      });
+      if (option.vec.length) paired = normalizeAddress(option.vec[0].inner);
+    } catch {
+      // Coin type not initialised on this network
+    }
+
+    this.pairedMetadata.set(coinType, paired);
+    return paired;
+  }
+
+  /**
+   * Coin type paired with an FA, if any (cached).
+   *
+   * @param {string} faMetadata - FA metadata address, e.g. `0xa`
+   * @returns {Promise<string|null>} Coin type, or null for an FA-only asset
+   */
+  async getPairedCoin(faMetadata) {
+    const metadata = normalizeAddress(faMetadata);
+    if (metadata === APTOS_FA_METADATA) return APTOS_COIN_TYPE;
+    if (this.pairedCoin.has(metadata)) return this.pairedCoin.get(metadata);
+
+    let paired = null;
+    try {
+      const [option] = await this.aptosClient.view({
+        payload: {
+          function: '0x1::coin::paired_coin',
+          typeArguments: [],
+          functionArguments: [metadata],
+        },
+      });
+      if (option.vec.length) {
+        const { account_address: address, module_name: moduleName, struct_name: structName } = option.vec[0];
+        const text = (bytes) => new TextDecoder().decode(moveBytes(bytes));
+        paired = normalizeCoinType(`${address}::${text(moduleName)}::${text(structName)}`);
+        this.pairedMetadata.set(paired, metadata);
+      }
+    } catch {
+      // Not a metadata object on this network
+    }
+
+    this.pairedCoin.set(metadata, paired);
+    return paired;
+  }
+
+  /**
+   * Name, symbol and decimals of an asset (cached).
+   *
+   * Read from the FA `Metadata` object when there is one, otherwise from
+   * `coin::CoinInfo` at the coin's publishing address.
+   *
+   * @param {Object} asset
+   * @param {string|null} asset.coinType - Coin type
+   * @param {string|null} asset.faMetadata - FA metadata address
+   * @returns {Promise<Object>} `{ name, symbol, decimals }`, null fields if unreadable
+   */
+  async getAssetInfo({ coinType, faMetadata }) {
+    const key = faMetadata ?? coinType;
+    if (this.assetInfo.has(key)) return this.assetInfo.get(key);
+
+    let data = null;
+    try {
+      data = faMetadata
+        ? await this.aptosClient.getAccountResource({ accountAddress: faMetadata, resourceType: FA_METADATA_STRUCT })
+        : await this.aptosClient.getAccountResource({
+          accountAddress: coinType.split('::')[0],
+          resourceType: `0x1::coin::CoinInfo<${coinType}>`,
+        });
+    } catch {
+      // Missing or not a metadata object; report the balance without it
+    }
+
+    const info = {
+      name: data?.name ?? null,
+      symbol: data?.symbol ?? null,
+      decimals: data ? Number(data.decimals) : null,
+    };
+    this.assetInfo.set(key, info);
+    return info;
+  }
+}
+
+export default PivyPortfolio;
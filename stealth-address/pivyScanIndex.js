@@ -0,0 +1,399 @@
+/**
+ * PIVY Scan Index - Persistent, resumable store for discovered payments
+ *
+ * Keeps the payments found by `PivyScanner` together with the last scanned
+ * ledger version for each `pivy_stealth` package and event type, so a
+ * restarted scan continues where it stopped instead of from genesis.
+ * Announcements the scan policy skipped are kept too, so they can be
+ * matched later even though the checkpoint has moved past them.
+ *
+ * Storage is pluggable. Two stores are included:
+ * - JsonLinesScanStore: append-only JSON-lines file (Node.js)
+ * - MemoryScanStore: in-process, for tests and short-lived tools
+ *
+ * A store is any object with `load()`, `append(records)` and `clear()`.
+ *
+ * @author PIVY Team
+ * @version 1.0.0
+ */
+
+import { appendFile, readFile, writeFile } from 'fs/promises';
+
+import { PAYMENT_EVENT_KIND } from './pivyAnnouncementSources.js';
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Record Encoding                                                 */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Payment fields stored as decimal strings because JSON has no BigInt.
+ * They are converted at any depth, so payments from `trackWithdrawals`
+ * (with `withdrawals[].amount`) round-trip too.
+ */
+const BIGINT_FIELDS = new Set(['amount', 'transactionVersion', 'deposited', 'withdrawn', 'remaining']);
+
+/** Copies a record, passing every BIGINT_FIELDS value through `convert` */
+function convertBigIntFields(value, convert) {
+  if (Array.isArray(value)) return value.map((item) => convertBigIntFields(item, convert));
+  if (value === null || typeof value !== 'object' || ArrayBuffer.isView(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    BIGINT_FIELDS.has(key) && field !== undefined && field !== null ? convert(field) : convertBigIntFields(field, convert),
+  ]));
+}
+
+function encodePayment(payment) {
+  return convertBigIntFields(payment, String);
+}
+
+function decodePayment(payment) {
+  return convertBigIntFields(payment, BigInt);
+}
+
+/** Announcement fields that are Move `vector<u8>`, stored as hex */
+const BYTES_FIELDS = ['label', 'ephPubkey', 'payload', 'note'];
+
+function encodeAnnouncement(announcement) {
+  const out = encodePayment(announcement);
+  for (const field of BYTES_FIELDS) out[field] = Buffer.from(out[field]).toString('hex');
+  return out;
+}
+
+function decodeAnnouncement(announcement) {
+  const out = decodePayment(announcement);
+  for (const field of BYTES_FIELDS) out[field] = Uint8Array.from(Buffer.from(out[field], 'hex'));
+  return out;
+}
+
+/** Identity of a payment on-chain: one event of one transaction */
+function paymentKey(payment) {
+  return `${payment.transactionVersion}:${payment.eventIndex}`;
+}
+
+/** Orders payments (or announcements) by version, then event index */
+function compareVersions(a, b) {
+  return a.transactionVersion === b.transactionVersion
+    ? a.eventIndex - b.eventIndex
+    : a.transactionVersion < b.transactionVersion ? -1 : 1;
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Stores                                                          */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Append-only JSON-lines store.
+ *
+ * Each line is `{ "type": "payment", "payment": {...} }`,
+ * `{ "type": "checkpoint", "eventType": "...", "version": "..." }`,
+ * `{ "type": "skipped", "announcement": {...} }` or
+ * `{ "type": "unskipped", "key": "<version>:<eventIndex>" }`.
+ * Lines are replayed in order on load, so the latest checkpoint wins and a
+ * crash can at worst lose the line being written. A truncated last line
+ * is ignored.
+ *
+ * @example
+ * const store = new JsonLinesScanStore('./pivy-scan.jsonl');
+ */
+export class JsonLinesScanStore {
+  /**
+   * @param {string} filePath - Path of the JSON-lines file (created on first write)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    let text;
+    try {
+      text = await readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Partial line from an interrupted write
+      }
+    }
+    return records;
+  }
+
+  async append(records) {
+    if (!records.length) return;
+    await appendFile(this.filePath, records.map((record) => JSON.stringify(record) + '\n').join(''));
+  }
+
+  async clear() {
+    await writeFile(this.filePath, '');
+  }
+}
+
+/**
+ * In-memory store with the same interface as JsonLinesScanStore.
+ */
+export class MemoryScanStore {
+  constructor() {
+    this.records = [];
+  }
+
+  async load() {
+    return [...this.records];
+  }
+
+  async append(records) {
+    this.records.push(...records);
+  }
+
+  async clear() {
+    this.records = [];
+  }
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Main PivyScanIndex Class                                        */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Index of discovered payments with per-event-type checkpoints.
+ *
+ * Checkpoints are keyed by the full event type
+ * (`<package>::<module>::PaymentEvent` or `…::PaymentEventFA`), so one store
+ * can track several `pivy_stealth` deployments. Payments are de-duplicated
+ * by transaction version and event index, so re-scanning a range is safe.
+ * Skipped announcements stay in the index until `retrySkipped` resolves
+ * them.
+ *
+ * @example
+ * const index = new PivyScanIndex(new JsonLinesScanStore('./pivy-scan.jsonl'));
+ * await index.sync(scanner);              // resumes from the checkpoints
+ * console.log(await index.getPayments());
+ *
+ * // New device: meta keys imported, rebuild everything from genesis
+ * await index.rebuild(scanner);
+ */
+export class PivyScanIndex {
+  /**
+   * @param {Object} [store=new MemoryScanStore()] - Storage backend
+   */
+  constructor(store = new MemoryScanStore()) {
+    this.store = store;
+    this.payments = new Map();
+    this.checkpoints = new Map();
+    this.skipped = new Map();
+    this.loaded = false;
+  }
+
+  /**
+   * Reads the store into memory (once; later calls are no-ops).
+   *
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.loaded) return;
+    for (const record of await this.store.load()) {
+      if (record.type === 'payment') {
+        const payment = decodePayment(record.payment);
+        this.payments.set(paymentKey(payment), payment);
+      } else if (record.type === 'checkpoint') {
+        this.checkpoints.set(record.eventType, BigInt(record.version));
+      } else if (record.type === 'skipped') {
+        const announcement = decodeAnnouncement(record.announcement);
+        this.skipped.set(paymentKey(announcement), announcement);
+      } else if (record.type === 'unskipped') {
+        this.skipped.delete(record.key);
+      }
+    }
+    this.loaded = true;
+  }
+
+  /**
+   * Last fully scanned ledger version for an event type.
+   *
+   * @param {string} eventType - Full event type, see `PivyScanner.getEventType`
+   * @returns {Promise<bigint>} Checkpoint version, or 0n if never scanned
+   */
+  async getCheckpoint(eventType) {
+    await this.load();
+    return this.checkpoints.get(eventType) ?? 0n;
+  }
+
+  /**
+   * Whether a payment is already in the index.
+   *
+   * @param {Object} payment - Payment from `PivyScanner`
+   * @returns {Promise<boolean>}
+   */
+  async has(payment) {
+    await this.load();
+    return this.payments.has(paymentKey(payment));
+  }
+
+  /**
+   * Stores new payments and moves an event type's checkpoint forward.
+   *
+   * Payments already in the index are skipped, and the checkpoint never
+   * moves backwards.
+   *
+   * @param {string} eventType - Full event type the payments came from
+   * @param {Object[]} payments - Payments from `PivyScanner`
+   * @param {bigint} checkpoint - Highest fully scanned version
+   * @param {Object[]} [skipped=[]] - Announcements the scan policy skipped
+   *   (`skipped` from `PivyScanner`), kept for `retrySkipped`
+   * @returns {Promise<Object[]>} The payments that were new
+   */
+  async record(eventType, payments, checkpoint, skipped = []) {
+    await this.load();
+
+    const added = payments.filter((payment) => !this.payments.has(paymentKey(payment)));
+    const records = added.map((payment) => ({ type: 'payment', payment: encodePayment(payment) }));
+
+    const newlySkipped = skipped.filter((announcement) => !this.skipped.has(paymentKey(announcement)));
+    for (const announcement of newlySkipped) {
+      records.push({ type: 'skipped', announcement: encodeAnnouncement(announcement) });
+    }
+
+    const previous = this.checkpoints.get(eventType) ?? 0n;
+    if (checkpoint > previous) {
+      records.push({ type: 'checkpoint', eventType, version: String(checkpoint) });
+    }
+
+    await this.store.append(records);
+
+    for (const payment of added) this.payments.set(paymentKey(payment), payment);
+    for (const announcement of newlySkipped) this.skipped.set(paymentKey(announcement), announcement);
+    if (checkpoint > previous) this.checkpoints.set(eventType, checkpoint);
+
+    return added;
+  }
+
+  /**
+   * Announcements the scan policy skipped that are still unresolved,
+   * oldest first.
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.reason] - Only this SKIP_REASON
+   * @returns {Promise<Object[]>} Announcements with their `skipReason`
+   */
+  async getSkipped({ reason } = {}) {
+    await this.load();
+    return [...this.skipped.values()]
+      .filter((a) => !reason || a.skipReason === reason)
+      .sort(compareVersions);
+  }
+
+  /**
+   * Matches the skipped announcements again (see `PivyScanner.matchSkipped`)
+   * and records the receiver's payments among them.
+   *
+   * Announcements that matched, or turned out not to be the receiver's,
+   * leave the skipped list; those the policy still skips stay.
+   *
+   * @param {PivyScanner} scanner - Scanner for the receiver's keys
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Only retry this SKIP_REASON
+   * @param {boolean} [options.applyPolicy=true] - As for `matchSkipped`;
+   *   false accepts every skipped announcement that is the receiver's
+   * @returns {Promise<Object>} `{ added, skipped }` - payments new to the
+   *   index and the announcements still skipped
+   *
+   * @example
+   * // The payer was rate limited, but these payments are wanted
+   * await index.retrySkipped(scanner, { reason: SKIP_REASON.RATE, applyPolicy: false });
+   */
+  async retrySkipped(scanner, { reason, applyPolicy = true } = {}) {
+    const retried = await this.getSkipped({ reason });
+    const { payments, skipped } = await scanner.matchSkipped(retried, { applyPolicy });
+
+    const added = payments.filter((payment) => !this.payments.has(paymentKey(payment)));
+    const still = new Map(skipped.map((announcement) => [paymentKey(announcement), announcement]));
+    const resolved = retried.filter((announcement) => !still.has(paymentKey(announcement)));
+
+    await this.store.append([
+      ...added.map((payment) => ({ type: 'payment', payment: encodePayment(payment) })),
+      ...resolved.map((announcement) => ({ type: 'unskipped', key: paymentKey(announcement) })),
+    ]);
+
+    for (const payment of added) this.payments.set(paymentKey(payment), payment);
+    for (const announcement of resolved) this.skipped.delete(paymentKey(announcement));
+
+    return { added, skipped: [...still.values()] };
+  }
+
+  /**
+   * Scans from each event type's checkpoint and records what is found.
+   *
+   * Progress is saved after every page, so an interrupted sync resumes
+   * from the last saved page.
+   *
+   * @param {PivyScanner} scanner - Scanner for the receiver's keys
+   * @param {Object} [options]
+   * @param {string[]} [options.kinds] - Event kinds to scan (default: both)
+   * @returns {Promise<Object>} `{ added, stats }` - payments new to the
+   *   index and the combined scanner stats
+   */
+  async sync(scanner, { kinds = Object.values(PAYMENT_EVENT_KIND) } = {}) {
+    await this.load();
+
+    const added = [];
+    const stats = {};
+
+    for (const kind of kinds) {
+      const eventType = scanner.getEventType(kind);
+      const result = await scanner.scan({
+        fromVersion: await this.getCheckpoint(eventType),
+        kinds: [kind],
+        onPage: async (page) => {
+          added.push(...(await this.record(page.eventType, page.payments, page.checkpoint, page.skipped)));
+        },
+      });
+      for (const [name, count] of Object.entries(result.stats)) {
+        stats[name] = (stats[name] ?? 0) + count;
+      }
+    }
+
+    return { added, stats };
+  }
+
+  /**
+   * Deletes every payment and checkpoint, then scans from genesis.
+   *
+   * Use after importing meta keys on a new device, or to rebuild an index
+   * made with different keys.
+   *
+   * @param {PivyScanner} scanner - Scanner for the receiver's keys
+   * @param {Object} [options] - Same as `sync`
+   * @returns {Promise<Object>} Same as `sync`
+   */
+  async rebuild(scanner, options) {
+    await this.store.clear();
+    this.payments.clear();
+    this.checkpoints.clear();
+    this.skipped.clear();
+    this.loaded = true;
+    return this.sync(scanner, options);
+  }
+
+  /**
+   * Payments in the index, oldest first.
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.stealthAddress] - Only payments to this address
+   * @param {string} [filter.assetType] - Only payments of this asset
+   * @returns {Promise<Object[]>} Payments as returned by `PivyScanner`
+   */
+  async getPayments({ stealthAddress, assetType } = {}) {
+    await this.load();
+    return [...this.payments.values()]
+      .filter((p) => !stealthAddress || p.stealthAddress === stealthAddress)
+      .filter((p) => !assetType || p.assetType === assetType)
+      .sort(compareVersions);
+  }
+}
+
+export default PivyScanIndex;
@@ -0,0 +1,209 @@
+/**
+ * PIVY Scan Pool - Parallel announcement matching
+ *
+ * Each announcement costs an ECDH plus point maths to test, which dominates
+ * large scans. A pool spreads batches of announcements over `worker_threads`
+ * (Node.js) or module Web Workers (browser), each running
+ * `PivyAnnouncementMatcher.matchAnnouncement` (see pivyScanWorker.js), and
+ * returns the results in input order - identical to matching on the main
+ * thread.
+ *
+ * @author PIVY Team
+ * @version 1.0.0
+ */
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Constants                                                       */
+/*──────────────────────────────────────────────────────────────────*/
+
+/** Batches queued per worker for each `match` call, for load balancing */
+const BATCHES_PER_WORKER = 4;
+
+const WORKER_URL = new URL('./pivyScanWorker.js', import.meta.url);
+
+const inNode = typeof process !== 'undefined' && Boolean(process.versions?.node);
+
+/** Number of logical CPUs, the default pool size */
+async function defaultPoolSize() {
+  if (globalThis.navigator?.hardwareConcurrency) return globalThis.navigator.hardwareConcurrency;
+  if (inNode) return (await import('os')).availableParallelism();
+  return 1;
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Main PivyScanPool Class                                         */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Pool of scan workers bound to one receiver's keys.
+ *
+ * Workers are started on first use. In Node.js they do not keep the
+ * process alive while idle, but call `close()` when done to free them.
+ *
+ * A worker that errors or exits is dropped and its batches are rejected,
+ * so the `match` call using it fails instead of hanging. The next `match`
+ * starts a replacement.
+ *
+ * @example
+ * const pool = new PivyScanPool(CONFIG, { metaViewPriv, metaSpendPub, size: 4 });
+ * const results = await pool.match(announcements); // payment or null each
+ * await pool.close();
+ */
+export class PivyScanPool {
+  /**
+   * @param {Object} config - Same config as the scanner
+   * @param {Object} options
+   * @param {Uint8Array} options.metaViewPriv - Receiver's meta view private key
+   * @param {Uint8Array} options.metaSpendPub - Receiver's meta spend public key
+   * @param {number} [options.scheme] - Receiver's scheme, as for PivyScanner
+   * @param {number} [options.size] - Number of workers (default: CPU count)
+   */
+  constructor(config, { metaViewPriv, metaSpendPub, scheme, size } = {}) {
+    this.config = config;
+    this.keys = { metaViewPriv, metaSpendPub, scheme };
+    this.size = size;
+    this.workers = null;
+    this.starting = null;
+    this.Worker = null;
+    this.pending = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * Starts the workers (once; later calls wait for the first), and
+   * replaces any that have died since.
+   *
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.starting ??= this.spawn();
+    await this.starting;
+    while (this.workers.length < this.size) this.workers.push(this.spawnWorker());
+  }
+
+  async spawn() {
+    this.size ??= await defaultPoolSize();
+    ({ Worker: this.Worker } = inNode ? await import('worker_threads') : globalThis);
+    this.workers = [];
+  }
+
+  spawnWorker() {
+    const worker = inNode ? new this.Worker(WORKER_URL) : new this.Worker(WORKER_URL, { type: 'module' });
+    const onMessage = (message) => this.settle(message);
+    const onError = (error) => this.retire(worker, error);
+    if (inNode) {
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      worker.on('exit', (code) => this.retire(worker, new Error(`Scan worker exited with code ${code}`)));
+      worker.unref();
+    } else {
+      worker.onmessage = (event) => onMessage(event.data);
+      worker.onerror = onError;
+    }
+    worker.postMessage({ type: 'init', config: this.config, options: this.keys });
+    return worker;
+  }
+
+  /** Drops a dead worker and rejects the batches it was running */
+  retire(worker, error) {
+    const index = this.workers?.indexOf(worker) ?? -1;
+    if (index === -1) return;
+    this.workers.splice(index, 1);
+    for (const [id, task] of this.pending) {
+      if (task.worker !== worker) continue;
+      this.pending.delete(id);
+      task.reject(error);
+    }
+    if (!this.pending.size) this.workers.forEach((w) => w.unref?.());
+    worker.terminate();
+  }
+
+  /**
+   * Matches announcements against the receiver's keys on the workers.
+   *
+   * @param {Object[]} announcements - Records from an AnnouncementSource
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - `({ done, total, matched })
+   *   => void`, called as each batch finishes
+   * @returns {Promise<Array<Object|null>>} One payment (see
+   *   `PivyAnnouncementMatcher.matchAnnouncement`) or null per
+   *   announcement, in order
+   */
+  async match(announcements, { onProgress } = {}) {
+    if (!announcements.length) return [];
+    await this.start();
+
+    const batchSize = Math.ceil(announcements.length / (this.workers.length * BATCHES_PER_WORKER));
+    const batches = [];
+    for (let start = 0; start < announcements.length; start += batchSize) {
+      batches.push(announcements.slice(start, start + batchSize));
+    }
+
+    // Each worker takes the next batch as soon as it is free; after a
+    // failure the others stop taking batches
+    const results = new Array(batches.length);
+    let next = 0;
+    let done = 0;
+    let matched = 0;
+    let failed = false;
+    const drain = async (worker) => {
+      while (next < batches.length && !failed) {
+        const index = next++;
+        try {
+          results[index] = await this.run(worker, batches[index]);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+        done += batches[index].length;
+        matched += results[index].filter(Boolean).length;
+        onProgress?.({ done, total: announcements.length, matched });
+      }
+    };
+    await Promise.all([...this.workers].map(drain));
+
+    return results.flat();
+  }
+
+  /** Sends one batch to a worker */
+  run(worker, announcements) {
+    if (!this.workers?.includes(worker)) return Promise.reject(new Error('Scan worker is no longer running'));
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, worker });
+      if (this.pending.size === 1) this.workers.forEach((w) => w.ref?.());
+      worker.postMessage({ type: 'match', id, announcements });
+    });
+  }
+
+  settle({ id, results, error }) {
+    const task = this.pending.get(id);
+    if (!task) return;
+    this.pending.delete(id);
+    if (!this.pending.size) this.workers.forEach((w) => w.unref?.());
+    if (error) task.reject(new Error(`Scan worker failed: ${error}`));
+    else task.resolve(results);
+  }
+
+  failAll(error) {
+    for (const { reject } of this.pending.values()) reject(error);
+    this.pending.clear();
+  }
+
+  /**
+   * Terminates the workers. The pool restarts them if used again.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.starting) return;
+    await this.starting;
+    const workers = this.workers;
+    this.workers = null;
+    this.starting = null;
+    this.failAll(new Error('Scan pool closed'));
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+export default PivyScanPool;
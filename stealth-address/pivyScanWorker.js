@@ -0,0 +1,47 @@
+/**
+ * PIVY Scan Worker - Announcement matching off the main thread
+ *
+ * Entry point for the workers of a `PivyScanPool`. Runs under Node.js
+ * `worker_threads` and as a module Web Worker in the browser, and matches
+ * batches of announcements with the same `PivyAnnouncementMatcher` as the
+ * single-threaded path. It imports nothing that needs Node.js built-ins,
+ * apart from `worker_threads` when running under Node.js.
+ *
+ * Messages in:
+ * - `{ type: 'init', config, options }` - receiver keys and scheme
+ * - `{ type: 'match', id, announcements }` - one batch
+ *
+ * Messages out:
+ * - `{ id, results }` - one payment or null per announcement, in order
+ * - `{ id, error }` - the batch failed
+ *
+ * @author PIVY Team
+ * @version 1.0.0
+ */
+
+import { PivyAnnouncementMatcher } from './pivyAnnouncementMatcher.js';
+
+const inBrowser = typeof WorkerGlobalScope !== 'undefined';
+const port = inBrowser ? self : (await import('worker_threads')).parentPort;
+
+let matcher = null;
+
+async function handle(message) {
+  if (message.type === 'init') {
+    matcher = new PivyAnnouncementMatcher(message.options);
+    return;
+  }
+
+  try {
+    const results = [];
+    for (const announcement of message.announcements) {
+      results.push(await matcher.matchAnnouncement(announcement));
+    }
+    port.postMessage({ id: message.id, results });
+  } catch (error) {
+    port.postMessage({ id: message.id, error: error.message });
+  }
+}
+
+if (inBrowser) self.onmessage = (event) => handle(event.data);
+else port.on('message', handle);
@@ -0,0 +1,663 @@
+/**
+ * PIVY Scanner - Discovers a receiver's stealth payments on-chain
+ *
+ * Pages through the `PaymentEvent<CoinType>` and `PaymentEventFA` module
+ * events of a `pivy_stealth` package and tests each announcement's
+ * `eph_pubkey` against the receiver's view key. Only the view private key
+ * and the spend PUBLIC key are needed, so scanning can run on a server
+ * that never holds spend keys.
+ *
+ * @author PIVY Team
+ * @version 1.0.0
+ */
+
+import PivyStealthAptos from './pivyStealthHelpersAptos.js';
+import { PivyAnnouncementMatcher } from './pivyAnnouncementMatcher.js';
+import { PivyPaymentWatcher } from './pivyWatcher.js';
+import { PivyPortfolio, primaryStoreAddress } from './pivyPortfolio.js';
+import { PivyScanPool } from './pivyScanPool.js';
+import {
+  IndexerAnnouncementSource,
+  normalizeAddress,
+  normalizeAnnouncement,
+  PAYMENT_EVENT_KIND,
+} from './pivyAnnouncementSources.js';
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Constants                                                       */
+/*──────────────────────────────────────────────────────────────────*/
+
+export { PAYMENT_EVENT_KIND };
+
+/** Events fetched per page when none is configured */
+export const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Why the scan policy skipped an announcement; each is also a scan stats key.
+ *
+ * - ASSET: asset not on the allowlist
+ * - DUST: amount below the asset's minimum
+ * - EPH_PUBKEY: `eph_pubkey` is not a valid point (wrong length or off-curve)
+ * - RATE: payer exceeded the announcement rate limit
+ */
+export const SKIP_REASON = Object.freeze({
+  ASSET: 'disallowedAsset',
+  DUST: 'dust',
+  EPH_PUBKEY: 'invalidEphPubkey',
+  RATE: 'rateLimited',
+});
+
+/**
+ * Skips that depend only on the scan policy, so an announcement skipped
+ * for one of them can match once the policy allows it. Invalid ephemeral
+ * keys never match and are not kept.
+ */
+export const RETRYABLE_SKIP_REASONS = Object.freeze([SKIP_REASON.ASSET, SKIP_REASON.DUST, SKIP_REASON.RATE]);
+
+/** FA metadata addresses compare normalised; coin types as written */
+function assetKey(assetType) {
+  return String(assetType).includes('::') ? assetType : normalizeAddress(assetType);
+}
+
+/**
+ * Spend status of a payment, from the withdrawals of its stealth address.
+ *
+ * - UNSPENT: nothing withdrawn yet
+ * - PARTIAL: some of the amount withdrawn
+ * - WITHDRAWN: the whole amount withdrawn
+ */
+export const PAYMENT_STATUS = Object.freeze({
+  UNSPENT: 'unspent',
+  PARTIAL: 'partially-withdrawn',
+  WITHDRAWN: 'withdrawn',
+});
+
+/**
+ * Whether a payment's announced funds actually arrived.
+ *
+ * - VERIFIED: the announcing transaction deposited exactly the announced
+ *   amount to the stealth address, or (for a bare `announce`) the stealth
+ *   address holds enough of the asset to cover it
+ * - ANNOUNCE_ONLY: nothing was deposited and the balance does not cover
+ *   the amount - likely a spoofed announcement
+ * - MISMATCH: the transaction deposited a different amount than announced
+ */
+export const VERIFICATION_STATUS = Object.freeze({
+  VERIFIED: 'verified',
+  ANNOUNCE_ONLY: 'announce-only',
+  MISMATCH: 'mismatch',
+});
+
+/** Payments of one asset at one stealth address share their withdrawals */
+function holdingKey({ stealthAddress, stealthOwner, kind, assetType }) {
+  return `${stealthAddress ?? stealthOwner}|${kind}|${assetType}`;
+}
+
+function compareVersions(a, b) {
+  if (a.transactionVersion !== b.transactionVersion) {
+    return a.transactionVersion < b.transactionVersion ? -1 : 1;
+  }
+  return a.eventIndex - b.eventIndex;
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Main PivyScanner Class                                          */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Scans `pivy_stealth` payment announcements for one receiver.
+ *
+ * Announcements are read from an AnnouncementSource (see
+ * pivyAnnouncementSources.js), the Aptos indexer by default. Pass a
+ * `FileAnnouncementSource` or `MemoryAnnouncementSource` to scan a
+ * recorded fixture or a local stand-in event source.
+ *
+ * @example
+ * const scanner = new PivyScanner(aptos, CONFIG, {
+ *   metaViewPriv,
+ *   metaSpendPub: metaKeys.metaSpendPubB58,
+ * });
+ * const { payments } = await scanner.scan();
+ * for (const p of payments) {
+ *   console.log(p.stealthAddress, p.assetType, p.amount, p.note);
+ * }
+ */
+export class PivyScanner {
+  /**
+   * @param {Aptos} aptosClient - Aptos SDK client (unused with a custom `source`)
+   * @param {Object} config - Demo-style config with `PIVY_STEALTH.packageId`
+   *   and `PIVY_STEALTH.moduleName`
+   * @param {Object} options
+   * @param {string|Uint8Array} options.metaViewPriv - Receiver's meta view private key
+   * @param {string|Uint8Array} options.metaSpendPub - Receiver's meta spend public key
+   * @param {number} [options.scheme] - Scheme of the receiver's meta-address;
+   *   when omitted it is inferred per announcement
+   * @param {number} [options.pageSize=DEFAULT_PAGE_SIZE] - Events per page
+   * @param {Object} [options.source] - AnnouncementSource to read from
+   *   (default: IndexerAnnouncementSource over `aptosClient`)
+   * @param {Object} [options.policy] - Spam and dust filters, applied before
+   *   any ECDH; skipped announcements are counted per SKIP_REASON in the
+   *   scan stats
+   * @param {Object} [options.policy.minAmounts] - Minimum amount per coin
+   *   type / FA metadata address, in base units; smaller payments are dust
+   * @param {string[]} [options.policy.allowedAssets] - Only scan these coin
+   *   types / FA metadata addresses (default: all)
+   * @param {boolean} [options.policy.rejectInvalidEphPubkey=true] - Skip
+   *   announcements whose `eph_pubkey` is not a valid curve point
+   * @param {Object} [options.policy.payerRateLimit] - `{ maxAnnouncements,
+   *   windowSeconds }`: skip a payer's announcements beyond
+   *   `maxAnnouncements` within any `windowSeconds` of block time. Counted
+   *   across all receivers, so set it well above what a busy merchant pays.
+   *   Each announcement counts once, however often it is re-read
+   * @param {number|PivyScanPool} [options.workers] - Match announcements on
+   *   this many worker threads (or on a given pool) instead of the main
+   *   thread; call `close()` when done. Use a `pageSize` of several hundred
+   *   so each page keeps the workers busy
+   */
+  constructor(aptosClient, config, options) {
+    const { metaViewPriv, metaSpendPub, scheme, pageSize = DEFAULT_PAGE_SIZE, source, policy = {}, workers } = options;
+
+    this.aptosClient = aptosClient;
+    this.config = config;
+    this.pivy = new PivyStealthAptos();
+    this.metaViewPriv = this.pivy.to32u8(metaViewPriv);
+    this.metaSpendPub = this.pivy.to32u8(metaSpendPub);
+    this.scheme = scheme;
+    this.matcher = new PivyAnnouncementMatcher({
+      metaViewPriv: this.metaViewPriv,
+      metaSpendPub: this.metaSpendPub,
+      scheme,
+      pivy: this.pivy,
+    });
+    this.pageSize = pageSize;
+    this.source = source ?? new IndexerAnnouncementSource(aptosClient, config);
+    this.portfolio = new PivyPortfolio(aptosClient);
+
+    this.minAmounts = new Map(Object.entries(policy.minAmounts ?? {})
+      .map(([asset, amount]) => [assetKey(asset), BigInt(amount)]));
+    this.allowedAssets = policy.allowedAssets ? new Set(policy.allowedAssets.map(assetKey)) : null;
+    this.rejectInvalidEphPubkey = policy.rejectInvalidEphPubkey ?? true;
+    this.payerRateLimit = policy.payerRateLimit ?? null;
+    this.payerActivity = new Map();
+
+    this.pool = typeof workers === 'number'
+      ? new PivyScanPool(config, { metaViewPriv: this.metaViewPriv, metaSpendPub: this.metaSpendPub, scheme, size: workers })
+      : workers ?? null;
+  }
+
+  /**
+   * Fully-qualified Move event type for a payment event kind.
+   *
+   * @param {string} kind - One of PAYMENT_EVENT_KIND
+   * @returns {string} e.g. `0x…::pivy_stealth::PaymentEventFA`; the Coin
+   *   type has no type argument since it is generic over every coin
+   */
+  getEventType(kind) {
+    const { packageId, moduleName } = this.config.PIVY_STEALTH;
+    const name = kind === PAYMENT_EVENT_KIND.FA ? 'PaymentEventFA' : 'PaymentEvent';
+    return `${packageId}::${moduleName}::${name}`;
+  }
+
+  /**
+   * Scans payment announcements and returns the receiver's payments.
+   *
+   * @param {Object} [options]
+   * @param {bigint|number|string} [options.fromVersion=0] - Only events after
+   *   this ledger version are read
+   * @param {string[]} [options.kinds] - Event kinds to scan (default: both)
+   * @param {Function} [options.onPage] - `async ({ kind, eventType, payments,
+   *   skipped, checkpoint }) => void`, awaited after each page. `checkpoint`
+   *   is the highest version whose events have all been read, so a scan
+   *   resumed from it neither skips nor (after de-duplication) repeats
+   *   payments. `skipped` are the page's announcements skipped for a
+   *   RETRYABLE_SKIP_REASONS reason; keep them to `matchSkipped` later,
+   *   since a scan resumed from `checkpoint` does not read them again
+   * @param {boolean} [options.verify=false] - Check each matched payment
+   *   against its transaction's deposits (see `verifyPayments`); needs a
+   *   fullnode client
+   * @param {Function} [options.onProgress] - `({ kind, scanned, matched,
+   *   skipped, lastVersion }) => void`, called as announcements are matched
+   *   (per worker batch with `workers`, else per page)
+   * @returns {Promise<Object>} Scan result
+   * @returns {Object[]} returns.payments - Matched payments (see `matchAnnouncement`)
+   * @returns {Object[]} returns.skipped - Announcements skipped for a
+   *   RETRYABLE_SKIP_REASONS reason, with that reason as `skipReason`
+   * @returns {Object} returns.stats - `{ scanned, matched, skipped }` event
+   *   counts, plus one count per SKIP_REASON
+   * @returns {Object} returns.lastVersion - Highest ledger version read per
+   *   kind (or `fromVersion` if none), for resuming the next scan
+   *
+   * @example
+   * const first = await scanner.scan();
+   * const next = await scanner.scan({ fromVersion: first.lastVersion.coin });
+   */
+  async scan({ fromVersion = 0n, kinds = Object.values(PAYMENT_EVENT_KIND), onPage, verify = false, onProgress } = {}) {
+    const payments = [];
+    const skipped = [];
+    const stats = { scanned: 0, matched: 0, skipped: 0 };
+    for (const reason of Object.values(SKIP_REASON)) stats[reason] = 0;
+    const lastVersion = {};
+
+    for (const kind of kinds) {
+      const eventType = this.getEventType(kind);
+      lastVersion[kind] = BigInt(fromVersion);
+
+      for (let offset = 0; ; offset += this.pageSize) {
+        const announcements = await this.source.fetchAnnouncements({
+          kind,
+          fromVersion: BigInt(fromVersion),
+          offset,
+          limit: this.pageSize,
+        });
+
+        const candidates = [];
+        const pageSkipped = [];
+        for (const announcement of announcements) {
+          const version = announcement.transactionVersion;
+          if (version > lastVersion[kind]) lastVersion[kind] = version;
+
+          const reason = this.skipReason(announcement);
+          if (!reason) {
+            candidates.push(announcement);
+            continue;
+          }
+          stats.skipped++;
+          stats[reason]++;
+          if (RETRYABLE_SKIP_REASONS.includes(reason)) pageSkipped.push({ ...announcement, skipReason: reason });
+        }
+        this.prunePayerActivity(kind, announcements);
+
+        const before = { ...stats };
+        const progress = ({ done, matched }) => onProgress?.({
+          kind,
+          scanned: before.scanned + announcements.length - candidates.length + done,
+          matched: before.matched + matched,
+          skipped: stats.skipped,
+          lastVersion: lastVersion[kind],
+        });
+        const matches = await this.matchAnnouncements(candidates, { onProgress: progress });
+
+        let pagePayments = matches.filter(Boolean);
+        stats.scanned += announcements.length;
+        stats.matched += pagePayments.length;
+
+        if (verify) pagePayments = await this.verifyPayments(pagePayments);
+        payments.push(...pagePayments);
+        skipped.push(...pageSkipped);
+
+        // A full page may stop part-way through the last version's events
+        const done = announcements.length < this.pageSize;
+        if (onPage) {
+          const checkpoint = done ? lastVersion[kind] : lastVersion[kind] - 1n;
+          await onPage({ kind, eventType, payments: pagePayments, skipped: pageSkipped, checkpoint });
+        }
+
+        if (done) break;
+      }
+    }
+
+    return { payments, skipped, stats, lastVersion };
+  }
+
+  /**
+   * Matches announcements a scan skipped, e.g. after the policy changed
+   * or to accept a rate-limited payer after all.
+   *
+   * @param {Object[]} announcements - `skipped` from `scan` or `onPage`,
+   *   or `PivyScanIndex.getSkipped()`
+   * @param {Object} [options]
+   * @param {boolean} [options.applyPolicy=true] - Apply the current policy
+   *   again; false matches every announcement
+   * @returns {Promise<Object>} `{ payments, skipped }` - the receiver's
+   *   payments, and the announcements the policy still skips (with their
+   *   current `skipReason`). Announcements in neither were not for the
+   *   receiver
+   */
+  async matchSkipped(announcements, { applyPolicy = true } = {}) {
+    const candidates = [];
+    const skipped = [];
+    for (const announcement of announcements) {
+      const reason = applyPolicy ? this.skipReason(announcement) : null;
+      if (!reason) candidates.push(announcement);
+      else if (RETRYABLE_SKIP_REASONS.includes(reason)) skipped.push({ ...announcement, skipReason: reason });
+    }
+
+    const matches = await this.matchAnnouncements(candidates);
+    return { payments: matches.filter(Boolean), skipped };
+  }
+
+  /**
+   * Matches announcements on the worker pool, or one by one on this
+   * thread without one. Results are identical either way.
+   *
+   * @param {Object[]} announcements - Records from an AnnouncementSource
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - `({ done, total, matched })
+   *   => void`, per worker batch (once at the end without a pool)
+   * @returns {Promise<Array<Object|null>>} Payment or null per announcement
+   */
+  async matchAnnouncements(announcements, { onProgress } = {}) {
+    if (this.pool) return this.pool.match(announcements, { onProgress });
+
+    const results = [];
+    for (const announcement of announcements) {
+      results.push(await this.matchAnnouncement(announcement));
+    }
+    const total = announcements.length;
+    onProgress?.({ done: total, total, matched: results.filter(Boolean).length });
+    return results;
+  }
+
+  /**
+   * Stops the scan workers, if any. The scanner stays usable and restarts
+   * them on the next scan.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.pool?.close();
+  }
+
+  /**
+   * Applies the scan policy to an announcement, without any ECDH.
+   *
+   * Every announcement counts toward its payer's rate, even one skipped
+   * for another reason. An announcement read again (overlapping pages,
+   * resumed scans, retries) is not counted twice.
+   *
+   * @param {Object} announcement - Record from an AnnouncementSource
+   * @returns {string|null} One of SKIP_REASON, or null to scan it
+   */
+  skipReason(announcement) {
+    const limited = this.payerRateLimit && this.recordPayerActivity(announcement);
+    const asset = assetKey(announcement.assetType);
+
+    if (this.allowedAssets && !this.allowedAssets.has(asset)) return SKIP_REASON.ASSET;
+    if (announcement.amount < (this.minAmounts.get(asset) ?? 0n)) return SKIP_REASON.DUST;
+    if (this.rejectInvalidEphPubkey && !this.pivy.isValidEphemeralPub(announcement.ephPubkey, { scheme: this.scheme })) {
+      return SKIP_REASON.EPH_PUBKEY;
+    }
+    return limited ? SKIP_REASON.RATE : null;
+  }
+
+  /**
+   * Notes one announcement by its payer; true if, counting it, the payer
+   * made more than `maxAnnouncements` in the window ending at it.
+   */
+  recordPayerActivity({ payer, timestamp, kind, transactionVersion, eventIndex }) {
+    const { maxAnnouncements, windowSeconds } = this.payerRateLimit;
+    if (!this.payerActivity.has(payer)) this.payerActivity.set(payer, new Map());
+    const activity = this.payerActivity.get(payer);
+    activity.set(`${transactionVersion}:${eventIndex}`, { kind, timestamp });
+
+    let recent = 0;
+    for (const entry of activity.values()) {
+      if (entry.timestamp <= timestamp && entry.timestamp > timestamp - windowSeconds) recent++;
+    }
+    return recent > maxAnnouncements;
+  }
+
+  /**
+   * Forgets rate-limit history a kind's scan has moved a full window past.
+   *
+   * Pages of one kind arrive in version (so block time) order, so nothing
+   * older than the page's first announcement minus the window can count
+   * against a later one.
+   */
+  prunePayerActivity(kind, announcements) {
+    if (!this.payerRateLimit || !announcements.length) return;
+    const horizon = announcements[0].timestamp - this.payerRateLimit.windowSeconds;
+    for (const [payer, activity] of this.payerActivity) {
+      for (const [key, entry] of activity) {
+        if (entry.kind === kind && entry.timestamp <= horizon) activity.delete(key);
+      }
+      if (!activity.size) this.payerActivity.delete(payer);
+    }
+  }
+
+  /**
+   * Starts watching for new payments (see PivyPaymentWatcher).
+   *
+   * @param {Object} [options] - `pollInterval`, `maxBackoff`, `fromVersion`,
+   *   `index` and `kinds`, as for PivyPaymentWatcher
+   * @returns {PivyPaymentWatcher} Running watcher
+   *
+   * @example
+   * const watcher = scanner.watch({ pollInterval: 3_000, index });
+   * watcher.on('payment', (payment) => markInvoicePaid(payment));
+   * process.on('SIGTERM', () => watcher.stop());
+   */
+  watch(options) {
+    return new PivyPaymentWatcher(this, options).start();
+  }
+
+  /**
+   * Flags announcements that moved no funds.
+   *
+   * `announce<CoinType>` and `announce_fa` are public and move nothing, so
+   * anyone can announce a payment that never happened. Each payment's
+   * transaction is checked for a deposit of the asset to the stealth
+   * address: a `coin::CoinDeposit` event, or a `fungible_asset::Deposit` to
+   * its primary store (also for coins that deposit as their paired FA, like
+   * APT). Legacy `coin::DepositEvent`s carry no coin type and are not
+   * trusted. Payments of one asset to one stealth address in the same
+   * transaction are checked together: their deposits must add up to the
+   * amounts the transaction announced for them.
+   *
+   * An announcement without a deposit is still verified when the stealth
+   * address holds enough of the asset, since funds may have arrived in a
+   * separate transaction. That balance is shared by all such payments to
+   * the address, oldest first, so one real transfer cannot back several
+   * fake announcements.
+   *
+   * @param {Object[]} payments - Payments from `scan` or a PivyScanIndex
+   * @returns {Promise<Object[]>} Copies of `payments`, in the same order, with:
+   * @returns {string} returns[].verification - One of VERIFICATION_STATUS
+   * @returns {string|null} returns[].verifiedBy - `'deposit'` or `'balance'`
+   *   when verified, else null
+   * @returns {bigint} returns[].deposited - Amount the transaction deposited
+   *   to the stealth address (for all its payments of the asset there)
+   *
+   * @example
+   * const checked = await scanner.verifyPayments(payments);
+   * const spoofed = checked.filter((p) => p.verification !== VERIFICATION_STATUS.VERIFIED);
+   */
+  async verifyPayments(payments) {
+    const transactions = new Map();
+    const checked = [];
+    const announced = new Map();
+    for (const payment of payments) {
+      const version = String(payment.transactionVersion);
+      if (!transactions.has(version)) {
+        transactions.set(version, await this.aptosClient.getTransactionByVersion({ ledgerVersion: version }));
+      }
+      const events = transactions.get(version).events ?? [];
+      const entry = { ...payment, deposited: await this.getDeposited(payment, events) };
+      announced.set(entry, this.getAnnounced(payment, events));
+      checked.push(entry);
+    }
+
+    // Announcements without a deposit draw on the current balance
+    const budgets = new Map();
+    for (const payment of [...checked].sort(compareVersions)) {
+      if (payment.deposited === announced.get(payment)) {
+        Object.assign(payment, { verification: VERIFICATION_STATUS.VERIFIED, verifiedBy: 'deposit' });
+      } else if (payment.deposited > 0n) {
+        Object.assign(payment, { verification: VERIFICATION_STATUS.MISMATCH, verifiedBy: null });
+      } else {
+        const key = holdingKey(payment);
+        if (!budgets.has(key)) budgets.set(key, await this.getHoldingBalance(payment));
+        const covered = budgets.get(key) >= payment.amount;
+        if (covered) budgets.set(key, budgets.get(key) - payment.amount);
+        Object.assign(payment, covered
+          ? { verification: VERIFICATION_STATUS.VERIFIED, verifiedBy: 'balance' }
+          : { verification: VERIFICATION_STATUS.ANNOUNCE_ONLY, verifiedBy: null });
+      }
+    }
+
+    return checked;
+  }
+
+  /** Amount of a payment's asset that `events` deposited to its stealth address */
+  async getDeposited(payment, events) {
+    const isFa = payment.kind === PAYMENT_EVENT_KIND.FA;
+    const metadata = isFa ? payment.assetType : await this.portfolio.getPairedMetadata(payment.assetType);
+    const store = metadata ? primaryStoreAddress(payment.stealthAddress, metadata) : null;
+
+    let deposited = 0n;
+    for (const { type, data } of events) {
+      if (!isFa && type === '0x1::coin::CoinDeposit') {
+        if (data.coin_type === payment.assetType && normalizeAddress(data.account) === payment.stealthAddress) {
+          deposited += BigInt(data.amount);
+        }
+      } else if (store && type === '0x1::fungible_asset::Deposit') {
+        if (normalizeAddress(data.store) === store) deposited += BigInt(data.amount);
+      }
+    }
+    return deposited;
+  }
+
+  /**
+   * Amount of a payment's asset that `events` announced to its stealth
+   * address; at least the payment's own amount
+   */
+  getAnnounced(payment, events) {
+    let announced = 0n;
+    for (const event of events) {
+      const announcement = normalizeAnnouncement(event, this.config, { version: payment.transactionVersion });
+      if (announcement && holdingKey(announcement) === holdingKey(payment)) announced += announcement.amount;
+    }
+    return announced > payment.amount ? announced : payment.amount;
+  }
+
+  /** Current balance of a payment's asset at its stealth address */
+  async getHoldingBalance(payment) {
+    const isFa = payment.kind === PAYMENT_EVENT_KIND.FA;
+    const balances = await this.portfolio.getAddressBalances(payment.stealthAddress, isFa
+      ? { faMetadata: [payment.assetType] }
+      : { coinTypes: [payment.assetType] });
+    const asset = balances.find((b) => (isFa
+      ? b.faMetadata === payment.assetType
+      : b.coinType === payment.assetType));
+    return asset?.balance ?? 0n;
+  }
+
+  /**
+   * Marks payments spent or unspent from the `WithdrawEvent<CoinType>` /
+   * `WithdrawEventFA` events of their stealth addresses.
+   *
+   * Withdrawals are matched by stealth address and asset, and consume the
+   * earliest received payments first (a withdrawal never consumes a payment
+   * that arrived after it). Withdrawn amounts beyond what the payments
+   * carried, e.g. from a direct transfer, are ignored.
+   *
+   * @param {Object[]} payments - Payments from `scan` or a PivyScanIndex
+   * @returns {Promise<Object[]>} Copies of `payments`, in the same order, with:
+   * @returns {string} returns[].status - One of PAYMENT_STATUS
+   * @returns {bigint} returns[].withdrawn - Amount withdrawn from this payment
+   * @returns {bigint} returns[].remaining - Amount still at the stealth address
+   * @returns {Object[]} returns[].withdrawals - `{ amount, destination,
+   *   timestamp, transactionVersion, eventIndex }` per withdrawal that drew
+   *   on this payment (`amount` is the part taken from this payment)
+   * @returns {string[]} returns[].destinations - Addresses that received funds
+   *
+   * @example
+   * const tracked = await scanner.trackWithdrawals(payments);
+   * const available = tracked.filter((p) => p.status !== PAYMENT_STATUS.WITHDRAWN);
+   */
+  async trackWithdrawals(payments) {
+    const tracked = payments.map((payment) => ({
+      ...payment,
+      withdrawn: 0n,
+      withdrawals: [],
+    }));
+
+    const holdings = new Map();
+    for (const payment of [...tracked].sort(compareVersions)) {
+      const key = holdingKey(payment);
+      if (!holdings.has(key)) holdings.set(key, []);
+      holdings.get(key).push(payment);
+    }
+
+    for (const kind of new Set(tracked.map((payment) => payment.kind))) {
+      const ofKind = tracked.filter((payment) => payment.kind === kind);
+      const fromVersion = ofKind.reduce((min, p) => (p.transactionVersion < min ? p.transactionVersion : min), ofKind[0].transactionVersion);
+
+      for (let offset = 0; ; offset += this.pageSize) {
+        const withdrawals = await this.source.fetchWithdrawals({
+          kind,
+          fromVersion: fromVersion - 1n,
+          offset,
+          limit: this.pageSize,
+        });
+
+        for (const withdrawal of withdrawals) {
+          const holding = holdings.get(holdingKey(withdrawal));
+          if (holding) this.applyWithdrawal(holding, withdrawal);
+        }
+
+        if (withdrawals.length < this.pageSize) break;
+      }
+    }
+
+    return tracked.map((payment) => {
+      const remaining = payment.amount - payment.withdrawn;
+      const status = payment.withdrawn === 0n
+        ? PAYMENT_STATUS.UNSPENT
+        : remaining === 0n ? PAYMENT_STATUS.WITHDRAWN : PAYMENT_STATUS.PARTIAL;
+      const destinations = [...new Set(payment.withdrawals.map((w) => w.destination))];
+      return { ...payment, status, remaining, destinations };
+    });
+  }
+
+  /** Draws one withdrawal from a holding's payments, oldest first */
+  applyWithdrawal(holding, withdrawal) {
+    let left = withdrawal.amount;
+    for (const payment of holding) {
+      if (left === 0n || compareVersions(payment, withdrawal) > 0) break;
+
+      const take = payment.amount - payment.withdrawn < left ? payment.amount - payment.withdrawn : left;
+      if (take === 0n) continue;
+
+      payment.withdrawn += take;
+      left -= take;
+      payment.withdrawals.push({
+        amount: take,
+        destination: withdrawal.destination,
+        timestamp: withdrawal.timestamp,
+        transactionVersion: withdrawal.transactionVersion,
+        eventIndex: withdrawal.eventIndex,
+      });
+    }
+  }
+
+  /**
+   * Current balances of the receiver's stealth addresses (see PivyPortfolio).
+   *
+   * @param {Object[]} [payments] - Payments from `scan` or a PivyScanIndex
+   *   (default: a full scan)
+   * @returns {Promise<Object>} `{ addresses, assets }` - per-address balances
+   *   and per-asset totals
+   *
+   * @example
+   * const { assets } = await scanner.getStealthPortfolio(await index.getPayments());
+   * const usdc = assets.find((a) => a.symbol === 'USDC');
+   */
+  async getStealthPortfolio(payments) {
+    payments ??= (await this.scan()).payments;
+    return this.portfolio.getStealthPortfolio(payments);
+  }
+
+  /**
+   * Tests one announcement against the receiver's keys (see
+   * `PivyAnnouncementMatcher.matchAnnouncement`).
+   *
+   * @param {Object} announcement - Record from an AnnouncementSource
+   * @returns {Promise<Object|null>} The payment, or null if it is not ours
+   */
+  async matchAnnouncement(announcement) {
+    return this.matcher.matchAnnouncement(announcement);
+  }
+}
+
+export default PivyScanner;
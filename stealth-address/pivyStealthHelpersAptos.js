@@ -6,8 +6,15 @@
  * 
  * Features:
  * - Stealth address generation and recovery
- * - Ephemeral key encryption/decryption
- * - Private note encryption/decryption
+ * - Domain-separated (HKDF) key derivation with versioned schemes
+ * - ERC-5564-style view tags for fast announcement scanning
+ * - Checksummed stealth meta-address strings (st:apt:...)
+ * - Deterministic meta keys from a BIP39 mnemonic or seed
+ * - Meta keys recoverable from an existing Ed25519 wallet signature
+ * - Native Ed25519 stealth scheme producing Aptos Ed25519 accounts
+ * - Watch-only stealth address derivation (view key + spend public key)
+ * - Ephemeral key encryption/decryption (versioned memo envelope)
+ * - Private note encryption/decryption (XChaCha20-Poly1305)
  * - Aptos-compatible address derivation
  * - Cross-platform compatibility (browser/node)
  * 
@@ -16,13 +23,439 @@
  */
 
 import * as secp from '@noble/secp256k1';
+import { ed25519 } from '@noble/curves/ed25519';
+import { bytesToNumberLE, numberToBytesLE } from '@noble/curves/abstract/utils';
 import { sha256 } from '@noble/hashes/sha256';
+import { hkdf } from '@noble/hashes/hkdf';
 import { sha3_256 } from '@noble/hashes/sha3';
+import { sha512 } from '@noble/hashes/sha512';
+import { bytesToHex, hexToBytes, randomBytes } from '@noble/hashes/utils';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha.js';
+import { HDKey } from '@scure/bip32';
+import { mnemonicToSeedSync, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
 import bs58 from 'bs58';
-import { randomBytes } from 'crypto';
 
 // Aptos SDK imports (modern)
-import { Account, Secp256k1PrivateKey, SigningSchemeInput } from '@aptos-labs/ts-sdk';
+import {
+  Account,
+  Ed25519Account,
+  Ed25519PrivateKey,
+  Ed25519PublicKey,
+  Ed25519Signature,
+  Hex,
+  Secp256k1PrivateKey,
+  SigningSchemeInput,
+} from '@aptos-labs/ts-sdk';
+
+import { PivyDecryptionError, PivyMetaAddressError, PivySchemeError } from './pivyErrors.js';
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Constants                                                       */
+/*──────────────────────────────────────────────────────────────────*/
+
+/** Length of the random nonce carried by notes and memos */
+export const NONCE_LENGTH = 24;
+
+/**
+ * Key derivation schemes for the ECDH shared secret.
+ *
+ * - LEGACY: `sha256(shared)` is used as the stealth tweak AND as every
+ *   symmetric key (kept only to read old payments)
+ * - HKDF_V1: HKDF-SHA256 with a distinct label per purpose, so a leaked
+ *   note or memo key reveals nothing about the stealth tweak
+ * - ED25519_V1: HKDF_V1 key separation over Ed25519 instead of secp256k1.
+ *   Meta, ephemeral and stealth public keys are 32-byte Ed25519 points and
+ *   stealth addresses are plain Aptos Ed25519 accounts
+ *
+ * secp256k1 schemes take 32-byte private keys and 33-byte compressed public
+ * keys. Ed25519 meta and ephemeral private keys are 32-byte Ed25519 seeds,
+ * as held by the Aptos SDK's `Ed25519PrivateKey`.
+ */
+export const STEALTH_SCHEME = Object.freeze({
+  LEGACY: 0x00,
+  HKDF_V1: 0x01,
+  ED25519_V1: 0x02,
+});
+
+/** Scheme used for new payments */
+export const DEFAULT_STEALTH_SCHEME = STEALTH_SCHEME.HKDF_V1;
+
+/** HKDF salt and per-purpose info labels for STEALTH_SCHEME.HKDF_V1 */
+const HKDF_SALT = new TextEncoder().encode('PIVY-STEALTH-APTOS');
+const KDF_LABELS = Object.freeze({
+  tweak: 'pivy/aptos/v1/stealth-tweak',
+  note: 'pivy/aptos/v1/note-key',
+  memo: 'pivy/aptos/v1/memo-key',
+  viewTag: 'pivy/aptos/v1/view-tag',
+});
+
+/** Info labels for STEALTH_SCHEME.ED25519_V1 (same salt as HKDF_V1) */
+const ED25519_KDF_LABELS = Object.freeze({
+  tweak: 'pivy/aptos/ed25519/v1/stealth-tweak',
+  note: 'pivy/aptos/ed25519/v1/note-key',
+  memo: 'pivy/aptos/ed25519/v1/memo-key',
+  viewTag: 'pivy/aptos/ed25519/v1/view-tag',
+});
+
+/** Domain label for the deterministic nonce of stealth Ed25519 signatures */
+const ED25519_NONCE_LABEL = new TextEncoder().encode('pivy/aptos/ed25519/v1/sign-nonce');
+
+/**
+ * Marker byte for announcement payloads that carry a view tag.
+ *
+ * Tagged payload layout: 0xFF | viewTag(1) | UTF-8 message
+ * 0xFF never occurs in UTF-8, so untagged (legacy) payloads are unambiguous.
+ * The on-chain payload limit is 121 bytes, leaving 119 for the message.
+ */
+export const VIEW_TAG_MARKER = 0xff;
+
+/**
+ * Private note format versions (first byte of an encrypted note).
+ *
+ * v1 layout: version(1) | nonce(24) | XChaCha20-Poly1305 ciphertext+tag
+ * v2 layout: same as v1, keyed with the HKDF_V1 note key
+ * v3 layout: same as v1, keyed with the ED25519_V1 note key
+ * Legacy notes carry no version byte: nonce(24) | plaintext XOR sha256(shared)
+ */
+export const NOTE_VERSION = Object.freeze({
+  AEAD_V1: 0x01,
+  AEAD_V2: 0x02,
+  AEAD_V3: 0x03,
+});
+
+/**
+ * Encrypted ephemeral key memo envelope.
+ *
+ * Layout (all fields authenticated, everything before the nonce is AAD):
+ *   magic(2) = "PV" | version(1) | scheme(1) | flags(1) | keyCheck(4)
+ *   | [hintLen(1) | hint(hintLen)]   (present when flags & HINT)
+ *   | nonce(24) | XChaCha20-Poly1305(ephPriv(32)) | tag(16)
+ *
+ * `keyCheck` is the first 4 bytes of sha256(memoKey | "key-check"); it lets
+ * the decoder report a wrong view key separately from a corrupted memo.
+ * The optional hint is opaque, public bytes for the recipient's own routing.
+ *
+ * Legacy memos (exactly 89 bytes, no magic) are nonce(24) followed by
+ * (ephPriv | ephPub) XOR the memo key.
+ */
+export const MEMO_MAGIC = Object.freeze([0x50, 0x56]);
+
+export const MEMO_VERSION = Object.freeze({
+  ENVELOPE_V1: 0x01,
+});
+
+export const MEMO_FLAGS = Object.freeze({
+  HINT: 0x01,
+});
+
+const MEMO_KEY_CHECK_LENGTH = 4;
+const MEMO_KEY_CHECK_LABEL = new TextEncoder().encode('key-check');
+const LEGACY_MEMO_LENGTH = NONCE_LENGTH + 32 + 33;
+
+/**
+ * Stealth meta-address string format.
+ *
+ *   st:apt:<scheme>:<metaSpendPubB58>:<metaViewPubB58>:<checksum>
+ *
+ * `scheme` is the STEALTH_SCHEME id in decimal; `checksum` is the first
+ * 4 bytes (hex) of sha256(sha256("st:apt" | scheme | "spend" | spendPub
+ * | "view" | viewPub)). Binding each key to its role makes a swapped key
+ * order fail the checksum.
+ */
+export const META_ADDRESS_PREFIX = 'st:apt:';
+
+/**
+ * BIP32 paths for deterministic meta keys (all levels hardened).
+ *
+ *   spend: m/44'/637'/{account}'/5564'/0'
+ *   view:  m/44'/637'/{account}'/5564'/1'
+ *
+ * 637 is the Aptos coin type; 5564 keeps PIVY meta keys apart from the
+ * wallet's own `m/44'/637'/{account}'/0/0` signing key. Ed25519 meta keys
+ * use the derived bytes as Ed25519 seeds under their own leaves (2' and 3'),
+ * so the two curves never share key material.
+ */
+export const META_KEY_PATHS = Object.freeze({
+  spend: (accountIndex) => `m/44'/637'/${accountIndex}'/5564'/0'`,
+  view: (accountIndex) => `m/44'/637'/${accountIndex}'/5564'/1'`,
+  ed25519Spend: (accountIndex) => `m/44'/637'/${accountIndex}'/5564'/2'`,
+  ed25519View: (accountIndex) => `m/44'/637'/${accountIndex}'/5564'/3'`,
+});
+
+/**
+ * Fixed message an existing wallet signs to derive its meta keys.
+ *
+ * Ed25519 signatures are deterministic, so the same wallet always yields
+ * the same signature and therefore the same meta keys. The message and
+ * nonce must never change, or users lose access to past payments.
+ */
+export const META_KEY_SIGN_MESSAGE =
+  'PIVY Stealth Meta Keys v1\n' +
+  '\n' +
+  'Sign this message to access your private PIVY stealth payments on Aptos.\n' +
+  'Only sign this message on a site you trust: anyone with this signature can see and spend your stealth payments.';
+
+export const META_KEY_SIGN_NONCE = 'pivy-stealth-aptos-meta-keys-v1';
+
+/** HKDF label turning the wallet signature into a meta-key seed */
+const META_SEED_LABEL = 'pivy/aptos/v1/meta-seed';
+
+/** Key scheme used by each versioned note format */
+const NOTE_VERSION_SCHEME = Object.freeze({
+  [NOTE_VERSION.AEAD_V1]: STEALTH_SCHEME.LEGACY,
+  [NOTE_VERSION.AEAD_V2]: STEALTH_SCHEME.HKDF_V1,
+  [NOTE_VERSION.AEAD_V3]: STEALTH_SCHEME.ED25519_V1,
+});
+
+/** Note format written for each scheme */
+const SCHEME_NOTE_VERSION = Object.freeze({
+  [STEALTH_SCHEME.LEGACY]: NOTE_VERSION.AEAD_V1,
+  [STEALTH_SCHEME.HKDF_V1]: NOTE_VERSION.AEAD_V2,
+  [STEALTH_SCHEME.ED25519_V1]: NOTE_VERSION.AEAD_V3,
+});
+
+/** True if the scheme works over Ed25519 rather than secp256k1 */
+function isEd25519Scheme(scheme) {
+  return scheme === STEALTH_SCHEME.ED25519_V1;
+}
+
+/** Byte-wise equality of two arrays */
+function bytesEqual(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/** Full-length, lower-case 0x address, so short and long forms compare equal */
+function normalizeAddress(address) {
+  return '0x' + String(address).replace(/^0x/i, '').toLowerCase().padStart(64, '0');
+}
+
+/** True if the bytes start with the memo envelope magic */
+function isMemoEnvelope(bytes) {
+  return bytes[0] === MEMO_MAGIC[0] && bytes[1] === MEMO_MAGIC[1];
+}
+
+/** First 4 bytes of sha256(memoKey | "key-check") */
+function memoKeyCheck(keyBytes) {
+  return sha256(new Uint8Array([...keyBytes, ...MEMO_KEY_CHECK_LABEL])).slice(0, MEMO_KEY_CHECK_LENGTH);
+}
+
+/**
+ * Opens a parsed memo envelope, checking the key check value, the AEAD
+ * tag and that the recovered key belongs to `ephPub`.
+ *
+ * @param {Object} envelope - From `decodeMemoEnvelope`
+ * @param {Uint8Array} payload - The envelope bytes
+ * @param {Uint8Array} metaViewPriv - Meta view private key
+ * @param {Uint8Array} ephPub - Expected ephemeral public key
+ * @returns {Uint8Array} 32-byte ephemeral private key
+ * @throws {PivyDecryptionError} `wrong-key` or `corrupted`
+ */
+function openMemoEnvelope(envelope, payload, metaViewPriv, ephPub) {
+  const shared = sharedSecret(metaViewPriv, ephPub, envelope.scheme);
+  const keyBytes = deriveSchemeKey(shared, 'memo', envelope.scheme);
+  
+  if (!bytesEqual(memoKeyCheck(keyBytes), envelope.keyCheck)) {
+    throw new PivyDecryptionError('Memo decryption failed – memo was not encrypted to this view key', {
+      reason: 'wrong-key',
+      version: envelope.version,
+    });
+  }
+  
+  let ephPriv32;
+  try {
+    const aad = payload.slice(0, payload.length - envelope.nonce.length - envelope.ciphertext.length);
+    ephPriv32 = xchacha20poly1305(keyBytes, envelope.nonce, aad).decrypt(envelope.ciphertext);
+  } catch (cause) {
+    throw new PivyDecryptionError('Memo decryption failed – authentication tag mismatch', {
+      reason: 'corrupted',
+      version: envelope.version,
+      cause,
+    });
+  }
+  
+  if (!bytesEqual(schemePublicKey(ephPriv32, envelope.scheme), ephPub)) {
+    throw new PivyDecryptionError('Memo decryption failed – memo belongs to a different ephemeral key', {
+      reason: 'wrong-key',
+      version: envelope.version,
+    });
+  }
+  
+  return ephPriv32;
+}
+
+/** Throws unless `pub` is a valid public key for the scheme's curve */
+function assertMetaKey(pub, role, scheme) {
+  const curve = isEd25519Scheme(scheme) ? 'Ed25519' : 'compressed secp256k1';
+  try {
+    if (isEd25519Scheme(scheme)) {
+      ed25519Point(pub);
+    } else {
+      if (pub.length !== 33) throw new Error(`expected 33 bytes, got ${pub.length}`);
+      secp.Point.fromHex(pub);
+    }
+  } catch (cause) {
+    throw new PivyMetaAddressError(`Meta ${role} key is not a valid ${curve} point`, {
+      reason: 'invalid-point',
+      cause,
+    });
+  }
+}
+
+/**
+ * Decodes a 32-byte Ed25519 public key, rejecting points outside the
+ * prime-order subgroup (small-order or mixed-torsion points).
+ */
+function ed25519Point(pub) {
+  if (pub.length !== 32) throw new Error(`expected 32 bytes, got ${pub.length}`);
+  const point = ed25519.ExtendedPoint.fromHex(pub);
+  if (point.is0() || !point.isTorsionFree()) throw new Error('point is not in the prime-order subgroup');
+  return point;
+}
+
+/** RFC 8032 secret scalar of a 32-byte Ed25519 seed */
+function ed25519Scalar(seed) {
+  return ed25519.utils.getExtendedPublicKey(seed).scalar;
+}
+
+/** Public key bytes for a private key of the scheme's curve */
+function schemePublicKey(priv, scheme) {
+  return isEd25519Scheme(scheme) ? ed25519.getPublicKey(priv) : secp.getPublicKey(priv, true);
+}
+
+/**
+ * ECDH input keying material for the scheme's curve.
+ *
+ * secp256k1: x-coordinate of the shared point (compression flag removed).
+ * Ed25519: encoded shared point `seedScalar(priv) * pub`.
+ *
+ * @param {Uint8Array} priv - Private key (Ed25519: 32-byte seed)
+ * @param {Uint8Array} pub - Counterparty public key
+ * @param {number} scheme - One of STEALTH_SCHEME
+ * @returns {Uint8Array} 32-byte shared secret
+ */
+function sharedSecret(priv, pub, scheme) {
+  if (isEd25519Scheme(scheme)) {
+    return ed25519Point(pub).multiply(ed25519Scalar(priv)).toRawBytes();
+  }
+  return secp.getSharedSecret(priv, pub, true).slice(1); // Remove compression flag
+}
+
+/**
+ * Ed25519 private key holding a raw scalar instead of a seed.
+ *
+ * A stealth private key is `spend + tweak (mod L)`, which has no seed, so
+ * the SDK's `Ed25519PrivateKey` cannot hold it. This class offers the parts
+ * of that interface `Ed25519Account` uses (`publicKey()` and `sign()`) and
+ * produces standard RFC 8032 signatures. The per-message nonce is derived
+ * from the scalar and message, so signing stays deterministic.
+ */
+class Ed25519ScalarPrivateKey {
+  constructor(scalar) {
+    this.scalar = scalar;
+    this.publicKeyBytes = ed25519.ExtendedPoint.BASE.multiply(scalar).toRawBytes();
+    this.noncePrefix = sha512(new Uint8Array([...ED25519_NONCE_LABEL, ...numberToBytesLE(scalar, 32)])).slice(32);
+  }
+
+  publicKey() {
+    return new Ed25519PublicKey(this.publicKeyBytes);
+  }
+
+  sign(message) {
+    const L = ed25519.CURVE.n;
+    const msg = typeof message === 'string' && !Hex.isValid(message).valid
+      ? new TextEncoder().encode(message)
+      : Hex.fromHexInput(message).toUint8Array();
+    
+    const r = bytesToNumberLE(sha512(new Uint8Array([...this.noncePrefix, ...msg]))) % L;
+    const R = ed25519.ExtendedPoint.BASE.multiply(r).toRawBytes();
+    const k = bytesToNumberLE(sha512(new Uint8Array([...R, ...this.publicKeyBytes, ...msg]))) % L;
+    const S = (r + k * this.scalar) % L;
+    
+    return new Ed25519Signature(new Uint8Array([...R, ...numberToBytesLE(S, 32)]));
+  }
+
+  toUint8Array() {
+    return numberToBytesLE(this.scalar, 32);
+  }
+}
+
+/** Hex checksum binding a meta-address's scheme and keys to their roles */
+function metaAddressChecksum(scheme, spendPub, viewPub) {
+  const utf8 = new TextEncoder();
+  const data = new Uint8Array([
+    ...utf8.encode('st:apt'),
+    scheme,
+    ...utf8.encode('spend'),
+    ...spendPub,
+    ...utf8.encode('view'),
+    ...viewPub,
+  ]);
+  return bytesToHex(sha256(sha256(data)).slice(0, 4));
+}
+
+/** Normalises the many signature shapes wallets return to raw bytes */
+function signatureToBytes(result) {
+  const signature = result?.signature ?? result;
+  if (signature instanceof Uint8Array) return signature;
+  if (typeof signature?.toUint8Array === 'function') return signature.toUint8Array();
+  if (typeof signature === 'string') return hexToBytes(signature.replace(/^0x/, ''));
+  throw new Error('Unsupported signature format returned by signer');
+}
+
+/**
+ * Derives a 32-byte purpose-specific key from an ECDH secret.
+ *
+ * @param {Uint8Array} ikm - 32-byte shared secret from `sharedSecret`
+ * @param {'tweak'|'note'|'memo'|'viewTag'} purpose - What the key is used for
+ * @param {number} scheme - One of STEALTH_SCHEME
+ * @returns {Uint8Array} 32-byte key
+ */
+function deriveSchemeKey(ikm, purpose, scheme) {
+  switch (scheme) {
+    case STEALTH_SCHEME.LEGACY:
+      return sha256(ikm);
+    case STEALTH_SCHEME.HKDF_V1:
+      return hkdf(sha256, ikm, HKDF_SALT, KDF_LABELS[purpose], 32);
+    case STEALTH_SCHEME.ED25519_V1:
+      return hkdf(sha256, ikm, HKDF_SALT, ED25519_KDF_LABELS[purpose], 32);
+    default:
+      throw new Error(`Unknown stealth scheme: ${scheme}`);
+  }
+}
+
+/**
+ * XOR-decrypts a legacy note: nonce(24) | plaintext XOR sha256(shared).
+ *
+ * @param {Uint8Array} encryptedBytes - Legacy note bytes
+ * @param {Uint8Array} metaViewPriv - Meta view private key
+ * @param {Uint8Array} ephPub - Ephemeral public key
+ * @returns {Uint8Array} Plaintext bytes
+ */
+function openLegacyNote(encryptedBytes, metaViewPriv, ephPub) {
+  const encrypted = encryptedBytes.slice(NONCE_LENGTH); // Skip 24-byte nonce
+  
+  const shared = sharedSecret(metaViewPriv, ephPub, STEALTH_SCHEME.LEGACY);
+  const keyBytes = deriveSchemeKey(shared, 'note', STEALTH_SCHEME.LEGACY);
+  
+  return encrypted.map((byte, i) => byte ^ keyBytes[i % 32]);
+}
+
+/**
+ * Reads a note with a version-like first byte as a legacy note.
+ *
+ * @returns {string|null} The plaintext, or null if the note is shorter
+ *   than a nonce or does not decrypt to valid UTF-8 (so it was a damaged
+ *   versioned note, not a legacy one)
+ */
+function readLegacyNote(encryptedBytes, metaViewPriv, ephPub) {
+  if (encryptedBytes.length < NONCE_LENGTH) return null;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(openLegacyNote(encryptedBytes, metaViewPriv, ephPub));
+  } catch {
+    return null;
+  }
+}
 
 /*──────────────────────────────────────────────────────────────────*/
 /*  Main PivyStealthAptos Class                                     */
@@ -73,7 +506,8 @@ export class PivyStealthAptos {
    * Extracts the public key bytes from an Aptos account.
    * 
    * @param {Account} account - Aptos account object
-   * @returns {Uint8Array} 33-byte compressed public key
+   * @returns {Uint8Array} 33-byte compressed secp256k1 public key, or the
+   *   32-byte public key of an Ed25519 account
    * 
    * @example
    * const pivy = new PivyStealthAptos();
@@ -81,6 +515,9 @@ export class PivyStealthAptos {
    * const pubBytes = pivy.getPubBytes(account);
    */
   getPubBytes(account) {
+    if (account instanceof Ed25519Account) {
+      return account.publicKey.toUint8Array();
+    }
     return secp.getPublicKey(account.privateKey.toUint8Array(), true);
   }
 
@@ -137,7 +574,7 @@ export class PivyStealthAptos {
    */
   to32u8(raw) {
     if (raw instanceof Uint8Array) return raw;
-    if (/^[0-9a-f]{64}$/i.test(raw)) return Buffer.from(raw, 'hex');
+    if (/^[0-9a-f]{64}$/i.test(raw)) return hexToBytes(raw);
     if (typeof raw === 'string') return bs58.decode(raw);
     if (raw?.type === 'Buffer') return Uint8Array.from(raw.data);
     throw new Error('Unsupported key format');
@@ -179,7 +616,25 @@ export class PivyStealthAptos {
     const authKey = sha3_256(data);
     
     // STEP 5: Convert to hex address
-    return '0x' + Buffer.from(authKey).toString('hex');
+    return '0x' + bytesToHex(authKey);
+  }
+
+  /**
+   * Converts an Ed25519 public key to its Aptos address.
+   * 
+   * Aptos Ed25519 auth key: sha3_256(pubkey | 0x00), where 0x00 is the
+   * Ed25519 single-signature scheme id.
+   * 
+   * @param {Uint8Array} point - 32-byte Ed25519 public key
+   * @returns {string} Aptos address with 0x prefix
+   * 
+   * @example
+   * const pivy = new PivyStealthAptos();
+   * const address = pivy.ed25519PointToAptosAddress(stealth.stealthPubKeyBytes);
+   */
+  ed25519PointToAptosAddress(point) {
+    const authKey = sha3_256(new Uint8Array([...point, 0x00]));
+    return '0x' + bytesToHex(authKey);
   }
 
   /*──────────────────────────────────────────────────────────────────*/
@@ -190,12 +645,15 @@ export class PivyStealthAptos {
    * Encrypts an ephemeral private key for secure transmission.
    * 
    * Uses ECDH key agreement between ephemeral private key and meta view public key
-   * to derive a shared encryption key. The plaintext includes both the private key
-   * and corresponding public key for integrity verification.
+   * to derive a shared memo key, then seals the private key with
+   * XChaCha20-Poly1305 inside a versioned memo envelope (see MEMO_MAGIC).
    * 
    * @param {string|Uint8Array} ephPriv32 - 32-byte ephemeral private key
-   * @param {string|Uint8Array} metaViewPub - 33-byte meta view public key
-   * @returns {Promise<string>} Base58-encoded encrypted payload
+   * @param {string|Uint8Array} metaViewPub - Meta view public key
+   * @param {Object} [options]
+   * @param {number} [options.scheme=DEFAULT_STEALTH_SCHEME] - Key derivation scheme
+   * @param {Uint8Array} [options.hint] - Optional public recipient hint (≤255 bytes)
+   * @returns {Promise<string>} Base58-encoded memo envelope
    * 
    * @example
    * const pivy = new PivyStealthAptos();
@@ -203,37 +661,42 @@ export class PivyStealthAptos {
    * const metaViewPub = receiverViewPublicKey;
    * const encrypted = await pivy.encryptEphemeralPrivKey(ephPriv, metaViewPub);
    */
-  async encryptEphemeralPrivKey(ephPriv32, metaViewPub) {
-    const shared = secp.getSharedSecret(this.to32u8(ephPriv32), this.to32u8(metaViewPub), true);
-    const keyBytes = sha256(shared.slice(1)); // Remove compression flag
+  async encryptEphemeralPrivKey(ephPriv32, metaViewPub, { scheme = DEFAULT_STEALTH_SCHEME, hint } = {}) {
+    const shared = sharedSecret(this.to32u8(ephPriv32), this.to32u8(metaViewPub), scheme);
+    const keyBytes = deriveSchemeKey(shared, 'memo', scheme);
     
-    // Plaintext: ephemeral private key + ephemeral public key
-    const ephPub = secp.getPublicKey(this.to32u8(ephPriv32), true);
-    const plain = new Uint8Array([...this.to32u8(ephPriv32), ...ephPub]);
+    const envelope = {
+      version: MEMO_VERSION.ENVELOPE_V1,
+      scheme,
+      keyCheck: memoKeyCheck(keyBytes),
+      hint,
+      nonce: randomBytes(NONCE_LENGTH),
+    };
     
-    // XOR encryption
-    const enc = new Uint8Array(plain.length);
-    for (let i = 0; i < plain.length; i++) {
-      enc[i] = plain[i] ^ keyBytes[i % 32];
-    }
+    // AEAD encryption, authenticating every header field
+    const aad = this.encodeMemoEnvelope({ ...envelope, ciphertext: new Uint8Array(0) }).slice(0, -NONCE_LENGTH);
+    envelope.ciphertext = xchacha20poly1305(keyBytes, envelope.nonce, aad).encrypt(this.to32u8(ephPriv32));
     
-    // Prepend random nonce for layout compatibility
-    const nonce = randomBytes(24);
-    return bs58.encode(new Uint8Array([...nonce, ...enc]));
+    return bs58.encode(this.encodeMemoEnvelope(envelope));
   }
 
   /**
    * Decrypts an ephemeral private key from encrypted payload.
    * 
-   * Reverses the encryption process using ECDH shared secret. Verifies
-   * integrity by checking that the decrypted public key matches the
-   * provided ephemeral public key.
+   * Opens a memo envelope, or a legacy XOR memo for memos written before
+   * the envelope format. In both cases the recovered private key must
+   * match the provided ephemeral public key.
+   * 
+   * A legacy memo starts with a random nonce, so it may begin with the
+   * magic bytes and even parse as an envelope. An 89-byte memo that fails
+   * to open as an envelope is read as a legacy memo before giving up.
    * 
    * @param {string} encodedPayload - Base58-encoded encrypted payload
    * @param {string|Uint8Array} metaViewPriv - Meta view private key
    * @param {string|Uint8Array} ephPub - Expected ephemeral public key
    * @returns {Promise<Uint8Array>} 32-byte ephemeral private key
-   * @throws {Error} If decryption fails or public key mismatch
+   * @throws {PivyDecryptionError} With `reason` set to `wrong-key`,
+   *   `corrupted` or `unknown-version`
    * 
    * @example
    * const pivy = new PivyStealthAptos();
@@ -245,72 +708,233 @@ export class PivyStealthAptos {
    */
   async decryptEphemeralPrivKey(encodedPayload, metaViewPriv, ephPub) {
     const payload = bs58.decode(encodedPayload);
-    const encrypted = payload.slice(24); // Skip 24-byte nonce
     
-    const shared = secp.getSharedSecret(this.to32u8(metaViewPriv), this.to32u8(ephPub), true);
-    const keyBytes = sha256(shared.slice(1));
+    if (!isMemoEnvelope(payload)) {
+      if (payload.length !== LEGACY_MEMO_LENGTH) {
+        throw new PivyDecryptionError('Memo decryption failed – not a memo envelope or legacy memo', {
+          reason: 'corrupted',
+        });
+      }
+      return this.decryptLegacyEphemeralPrivKey(payload, metaViewPriv, ephPub);
+    }
     
-    // XOR decryption
-    const dec = new Uint8Array(encrypted.length);
-    for (let i = 0; i < encrypted.length; i++) {
-      dec[i] = encrypted[i] ^ keyBytes[i % 32];
+    let envelope;
+    try {
+      envelope = this.decodeMemoEnvelope(payload);
+    } catch (error) {
+      // A legacy memo whose random nonce happens to start with the magic bytes
+      if (payload.length === LEGACY_MEMO_LENGTH) {
+        return this.decryptLegacyEphemeralPrivKey(payload, metaViewPriv, ephPub);
+      }
+      throw error;
     }
     
-    // Verify integrity
-    const ephPriv32 = dec.slice(0, 32);
-    const receivedPub = dec.slice(32);
-    const computedPub = secp.getPublicKey(ephPriv32, true);
+    try {
+      return openMemoEnvelope(envelope, payload, this.to32u8(metaViewPriv), this.to32u8(ephPub));
+    } catch (error) {
+      // Or one that even parses as an envelope; it then fails the key check
+      if (payload.length !== LEGACY_MEMO_LENGTH) throw error;
+      try {
+        return await this.decryptLegacyEphemeralPrivKey(payload, metaViewPriv, ephPub);
+      } catch {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Decrypts a legacy (pre-envelope) ephemeral key memo.
+   * 
+   * Legacy memos are a 24-byte nonce followed by `(ephPriv | ephPub)` XOR
+   * the memo key; the embedded public key is the only integrity check.
+   * Memo keys from every scheme are tried.
+   * 
+   * @param {Uint8Array} payload - Decoded legacy memo bytes
+   * @param {string|Uint8Array} metaViewPriv - Meta view private key
+   * @param {string|Uint8Array} ephPub - Expected ephemeral public key
+   * @returns {Promise<Uint8Array>} 32-byte ephemeral private key
+   * @throws {PivyDecryptionError} If no scheme yields the expected public key
+   */
+  async decryptLegacyEphemeralPrivKey(payload, metaViewPriv, ephPub) {
+    const encrypted = payload.slice(NONCE_LENGTH); // Skip 24-byte nonce
+    
+    // Legacy memos predate Ed25519 support, so they are always secp256k1
+    const shared = sharedSecret(this.to32u8(metaViewPriv), this.to32u8(ephPub), STEALTH_SCHEME.LEGACY);
     
-    if (!computedPub.every((b, i) => b === receivedPub[i])) {
-      throw new Error('Decryption failed – ephemeral public key mismatch');
+    // Newest scheme first; the public-key check tells which one was used
+    for (const scheme of [STEALTH_SCHEME.HKDF_V1, STEALTH_SCHEME.LEGACY]) {
+      const keyBytes = deriveSchemeKey(shared, 'memo', scheme);
+      
+      // XOR decryption
+      const dec = new Uint8Array(encrypted.length);
+      for (let i = 0; i < encrypted.length; i++) {
+        dec[i] = encrypted[i] ^ keyBytes[i % 32];
+      }
+      
+      // Verify integrity
+      const ephPriv32 = dec.slice(0, 32);
+      const receivedPub = dec.slice(32);
+      let computedPub;
+      try {
+        computedPub = secp.getPublicKey(ephPriv32, true);
+      } catch {
+        continue; // Not a valid scalar under this key
+      }
+      
+      if (bytesEqual(computedPub, receivedPub)) {
+        return ephPriv32;
+      }
     }
     
-    return ephPriv32;
+    // Legacy memos cannot tell a wrong key from corruption
+    throw new PivyDecryptionError('Decryption failed – ephemeral public key mismatch', {
+      reason: 'wrong-key',
+    });
+  }
+
+  /**
+   * Serialises memo envelope fields to bytes (see MEMO_MAGIC for layout).
+   * 
+   * @param {Object} envelope
+   * @param {number} envelope.version - One of MEMO_VERSION
+   * @param {number} envelope.scheme - One of STEALTH_SCHEME
+   * @param {Uint8Array} envelope.keyCheck - 4-byte key check value
+   * @param {Uint8Array} [envelope.hint] - Optional recipient hint (≤255 bytes)
+   * @param {Uint8Array} envelope.nonce - 24-byte nonce
+   * @param {Uint8Array} envelope.ciphertext - AEAD ciphertext with tag
+   * @returns {Uint8Array} Envelope bytes
+   * @throws {Error} If a field has the wrong length
+   */
+  encodeMemoEnvelope({ version = MEMO_VERSION.ENVELOPE_V1, scheme, keyCheck, hint, nonce, ciphertext }) {
+    if (keyCheck.length !== MEMO_KEY_CHECK_LENGTH) throw new Error('Memo key check must be 4 bytes');
+    if (nonce.length !== NONCE_LENGTH) throw new Error('Memo nonce must be 24 bytes');
+    if (hint && hint.length > 255) throw new Error('Memo hint must be at most 255 bytes');
+    
+    const flags = hint?.length ? MEMO_FLAGS.HINT : 0;
+    const hintField = flags & MEMO_FLAGS.HINT ? [hint.length, ...hint] : [];
+    
+    return new Uint8Array([
+      ...MEMO_MAGIC,
+      version,
+      scheme,
+      flags,
+      ...keyCheck,
+      ...hintField,
+      ...nonce,
+      ...ciphertext,
+    ]);
+  }
+
+  /**
+   * Parses memo envelope bytes into their fields without decrypting.
+   * 
+   * @param {Uint8Array} bytes - Envelope bytes
+   * @returns {Object} `{ version, scheme, flags, keyCheck, hint, nonce, ciphertext }`
+   * @throws {PivyDecryptionError} `unknown-version` for an unsupported
+   *   version or scheme, `corrupted` for a malformed envelope
+   */
+  decodeMemoEnvelope(bytes) {
+    const corrupted = (detail) => new PivyDecryptionError(`Memo envelope malformed – ${detail}`, {
+      reason: 'corrupted',
+      version: bytes[2],
+    });
+    
+    if (!isMemoEnvelope(bytes)) throw corrupted('missing magic bytes');
+    
+    const version = bytes[2];
+    if (version !== MEMO_VERSION.ENVELOPE_V1) {
+      throw new PivyDecryptionError(`Memo envelope version ${version} is not supported`, {
+        reason: 'unknown-version',
+        version,
+      });
+    }
+    
+    const scheme = bytes[3];
+    if (!Object.values(STEALTH_SCHEME).includes(scheme)) {
+      throw new PivyDecryptionError(`Memo envelope scheme ${scheme} is not supported`, {
+        reason: 'unknown-version',
+        version,
+      });
+    }
+    
+    const flags = bytes[4];
+    let offset = 5;
+    const keyCheck = bytes.slice(offset, offset + MEMO_KEY_CHECK_LENGTH);
+    offset += MEMO_KEY_CHECK_LENGTH;
+    
+    let hint;
+    if (flags & MEMO_FLAGS.HINT) {
+      const hintLength = bytes[offset];
+      hint = bytes.slice(offset + 1, offset + 1 + hintLength);
+      offset += 1 + hintLength;
+    }
+    
+    const nonce = bytes.slice(offset, offset + NONCE_LENGTH);
+    const ciphertext = bytes.slice(offset + NONCE_LENGTH);
+    if (nonce.length !== NONCE_LENGTH || ciphertext.length !== 32 + 16) {
+      throw corrupted('unexpected length');
+    }
+    
+    return { version, scheme, flags, keyCheck, hint, nonce, ciphertext };
   }
 
   /**
    * Encrypts a private note using ECDH shared secret.
    * 
    * Creates a shared encryption key between ephemeral private key and
-   * meta view public key, then XOR-encrypts the UTF-8 plaintext.
+   * meta view public key, then seals the UTF-8 plaintext with
+   * XChaCha20-Poly1305 under a fresh random nonce. The version byte is
+   * bound as associated data so it cannot be swapped after the fact.
+   * 
+   * Output layout: version(1) | nonce(24) | ciphertext | tag(16)
+   * 
+   * The version byte also records the key derivation scheme, which lets a
+   * scanner tell HKDF payments from legacy ones (see `getNoteScheme`).
    * 
    * @param {string} plaintext - UTF-8 message to encrypt
    * @param {string|Uint8Array} ephPriv32 - 32-byte ephemeral private key
-   * @param {string|Uint8Array} metaViewPub - 33-byte meta view public key
-   * @returns {Promise<Uint8Array>} Encrypted note with 24-byte nonce prefix
+   * @param {string|Uint8Array} metaViewPub - Meta view public key
+   * @param {Object} [options]
+   * @param {number} [options.scheme=DEFAULT_STEALTH_SCHEME] - Key derivation scheme
+   * @returns {Promise<Uint8Array>} Versioned, authenticated encrypted note
    * 
    * @example
    * const pivy = new PivyStealthAptos();
    * const note = "🎉 Secret payment message";
    * const encrypted = await pivy.encryptNote(note, ephPriv, metaViewPub);
    */
-  async encryptNote(plaintext, ephPriv32, metaViewPub) {
-    const shared = secp.getSharedSecret(this.to32u8(ephPriv32), this.to32u8(metaViewPub), true);
-    const keyBytes = sha256(shared.slice(1));
+  async encryptNote(plaintext, ephPriv32, metaViewPub, { scheme = DEFAULT_STEALTH_SCHEME } = {}) {
+    const shared = sharedSecret(this.to32u8(ephPriv32), this.to32u8(metaViewPub), scheme);
+    const keyBytes = deriveSchemeKey(shared, 'note', scheme);
     
     const plaintextBytes = new TextEncoder().encode(plaintext);
     
-    // XOR encryption
-    const enc = new Uint8Array(plaintextBytes.length);
-    for (let i = 0; i < plaintextBytes.length; i++) {
-      enc[i] = plaintextBytes[i] ^ keyBytes[i % 32];
-    }
+    // AEAD encryption with the version byte as associated data
+    const version = SCHEME_NOTE_VERSION[scheme];
+    const header = new Uint8Array([version]);
+    const nonce = randomBytes(NONCE_LENGTH);
+    const sealed = xchacha20poly1305(keyBytes, nonce, header).encrypt(plaintextBytes);
     
-    // Prepend random nonce
-    const nonce = randomBytes(24);
-    return new Uint8Array([...nonce, ...enc]);
+    return new Uint8Array([...header, ...nonce, ...sealed]);
   }
 
   /**
    * Decrypts a private note using ECDH shared secret.
    * 
-   * Derives the same shared encryption key used for encryption and
-   * XOR-decrypts the ciphertext back to UTF-8 plaintext.
+   * Derives the same shared encryption key used for encryption and opens
+   * the note according to its version byte. Notes written before
+   * versioning (no version byte, XOR keystream) are still readable.
    * 
-   * @param {Uint8Array} encryptedBytes - Encrypted note with nonce prefix
+   * A legacy note starts with a random nonce, so about 3 in 256 of them
+   * begin with a known version byte. When such a note fails to open as a
+   * versioned note it is read as a legacy note instead, and accepted if
+   * the result is valid UTF-8.
+   * 
+   * @param {Uint8Array} encryptedBytes - Encrypted note bytes
    * @param {string|Uint8Array} metaViewPriv - Meta view private key
    * @param {string|Uint8Array} ephPub - Ephemeral public key
    * @returns {Promise<string>} Decrypted UTF-8 message
+   * @throws {PivyDecryptionError} If the note is truncated or was tampered with
    * 
    * @example
    * const pivy = new PivyStealthAptos();
@@ -322,24 +946,380 @@ export class PivyStealthAptos {
    * console.log(decrypted); // "🎉 Secret payment message"
    */
   async decryptNote(encryptedBytes, metaViewPriv, ephPub) {
-    const encrypted = encryptedBytes.slice(24); // Skip 24-byte nonce
+    const version = encryptedBytes[0];
+    if (!(version in NOTE_VERSION_SCHEME)) {
+      return this.decryptLegacyNote(encryptedBytes, metaViewPriv, ephPub);
+    }
+    
+    if (encryptedBytes.length < 1 + NONCE_LENGTH + 16) {
+      const legacy = readLegacyNote(encryptedBytes, this.to32u8(metaViewPriv), this.to32u8(ephPub));
+      if (legacy !== null) return legacy;
+      throw new PivyDecryptionError('Note decryption failed – payload truncated', {
+        reason: 'truncated',
+        version,
+      });
+    }
     
-    const shared = secp.getSharedSecret(this.to32u8(metaViewPriv), this.to32u8(ephPub), true);
-    const keyBytes = sha256(shared.slice(1));
+    const scheme = NOTE_VERSION_SCHEME[version];
+    const header = encryptedBytes.slice(0, 1);
+    const nonce = encryptedBytes.slice(1, 1 + NONCE_LENGTH);
+    const sealed = encryptedBytes.slice(1 + NONCE_LENGTH);
     
-    // XOR decryption
-    const dec = new Uint8Array(encrypted.length);
-    for (let i = 0; i < encrypted.length; i++) {
-      dec[i] = encrypted[i] ^ keyBytes[i % 32];
+    let dec;
+    try {
+      // Also fails when the keys are not on the version's curve (a legacy note)
+      const shared = sharedSecret(this.to32u8(metaViewPriv), this.to32u8(ephPub), scheme);
+      const keyBytes = deriveSchemeKey(shared, 'note', scheme);
+      dec = xchacha20poly1305(keyBytes, nonce, header).decrypt(sealed);
+    } catch (cause) {
+      const legacy = readLegacyNote(encryptedBytes, this.to32u8(metaViewPriv), this.to32u8(ephPub));
+      if (legacy !== null) return legacy;
+      throw new PivyDecryptionError('Note decryption failed – authentication tag mismatch', {
+        reason: 'authentication-failed',
+        version,
+        cause,
+      });
     }
     
     return new TextDecoder().decode(dec);
   }
 
+  /**
+   * Decrypts a legacy (pre-versioning) private note.
+   * 
+   * Legacy notes are a 24-byte nonce followed by the plaintext XORed with
+   * the repeating `sha256(shared)` key. They carry no integrity check, so a
+   * wrong key or tampered note decodes to garbage instead of failing.
+   * 
+   * @param {Uint8Array} encryptedBytes - Encrypted note with nonce prefix
+   * @param {string|Uint8Array} metaViewPriv - Meta view private key
+   * @param {string|Uint8Array} ephPub - Ephemeral public key
+   * @returns {Promise<string>} Decrypted UTF-8 message
+   */
+  async decryptLegacyNote(encryptedBytes, metaViewPriv, ephPub) {
+    const dec = openLegacyNote(encryptedBytes, this.to32u8(metaViewPriv), this.to32u8(ephPub));
+    return new TextDecoder().decode(dec);
+  }
+
+  /**
+   * Reports which key derivation scheme an encrypted note was made with.
+   * 
+   * Scanners use this to pick the matching `scheme` option for
+   * `deriveStealthKeypair` without trying every scheme.
+   * 
+   * @param {Uint8Array} encryptedBytes - Encrypted note bytes
+   * @returns {number} One of STEALTH_SCHEME
+   * 
+   * @example
+   * const scheme = pivy.getNoteScheme(event.note);
+   * const stealthKP = await pivy.deriveStealthKeypair(spendPriv, viewPriv, ephPub, { scheme });
+   */
+  getNoteScheme(encryptedBytes) {
+    return NOTE_VERSION_SCHEME[encryptedBytes[0]] ?? STEALTH_SCHEME.LEGACY;
+  }
+
+  /**
+   * Schemes a received payment may have used, most likely first.
+   * 
+   * A 32-byte ephemeral key can only be Ed25519. For secp256k1 the scheme
+   * named by a versioned note goes first, then HKDF and legacy (a legacy
+   * note's first byte can look like a version byte, and payments without
+   * a note say nothing).
+   * 
+   * @param {string|Uint8Array} ephPub - Ephemeral public key from the announcement
+   * @param {Uint8Array} [note] - Encrypted note from the announcement
+   * @returns {number[]} STEALTH_SCHEME values to try, in order
+   */
+  getCandidateSchemes(ephPub, note) {
+    if (this.to32u8(ephPub).length === 32) return [STEALTH_SCHEME.ED25519_V1];
+    
+    const schemes = [STEALTH_SCHEME.HKDF_V1, STEALTH_SCHEME.LEGACY];
+    const noteScheme = note?.length ? this.getNoteScheme(note) : undefined;
+    return schemes.includes(noteScheme) ? [noteScheme, ...schemes.filter((s) => s !== noteScheme)] : schemes;
+  }
+
+  /**
+   * Runs a receiver-side derivation under the payment's scheme.
+   * 
+   * With `scheme` given it is used as is. Otherwise each candidate scheme
+   * is tried until one derives the announced `stealthAddress`, so a legacy
+   * payment can never silently recover under the wrong scheme.
+   * 
+   * @param {string|Uint8Array} ephPub - Ephemeral public key
+   * @param {Object} options - `{ scheme, stealthAddress, note }` from the caller
+   * @param {Function} derive - `async (scheme) => result`
+   * @param {Function} addressOf - Stealth address of a `derive` result
+   * @returns {Promise<Object>} The result for the payment's scheme
+   * @throws {PivySchemeError} If the scheme cannot be determined
+   */
+  async deriveForPayment(ephPub, { scheme, stealthAddress, note }, derive, addressOf) {
+    if (scheme !== undefined) return derive(scheme);
+    if (stealthAddress === undefined) {
+      throw new PivySchemeError(
+        'Payment scheme unknown – pass `scheme` (e.g. PivyScanner\'s `payment.scheme`) or the announced `stealthAddress`',
+        { reason: 'missing' },
+      );
+    }
+    
+    for (const candidate of this.getCandidateSchemes(ephPub, note)) {
+      let result;
+      try {
+        result = await derive(candidate);
+      } catch {
+        continue; // ephPub is not a valid point for this scheme
+      }
+      if (normalizeAddress(addressOf(result)) === normalizeAddress(stealthAddress)) return result;
+    }
+    throw new PivySchemeError(`No stealth scheme derives ${stealthAddress} from these keys`, { reason: 'no-match' });
+  }
+
   /*──────────────────────────────────────────────────────────────────*/
   /*  Stealth Address System                                          */
   /*──────────────────────────────────────────────────────────────────*/
 
+  /**
+   * Computes the 1-byte view tag for a payment (payer side).
+   * 
+   * The tag is the first byte of a key derived from the ECDH shared secret,
+   * so the receiver can rule out ~255/256 foreign announcements after a
+   * single ECDH, without hashing to a tweak or doing point addition.
+   * 
+   * @param {string|Uint8Array} ephPriv32 - 32-byte ephemeral private key
+   * @param {string|Uint8Array} metaViewPub - Meta view public key
+   * @param {Object} [options]
+   * @param {number} [options.scheme=DEFAULT_STEALTH_SCHEME] - Key derivation scheme
+   * @returns {number} View tag (0-255)
+   * 
+   * @example
+   * const viewTag = pivy.computeViewTag(ephPriv, metaViewPubB58);
+   */
+  computeViewTag(ephPriv32, metaViewPub, { scheme = DEFAULT_STEALTH_SCHEME } = {}) {
+    const shared = sharedSecret(this.to32u8(ephPriv32), this.to32u8(metaViewPub), scheme);
+    return deriveSchemeKey(shared, 'viewTag', scheme)[0];
+  }
+
+  /**
+   * Checks an announcement's view tag against the receiver's view key.
+   * 
+   * A `false` result means the announcement is definitely not for this
+   * receiver; `true` means it probably is and full derivation should follow.
+   * 
+   * @param {number} viewTag - View tag read from the announcement payload
+   * @param {string|Uint8Array} metaViewPriv - Meta view private key
+   * @param {string|Uint8Array} ephPub - Ephemeral public key from the announcement
+   * @param {Object} [options]
+   * @param {number} [options.scheme=DEFAULT_STEALTH_SCHEME] - Key derivation scheme
+   * @returns {boolean} True if the tag matches
+   * 
+   * @example
+   * const { viewTag } = pivy.decodeAnnouncementPayload(event.payload);
+   * if (viewTag !== null && !pivy.checkViewTag(viewTag, metaViewPriv, event.eph_pubkey)) {
+   *   continue; // not ours
+   * }
+   */
+  checkViewTag(viewTag, metaViewPriv, ephPub, { scheme = DEFAULT_STEALTH_SCHEME } = {}) {
+    const shared = this.computeSharedSecret(metaViewPriv, ephPub, { scheme });
+    return this.viewTagFromShared(shared, scheme) === viewTag;
+  }
+
+  /**
+   * Receiver side of the ECDH for an announcement.
+   * 
+   * Every secp256k1 scheme derives its keys from the same secret, so a
+   * scanner trying several schemes needs this one ECDH per announcement;
+   * pass the result to `viewTagFromShared` and `stealthPubFromShared`.
+   * 
+   * @param {string|Uint8Array} metaViewPriv - Meta view private key
+   * @param {string|Uint8Array} ephPub - Ephemeral public key from the announcement
+   * @param {Object} [options]
+   * @param {number} [options.scheme=DEFAULT_STEALTH_SCHEME] - Any scheme on
+   *   the payment's curve
+   * @returns {Uint8Array} 32-byte shared secret
+   * @throws {Error} If `ephPub` is not a valid point on the scheme's curve
+   */
+  computeSharedSecret(metaViewPriv, ephPub, { scheme = DEFAULT_STEALTH_SCHEME } = {}) {
+    return sharedSecret(this.to32u8(metaViewPriv), this.to32u8(ephPub), scheme);
+  }
+
+  /**
+   * View tag a scheme derives from an ECDH shared secret.
+   * 
+   * @param {Uint8Array} shared - Secret from `computeSharedSecret`
+   * @param {number} scheme - One of STEALTH_SCHEME
+   * @returns {number} View tag (0-255)
+   */
+  viewTagFromShared(shared, scheme) {
+    return deriveSchemeKey(shared, 'viewTag', scheme)[0];
+  }
+
+  /**
+   * Builds an announcement payload carrying a view tag.
+   * 
+   * @param {string|Uint8Array} message - Public UTF-8 message (or its bytes)
+   * @param {number} viewTag - View tag from `computeViewTag`
+   * @returns {Uint8Array} Payload bytes: 0xFF | viewTag | message
+   * @throws {Error} If the payload would exceed the 121-byte on-chain limit
+   * 
+   * @example
+   * const payload = pivy.encodeAnnouncementPayload('Thanks!', stealth.viewTag);
+   */
+  encodeAnnouncementPayload(message, viewTag) {
+    const messageBytes = typeof message === 'string' ? this.toBytes(message) : message;
+    const payload = new Uint8Array([VIEW_TAG_MARKER, viewTag, ...messageBytes]);
+    if (payload.length > 121) {
+      throw new Error(`Announcement payload too long: ${payload.length} > 121 bytes`);
+    }
+    return payload;
+  }
+
+  /**
+   * Splits an announcement payload into its view tag and public message.
+   * 
+   * @param {Uint8Array|number[]} payload - Payload bytes from the event
+   * @returns {Object} `{ viewTag, message }` where `viewTag` is null for
+   *   untagged (legacy) payloads and `message` is the decoded UTF-8 text
+   */
+  decodeAnnouncementPayload(payload) {
+    const bytes = Uint8Array.from(payload);
+    if (bytes.length >= 2 && bytes[0] === VIEW_TAG_MARKER) {
+      return { viewTag: bytes[1], message: new TextDecoder().decode(bytes.slice(2)) };
+    }
+    return { viewTag: null, message: new TextDecoder().decode(bytes) };
+  }
+
+  /**
+   * Encodes a receiver's meta public keys as one checksummed string.
+   * 
+   * Receivers share this instead of two separate base58 keys, so a
+   * mistyped or swapped key is caught by `parseMetaAddress` before any
+   * funds are sent.
+   * 
+   * @param {string|Uint8Array} metaSpendPub - Meta spend public key (33 bytes,
+   *   or 32 bytes for STEALTH_SCHEME.ED25519_V1)
+   * @param {string|Uint8Array} metaViewPub - Meta view public key
+   * @param {Object} [options]
+   * @param {number} [options.scheme=DEFAULT_STEALTH_SCHEME] - Key derivation scheme
+   *   payers must use
+   * @returns {string} Meta-address, e.g. `st:apt:1:<spend>:<view>:<checksum>`
+   * @throws {PivyMetaAddressError} If either key is not a valid curve point
+   * 
+   * @example
+   * const metaKeys = pivy.generateMetaKeys();
+   * const metaAddress = pivy.encodeMetaAddress(metaKeys.metaSpendPubB58, metaKeys.metaViewPubB58);
+   */
+  encodeMetaAddress(metaSpendPub, metaViewPub, { scheme = DEFAULT_STEALTH_SCHEME } = {}) {
+    const spendPub = this.to32u8(metaSpendPub);
+    const viewPub = this.to32u8(metaViewPub);
+    assertMetaKey(spendPub, 'spend', scheme);
+    assertMetaKey(viewPub, 'view', scheme);
+    
+    return [
+      META_ADDRESS_PREFIX + scheme,
+      bs58.encode(spendPub),
+      bs58.encode(viewPub),
+      metaAddressChecksum(scheme, spendPub, viewPub),
+    ].join(':');
+  }
+
+  /**
+   * Parses and validates a stealth meta-address string.
+   * 
+   * @param {string} metaAddress - String from `encodeMetaAddress`
+   * @returns {Object} Parsed meta-address
+   * @returns {number} returns.scheme - Key derivation scheme
+   * @returns {string} returns.metaSpendPubB58 - Base58 meta spend public key
+   * @returns {string} returns.metaViewPubB58 - Base58 meta view public key
+   * @throws {PivyMetaAddressError} With `reason` set to `malformed`,
+   *   `unknown-scheme`, `invalid-point`, `swapped-keys` or `checksum`
+   * 
+   * @example
+   * const { metaSpendPubB58, metaViewPubB58 } = pivy.parseMetaAddress(metaAddress);
+   */
+  parseMetaAddress(metaAddress) {
+    if (!this.isMetaAddress(metaAddress)) {
+      throw new PivyMetaAddressError(`Not a stealth meta-address (expected "${META_ADDRESS_PREFIX}" prefix)`, {
+        reason: 'malformed',
+      });
+    }
+    
+    const parts = metaAddress.slice(META_ADDRESS_PREFIX.length).split(':');
+    if (parts.length !== 4 || !/^\d+$/.test(parts[0]) || !/^[0-9a-f]{8}$/.test(parts[3])) {
+      throw new PivyMetaAddressError('Meta-address must be st:apt:<scheme>:<spend>:<view>:<checksum>', {
+        reason: 'malformed',
+      });
+    }
+    
+    const [schemeStr, spendB58, viewB58, checksum] = parts;
+    const scheme = Number(schemeStr);
+    if (!Object.values(STEALTH_SCHEME).includes(scheme)) {
+      throw new PivyMetaAddressError(`Meta-address scheme ${scheme} is not supported`, {
+        reason: 'unknown-scheme',
+      });
+    }
+    
+    let spendPub, viewPub;
+    try {
+      spendPub = bs58.decode(spendB58);
+      viewPub = bs58.decode(viewB58);
+    } catch (cause) {
+      throw new PivyMetaAddressError('Meta-address keys are not valid base58', { reason: 'malformed', cause });
+    }
+    assertMetaKey(spendPub, 'spend', scheme);
+    assertMetaKey(viewPub, 'view', scheme);
+    
+    if (metaAddressChecksum(scheme, spendPub, viewPub) !== checksum) {
+      if (metaAddressChecksum(scheme, viewPub, spendPub) === checksum) {
+        throw new PivyMetaAddressError('Meta-address spend and view keys are in swapped order', {
+          reason: 'swapped-keys',
+        });
+      }
+      throw new PivyMetaAddressError('Meta-address checksum mismatch', { reason: 'checksum' });
+    }
+    
+    return {
+      scheme,
+      metaSpendPubB58: spendB58,
+      metaViewPubB58: viewB58,
+    };
+  }
+
+  /**
+   * Checks whether a value looks like a stealth meta-address (prefix only).
+   * 
+   * @param {*} value - Value to test
+   * @returns {boolean} True if `value` is a string with the `st:apt:` prefix
+   */
+  isMetaAddress(value) {
+    return typeof value === 'string' && value.startsWith(META_ADDRESS_PREFIX);
+  }
+
+  /**
+   * Checks whether an announcement's ephemeral public key is a usable point,
+   * without any ECDH. Cheap enough to run on every announcement before
+   * trial decryption.
+   * 
+   * @param {Uint8Array} ephPub - Ephemeral public key bytes
+   * @param {Object} [options]
+   * @param {number} [options.scheme] - Expected scheme; when omitted a
+   *   33-byte key must be a compressed secp256k1 point and a 32-byte key a
+   *   prime-order Ed25519 point
+   * @returns {boolean} True if the key is valid for the (inferred) scheme
+   */
+  isValidEphemeralPub(ephPub, { scheme } = {}) {
+    const ed25519Key = scheme === undefined ? ephPub?.length === 32 : isEd25519Scheme(scheme);
+    try {
+      if (ed25519Key) {
+        ed25519Point(ephPub);
+      } else {
+        if (ephPub.length !== 33) return false;
+        secp.Point.fromHex(ephPub);
+      }
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Generates a stealth address from meta public keys (payer side).
    * 
@@ -353,13 +1333,25 @@ export class PivyStealthAptos {
    * 
    * SECURITY: This function only uses PUBLIC keys - no private keys from receiver!
    * 
+   * With STEALTH_SCHEME.ED25519_V1 the same construction runs on Ed25519
+   * and the result is an Aptos Ed25519 account address.
+   * 
+   * Also accepts a meta-address in place of the two keys:
+   * `deriveStealthPub(metaAddress, ephPriv32, options)`. Its scheme is then
+   * used unless `options.scheme` overrides it.
+   * 
    * @param {string} metaSpendPubB58 - Base58-encoded meta spend public key
+   *   (or a `st:apt:` meta-address)
    * @param {string} metaViewPubB58 - Base58-encoded meta view public key  
    * @param {string|Uint8Array} ephPriv32 - 32-byte ephemeral private key
+   * @param {Object} [options]
+   * @param {number} [options.scheme=DEFAULT_STEALTH_SCHEME] - Key derivation scheme
    * @returns {Promise<Object>} Stealth address information
    * @returns {string} returns.stealthPubKeyB58 - Base58-encoded stealth public key
    * @returns {string} returns.stealthAptosAddress - Aptos address format
    * @returns {Uint8Array} returns.stealthPubKeyBytes - Raw public key bytes
+   * @returns {number} returns.scheme - Key derivation scheme used
+   * @returns {number} returns.viewTag - View tag to embed in the announcement payload
    * 
    * @example
    * const pivy = new PivyStealthAptos();
@@ -370,18 +1362,102 @@ export class PivyStealthAptos {
    *   ephPriv
    * );
    * console.log("Send funds to:", stealth.stealthAptosAddress);
+   * 
+   * // Or from a meta-address
+   * const stealth2 = await pivy.deriveStealthPub(metaAddress, ephPriv);
    */
-  async deriveStealthPub(metaSpendPubB58, metaViewPubB58, ephPriv32) {
-    // Calculate shared secret and derive tweak
-    const shared = secp.getSharedSecret(this.to32u8(ephPriv32), this.to32u8(metaViewPubB58), true);
-    const tweak = sha256(shared.slice(1));
+  async deriveStealthPub(metaSpendPubB58, metaViewPubB58, ephPriv32, options = {}) {
+    if (this.isMetaAddress(metaSpendPubB58)) {
+      const meta = this.parseMetaAddress(metaSpendPubB58);
+      return this.deriveStealthPub(meta.metaSpendPubB58, meta.metaViewPubB58, metaViewPubB58, {
+        scheme: meta.scheme,
+        ...ephPriv32,
+      });
+    }
+    const { scheme = DEFAULT_STEALTH_SCHEME } = options;
+    
+    // Calculate shared secret and derive the stealth public key
+    const shared = sharedSecret(this.to32u8(ephPriv32), this.to32u8(metaViewPubB58), scheme);
+    return this.stealthPubFromShared(shared, this.to32u8(metaSpendPubB58), scheme);
+  }
+
+  /**
+   * Derives a stealth address from the view key alone (watch-only).
+   * 
+   * Computes the same stealth public key and address as `deriveStealthPub`
+   * and `deriveStealthKeypair`, but from the receiver's side of the ECDH
+   * and without any spend secret. A scanning server holding only the view
+   * private key and the spend PUBLIC key can detect payments, while spend
+   * keys stay in the user's wallet.
+   * 
+   * @param {string|Uint8Array} metaViewPriv - Meta view private key
+   * @param {string|Uint8Array} metaSpendPub - Meta spend public key
+   * @param {string|Uint8Array} ephPub - Ephemeral public key from the announcement
+   * @param {Object} options - The payment's scheme, or enough to detect it
+   * @param {number} [options.scheme] - Key derivation scheme the payer used
+   * @param {string} [options.stealthAddress] - Announced stealth address
+   *   (`stealth_owner`); without `scheme`, the scheme that derives it is used
+   * @param {Uint8Array} [options.note] - Encrypted note, to try its scheme first
+   * @returns {Promise<Object>} Same shape as `deriveStealthPub`
+   * @throws {PivySchemeError} If neither `scheme` nor `stealthAddress` is
+   *   given, or no scheme derives `stealthAddress`
+   * 
+   * @example
+   * const pivy = new PivyStealthAptos();
+   * const { stealthAptosAddress } = await pivy.deriveStealthPubFromViewKey(
+   *   metaViewPriv,
+   *   metaSpendPubB58,
+   *   event.eph_pubkey,
+   *   { scheme: STEALTH_SCHEME.HKDF_V1 }
+   * );
+   * if (stealthAptosAddress === event.stealth_owner) {
+   *   // Payment is ours; spending still needs deriveStealthKeypair
+   * }
+   */
+  async deriveStealthPubFromViewKey(metaViewPriv, metaSpendPub, ephPub, options = {}) {
+    return this.deriveForPayment(ephPub, options, async (scheme) => {
+      const shared = sharedSecret(this.to32u8(metaViewPriv), this.to32u8(ephPub), scheme);
+      return this.stealthPubFromShared(shared, this.to32u8(metaSpendPub), scheme);
+    }, (stealth) => stealth.stealthAptosAddress);
+  }
+
+  /**
+   * Adds the ECDH tweak to the meta spend public key.
+   * 
+   * Shared by the payer-side and watch-only derivations, which reach the
+   * same shared secret from opposite sides of the ECDH.
+   * 
+   * @param {Uint8Array} shared - Shared secret from either side of the ECDH
+   * @param {Uint8Array} metaSpendPub - Meta spend public key
+   * @param {number} scheme - One of STEALTH_SCHEME
+   * @returns {Object} Same shape as `deriveStealthPub`
+   */
+  stealthPubFromShared(shared, metaSpendPub, scheme) {
+    const tweak = deriveSchemeKey(shared, 'tweak', scheme);
+    const viewTag = deriveSchemeKey(shared, 'viewTag', scheme)[0];
+    
+    if (isEd25519Scheme(scheme)) {
+      // Point arithmetic on Ed25519: StealthPub = MetaSpendPub + tweak * G
+      const tweakScalar = bytesToNumberLE(tweak) % ed25519.CURVE.n;
+      const stealthPoint = ed25519Point(metaSpendPub)
+        .add(ed25519.ExtendedPoint.BASE.multiply(tweakScalar));
+      const stealthPubKeyBytes = stealthPoint.toRawBytes();
+      
+      return {
+        stealthPubKeyB58: bs58.encode(stealthPubKeyBytes),
+        stealthAptosAddress: this.ed25519PointToAptosAddress(stealthPubKeyBytes),
+        stealthPubKeyBytes,
+        scheme,
+        viewTag
+      };
+    }
     
     // Convert tweak to scalar
-    const tweakScalar = BigInt('0x' + Buffer.from(tweak).toString('hex')) % secp.CURVE.n;
+    const tweakScalar = BigInt('0x' + bytesToHex(tweak)) % secp.CURVE.n;
     
     // Point arithmetic: StealthPub = MetaSpendPub + tweak * G
     const tweakPoint = secp.Point.BASE.multiply(tweakScalar);
-    const metaSpendPoint = secp.Point.fromHex(this.to32u8(metaSpendPubB58));
+    const metaSpendPoint = secp.Point.fromHex(metaSpendPub);
     const stealthPoint = metaSpendPoint.add(tweakPoint);
     
     // Convert to compressed bytes
@@ -393,7 +1469,9 @@ export class PivyStealthAptos {
     return {
       stealthPubKeyB58: bs58.encode(stealthPubKeyBytes),
       stealthAptosAddress,
-      stealthPubKeyBytes
+      stealthPubKeyBytes,
+      scheme,
+      viewTag
     };
   }
 
@@ -407,22 +1485,41 @@ export class PivyStealthAptos {
    * Only the receiver possessing both meta private keys can perform
    * this derivation, ensuring payment privacy and security.
    * 
+   * With STEALTH_SCHEME.ED25519_V1 the meta keys are Ed25519 seeds and the
+   * returned account is an `Ed25519Account`. Its `privateKey` bytes are the
+   * raw little-endian stealth scalar, not a seed, so they cannot be imported
+   * into wallets that expect an Ed25519 seed; sign through `account`.
+   * 
+   * There is no default scheme: recovering a legacy payment under the new
+   * scheme would silently give a different key. Pass the payment's `scheme`
+   * (PivyScanner reports it per payment), or the announced `stealthAddress`
+   * to detect it.
+   * 
    * @param {string|Uint8Array} metaSpendPriv - Meta spend private key
    * @param {string|Uint8Array} metaViewPriv - Meta view private key
    * @param {string|Uint8Array} ephPub - Ephemeral public key from payment
+   * @param {Object} options - The payment's scheme, or enough to detect it
+   * @param {number} [options.scheme] - Key derivation scheme the payer used
+   * @param {string} [options.stealthAddress] - Announced stealth address
+   *   (`stealth_owner`); without `scheme`, the scheme that derives it is used
+   * @param {Uint8Array} [options.note] - Encrypted note, to try its scheme first
    * @returns {Promise<Object>} Stealth keypair and utilities
    * @returns {Account} returns.account - Aptos-compatible account
    * @returns {string} returns.stealthAddress - Aptos address
    * @returns {Uint8Array} returns.privateKey - Raw private key bytes
    * @returns {Function} returns.toAptosAddress - Get address function
    * @returns {Function} returns.publicKeyBase58 - Get public key function
+   * @returns {number} returns.scheme - Key derivation scheme used
+   * @throws {PivySchemeError} If neither `scheme` nor `stealthAddress` is
+   *   given, or no scheme derives `stealthAddress`
    * 
    * @example
    * const pivy = new PivyStealthAptos();
    * const stealthKP = await pivy.deriveStealthKeypair(
    *   metaSpendPrivateKey,
    *   metaViewPrivateKey,
-   *   ephemeralPublicKey
+   *   ephemeralPublicKey,
+   *   { stealthAddress: event.stealth_owner }
    * );
    * 
    * // Use with Aptos transactions
@@ -430,16 +1527,46 @@ export class PivyStealthAptos {
    * const txnRequest = await client.generateTransaction(address, payload);
    * const signedTxn = await client.signTransaction(stealthKP.aptosAccount, txnRequest);
    */
-  async deriveStealthKeypair(metaSpendPriv, metaViewPriv, ephPub) {
+  async deriveStealthKeypair(metaSpendPriv, metaViewPriv, ephPub, options = {}) {
+    return this.deriveForPayment(
+      ephPub,
+      options,
+      (scheme) => this.deriveStealthKeypairWithScheme(metaSpendPriv, metaViewPriv, ephPub, scheme),
+      (stealthKP) => stealthKP.stealthAddress,
+    );
+  }
+
+  /** `deriveStealthKeypair` for a known scheme */
+  async deriveStealthKeypairWithScheme(metaSpendPriv, metaViewPriv, ephPub, scheme) {
     // Calculate the same shared secret and tweak as payer
-    const shared = secp.getSharedSecret(this.to32u8(metaViewPriv), this.to32u8(ephPub), true);
-    const tweak = sha256(shared.slice(1));
+    const shared = sharedSecret(this.to32u8(metaViewPriv), this.to32u8(ephPub), scheme);
+    const tweak = deriveSchemeKey(shared, 'tweak', scheme);
+    
+    if (isEd25519Scheme(scheme)) {
+      // Scalar arithmetic on Ed25519: StealthPriv = MetaSpendScalar + tweak (mod L)
+      const L = ed25519.CURVE.n;
+      const stealthScalar = (ed25519Scalar(this.to32u8(metaSpendPriv)) + bytesToNumberLE(tweak)) % L;
+      const privateKey = new Ed25519ScalarPrivateKey(stealthScalar);
+      const account = new Ed25519Account({ privateKey });
+      const stealthAddress = account.accountAddress.toString();
+      
+      return {
+        account,
+        stealthAddress,
+        privateKey: privateKey.toUint8Array(),
+        scheme,
+        
+        // Helper methods for compatibility
+        toAptosAddress: () => stealthAddress,
+        publicKeyBase58: () => bs58.encode(privateKey.publicKeyBytes)
+      };
+    }
     
     // Convert to scalars
-    const tweakScalar = BigInt('0x' + Buffer.from(tweak).toString('hex')) % secp.CURVE.n;
+    const tweakScalar = BigInt('0x' + bytesToHex(tweak)) % secp.CURVE.n;
     
     const metaSpendPrivBytes = this.to32u8(metaSpendPriv);
-    const metaSpendScalar = BigInt('0x' + Buffer.from(metaSpendPrivBytes).toString('hex')) % secp.CURVE.n;
+    const metaSpendScalar = BigInt('0x' + bytesToHex(metaSpendPrivBytes)) % secp.CURVE.n;
     
     // Scalar arithmetic: StealthPriv = MetaSpendPriv + tweak
     const stealthPrivScalar = (metaSpendScalar + tweakScalar) % secp.CURVE.n;
@@ -463,6 +1590,7 @@ export class PivyStealthAptos {
       account,
       stealthAddress,
       privateKey: stealthPrivBytes,
+      scheme,
       
       // Helper methods for compatibility
       toAptosAddress: () => stealthAddress,
@@ -480,6 +1608,9 @@ export class PivyStealthAptos {
    * Creates both spend and view keypairs required for the stealth
    * address system. These should be generated once and stored securely.
    * 
+   * @param {Object} [options]
+   * @param {number} [options.scheme=DEFAULT_STEALTH_SCHEME] - Scheme the keys
+   *   are for; STEALTH_SCHEME.ED25519_V1 gives Ed25519 accounts
    * @returns {Object} Meta keypair set
    * @returns {Account} returns.metaSpend - Spend account
    * @returns {Account} returns.metaView - View account
@@ -493,9 +1624,76 @@ export class PivyStealthAptos {
    * console.log("Spend Public:", metaKeys.metaSpendPubB58);
    * console.log("View Public:", metaKeys.metaViewPubB58);
    */
-  generateMetaKeys() {
-    const metaSpend = Account.generate({ scheme: SigningSchemeInput.Secp256k1Ecdsa });
-    const metaView = Account.generate({ scheme: SigningSchemeInput.Secp256k1Ecdsa });
+  generateMetaKeys({ scheme = DEFAULT_STEALTH_SCHEME } = {}) {
+    const signingScheme = isEd25519Scheme(scheme) ? SigningSchemeInput.Ed25519 : SigningSchemeInput.Secp256k1Ecdsa;
+    const metaSpend = Account.generate({ scheme: signingScheme });
+    const metaView = Account.generate({ scheme: signingScheme });
+    
+    return {
+      metaSpend,
+      metaView,
+      metaSpendPubB58: bs58.encode(this.getPubBytes(metaSpend)),
+      metaViewPubB58: bs58.encode(this.getPubBytes(metaView))
+    };
+  }
+
+  /**
+   * Derives meta keys deterministically from a BIP39 mnemonic or a seed.
+   * 
+   * The same seed and account index always give the same keys, so a user
+   * can recover every stealth payment from their seed phrase alone.
+   * Different account indexes give independent meta-addresses.
+   * Paths are listed in META_KEY_PATHS.
+   * 
+   * @param {string|Uint8Array} seedOrMnemonic - BIP39 mnemonic (English
+   *   wordlist) or a 32-byte seed (Uint8Array or 64-char hex)
+   * @param {Object} [options]
+   * @param {number} [options.accountIndex=0] - Meta-address index
+   * @param {string} [options.passphrase=''] - Optional BIP39 passphrase (mnemonic only)
+   * @param {number} [options.scheme=DEFAULT_STEALTH_SCHEME] - Scheme the keys are for
+   * @returns {Object} Meta keypair set, same shape as `generateMetaKeys`
+   * @returns {Account} returns.metaSpend - Spend account
+   * @returns {Account} returns.metaView - View account
+   * @returns {string} returns.metaSpendPubB58 - Base58 spend public key
+   * @returns {string} returns.metaViewPubB58 - Base58 view public key
+   * @throws {Error} If the mnemonic is invalid, the seed is not 32 bytes
+   *   or the account index is out of range
+   * 
+   * @example
+   * const pivy = new PivyStealthAptos();
+   * const metaKeys = pivy.deriveMetaKeysFromSeed(mnemonic, { accountIndex: 1 });
+   */
+  deriveMetaKeysFromSeed(seedOrMnemonic, { accountIndex = 0, passphrase = '', scheme = DEFAULT_STEALTH_SCHEME } = {}) {
+    if (!Number.isInteger(accountIndex) || accountIndex < 0 || accountIndex >= 2 ** 31) {
+      throw new Error('Account index must be an integer in [0, 2^31)');
+    }
+    
+    let seed;
+    if (typeof seedOrMnemonic === 'string' && seedOrMnemonic.trim().includes(' ')) {
+      const mnemonic = seedOrMnemonic.trim().normalize('NFKD').split(/\s+/).join(' ');
+      if (!validateMnemonic(mnemonic, wordlist)) throw new Error('Invalid BIP39 mnemonic');
+      seed = mnemonicToSeedSync(mnemonic, passphrase);
+    } else {
+      seed = this.to32u8(seedOrMnemonic);
+      if (seed.length !== 32) throw new Error('Seed must be exactly 32 bytes');
+    }
+    
+    const root = HDKey.fromMasterSeed(seed);
+    
+    let metaSpend, metaView;
+    if (isEd25519Scheme(scheme)) {
+      const toAccount = (path) => new Ed25519Account({
+        privateKey: new Ed25519PrivateKey(root.derive(path).privateKey),
+      });
+      metaSpend = toAccount(META_KEY_PATHS.ed25519Spend(accountIndex));
+      metaView = toAccount(META_KEY_PATHS.ed25519View(accountIndex));
+    } else {
+      const toAccount = (path) => Account.fromPrivateKey({
+        privateKey: new Secp256k1PrivateKey(root.derive(path).privateKey),
+      });
+      metaSpend = toAccount(META_KEY_PATHS.spend(accountIndex));
+      metaView = toAccount(META_KEY_PATHS.view(accountIndex));
+    }
     
     return {
       metaSpend,
@@ -505,6 +1703,51 @@ export class PivyStealthAptos {
     };
   }
 
+  /**
+   * Derives meta keys from a signature by the user's existing wallet.
+   * 
+   * The wallet signs META_KEY_SIGN_MESSAGE; the signature is hashed into a
+   * seed for `deriveMetaKeysFromSeed`. Because Ed25519 signing is
+   * deterministic, the keys can be recovered at any time from the wallet
+   * alone, with no separate backup.
+   * 
+   * Supported signers:
+   * - Wallet-standard signers exposing `signMessage({ message, nonce })`
+   * - Aptos SDK `Account` objects (signs the same wallet-standard full
+   *   message, so both give identical keys for the same private key)
+   * 
+   * @param {Object} signer - Wallet or Aptos SDK Account
+   * @param {Object} [options]
+   * @param {number} [options.accountIndex=0] - Meta-address index
+   * @param {number} [options.scheme=DEFAULT_STEALTH_SCHEME] - Scheme the keys are for
+   * @returns {Promise<Object>} Meta keypair set, same shape as `generateMetaKeys`
+   * @throws {Error} If the signer cannot sign or returns a non-64-byte signature
+   * 
+   * @example
+   * const pivy = new PivyStealthAptos();
+   * const metaKeys = await pivy.deriveMetaKeysFromSigner(receiverEd25519Account);
+   */
+  async deriveMetaKeysFromSigner(signer, { accountIndex = 0, scheme = DEFAULT_STEALTH_SCHEME } = {}) {
+    let result;
+    if (typeof signer?.signMessage === 'function') {
+      result = await signer.signMessage({ message: META_KEY_SIGN_MESSAGE, nonce: META_KEY_SIGN_NONCE });
+    } else if (typeof signer?.sign === 'function') {
+      // Same bytes a wallet-standard wallet signs for signMessage
+      const fullMessage = `APTOS\nmessage: ${META_KEY_SIGN_MESSAGE}\nnonce: ${META_KEY_SIGN_NONCE}`;
+      result = signer.sign(this.toBytes(fullMessage));
+    } else {
+      throw new Error('Signer must expose signMessage() or sign()');
+    }
+    
+    const signature = signatureToBytes(result);
+    if (signature.length !== 64) {
+      throw new Error(`Expected a 64-byte Ed25519 signature, got ${signature.length} bytes`);
+    }
+    
+    const seed = hkdf(sha256, signature, HKDF_SALT, META_SEED_LABEL, 32);
+    return this.deriveMetaKeysFromSeed(seed, { accountIndex, scheme });
+  }
+
   /**
    * Generates a new ephemeral keypair for a stealth payment.
    * 
@@ -512,9 +1755,12 @@ export class PivyStealthAptos {
    * The private key is used by the payer, and the public key
    * is shared with the receiver for key derivation.
    * 
+   * @param {Object} [options]
+   * @param {number} [options.scheme=DEFAULT_STEALTH_SCHEME] - Scheme of the
+   *   receiver's meta-address
    * @returns {Object} Ephemeral keypair information
    * @returns {Account} returns.account - Full account object
-   * @returns {Uint8Array} returns.privateKey - 32-byte private key
+   * @returns {Uint8Array} returns.privateKey - 32-byte private key (Ed25519: seed)
    * @returns {string} returns.publicKeyB58 - Base58 public key
    * 
    * @example
@@ -526,8 +1772,9 @@ export class PivyStealthAptos {
    *   ephemeral.privateKey
    * );
    */
-  generateEphemeralKey() {
-    const account = Account.generate({ scheme: SigningSchemeInput.Secp256k1Ecdsa });
+  generateEphemeralKey({ scheme = DEFAULT_STEALTH_SCHEME } = {}) {
+    const signingScheme = isEd25519Scheme(scheme) ? SigningSchemeInput.Ed25519 : SigningSchemeInput.Secp256k1Ecdsa;
+    const account = Account.generate({ scheme: signingScheme });
     const privateKey = account.privateKey.toUint8Array();
     const publicKeyB58 = bs58.encode(this.getPubBytes(account));
     
@@ -589,36 +1836,120 @@ export class PivyStealthAptos {
     return new PivyStealthAptos().secp256k1PointToAptosAddress(point);
   }
 
-  static async encryptEphemeralPrivKey(ephPriv32, metaViewPub) {
-    return new PivyStealthAptos().encryptEphemeralPrivKey(ephPriv32, metaViewPub);
+  static ed25519PointToAptosAddress(point) {
+    return new PivyStealthAptos().ed25519PointToAptosAddress(point);
+  }
+
+  static async encryptEphemeralPrivKey(ephPriv32, metaViewPub, options) {
+    return new PivyStealthAptos().encryptEphemeralPrivKey(ephPriv32, metaViewPub, options);
   }
 
   static async decryptEphemeralPrivKey(encodedPayload, metaViewPriv, ephPub) {
     return new PivyStealthAptos().decryptEphemeralPrivKey(encodedPayload, metaViewPriv, ephPub);
   }
 
-  static async encryptNote(plaintext, ephPriv32, metaViewPub) {
-    return new PivyStealthAptos().encryptNote(plaintext, ephPriv32, metaViewPub);
+  static async decryptLegacyEphemeralPrivKey(payload, metaViewPriv, ephPub) {
+    return new PivyStealthAptos().decryptLegacyEphemeralPrivKey(payload, metaViewPriv, ephPub);
+  }
+
+  static encodeMemoEnvelope(envelope) {
+    return new PivyStealthAptos().encodeMemoEnvelope(envelope);
+  }
+
+  static decodeMemoEnvelope(bytes) {
+    return new PivyStealthAptos().decodeMemoEnvelope(bytes);
+  }
+
+  static async encryptNote(plaintext, ephPriv32, metaViewPub, options) {
+    return new PivyStealthAptos().encryptNote(plaintext, ephPriv32, metaViewPub, options);
   }
 
   static async decryptNote(encryptedBytes, metaViewPriv, ephPub) {
     return new PivyStealthAptos().decryptNote(encryptedBytes, metaViewPriv, ephPub);
   }
 
-  static async deriveStealthPub(metaSpendPubB58, metaViewPubB58, ephPriv32) {
-    return new PivyStealthAptos().deriveStealthPub(metaSpendPubB58, metaViewPubB58, ephPriv32);
+  static async decryptLegacyNote(encryptedBytes, metaViewPriv, ephPub) {
+    return new PivyStealthAptos().decryptLegacyNote(encryptedBytes, metaViewPriv, ephPub);
+  }
+
+  static getNoteScheme(encryptedBytes) {
+    return new PivyStealthAptos().getNoteScheme(encryptedBytes);
+  }
+
+  static getCandidateSchemes(ephPub, note) {
+    return new PivyStealthAptos().getCandidateSchemes(ephPub, note);
+  }
+
+  static computeViewTag(ephPriv32, metaViewPub, options) {
+    return new PivyStealthAptos().computeViewTag(ephPriv32, metaViewPub, options);
+  }
+
+  static checkViewTag(viewTag, metaViewPriv, ephPub, options) {
+    return new PivyStealthAptos().checkViewTag(viewTag, metaViewPriv, ephPub, options);
+  }
+
+  static computeSharedSecret(metaViewPriv, ephPub, options) {
+    return new PivyStealthAptos().computeSharedSecret(metaViewPriv, ephPub, options);
+  }
+
+  static viewTagFromShared(shared, scheme) {
+    return new PivyStealthAptos().viewTagFromShared(shared, scheme);
+  }
+
+  static encodeAnnouncementPayload(message, viewTag) {
+    return new PivyStealthAptos().encodeAnnouncementPayload(message, viewTag);
+  }
+
+  static decodeAnnouncementPayload(payload) {
+    return new PivyStealthAptos().decodeAnnouncementPayload(payload);
+  }
+
+  static encodeMetaAddress(metaSpendPub, metaViewPub, options) {
+    return new PivyStealthAptos().encodeMetaAddress(metaSpendPub, metaViewPub, options);
+  }
+
+  static parseMetaAddress(metaAddress) {
+    return new PivyStealthAptos().parseMetaAddress(metaAddress);
+  }
+
+  static isMetaAddress(value) {
+    return new PivyStealthAptos().isMetaAddress(value);
+  }
+
+  static isValidEphemeralPub(ephPub, options) {
+    return new PivyStealthAptos().isValidEphemeralPub(ephPub, options);
+  }
+
+  static async deriveStealthPub(metaSpendPubB58, metaViewPubB58, ephPriv32, options) {
+    return new PivyStealthAptos().deriveStealthPub(metaSpendPubB58, metaViewPubB58, ephPriv32, options);
+  }
+
+  static async deriveStealthPubFromViewKey(metaViewPriv, metaSpendPub, ephPub, options) {
+    return new PivyStealthAptos().deriveStealthPubFromViewKey(metaViewPriv, metaSpendPub, ephPub, options);
+  }
+
+  static stealthPubFromShared(shared, metaSpendPub, scheme) {
+    return new PivyStealthAptos().stealthPubFromShared(shared, metaSpendPub, scheme);
+  }
+
+  static async deriveStealthKeypair(metaSpendPriv, metaViewPriv, ephPub, options) {
+    return new PivyStealthAptos().deriveStealthKeypair(metaSpendPriv, metaViewPriv, ephPub, options);
+  }
+
+  static generateMetaKeys(options) {
+    return new PivyStealthAptos().generateMetaKeys(options);
   }
 
-  static async deriveStealthKeypair(metaSpendPriv, metaViewPriv, ephPub) {
-    return new PivyStealthAptos().deriveStealthKeypair(metaSpendPriv, metaViewPriv, ephPub);
+  static deriveMetaKeysFromSeed(seedOrMnemonic, options) {
+    return new PivyStealthAptos().deriveMetaKeysFromSeed(seedOrMnemonic, options);
   }
 
-  static generateMetaKeys() {
-    return new PivyStealthAptos().generateMetaKeys();
+  static async deriveMetaKeysFromSigner(signer, options) {
+    return new PivyStealthAptos().deriveMetaKeysFromSigner(signer, options);
   }
 
-  static generateEphemeralKey() {
-    return new PivyStealthAptos().generateEphemeralKey();
+  static generateEphemeralKey(options) {
+    return new PivyStealthAptos().generateEphemeralKey(options);
   }
 
   static validateStealthMatch(payerAddress, receiverAddress) {
@@ -636,13 +1967,34 @@ export const toBytes = PivyStealthAptos.toBytes;
 export const pad32 = PivyStealthAptos.pad32;
 export const to32u8 = PivyStealthAptos.to32u8;
 export const secp256k1PointToAptosAddress = PivyStealthAptos.secp256k1PointToAptosAddress;
+export const ed25519PointToAptosAddress = PivyStealthAptos.ed25519PointToAptosAddress;
 export const encryptEphemeralPrivKey = PivyStealthAptos.encryptEphemeralPrivKey;
 export const decryptEphemeralPrivKey = PivyStealthAptos.decryptEphemeralPrivKey;
+export const decryptLegacyEphemeralPrivKey = PivyStealthAptos.decryptLegacyEphemeralPrivKey;
+export const encodeMemoEnvelope = PivyStealthAptos.encodeMemoEnvelope;
+export const decodeMemoEnvelope = PivyStealthAptos.decodeMemoEnvelope;
 export const encryptNote = PivyStealthAptos.encryptNote;
 export const decryptNote = PivyStealthAptos.decryptNote;
+export const decryptLegacyNote = PivyStealthAptos.decryptLegacyNote;
+export const getNoteScheme = PivyStealthAptos.getNoteScheme;
+export const getCandidateSchemes = PivyStealthAptos.getCandidateSchemes;
+export const computeViewTag = PivyStealthAptos.computeViewTag;
+export const checkViewTag = PivyStealthAptos.checkViewTag;
+export const computeSharedSecret = PivyStealthAptos.computeSharedSecret;
+export const viewTagFromShared = PivyStealthAptos.viewTagFromShared;
+export const encodeAnnouncementPayload = PivyStealthAptos.encodeAnnouncementPayload;
+export const decodeAnnouncementPayload = PivyStealthAptos.decodeAnnouncementPayload;
+export const encodeMetaAddress = PivyStealthAptos.encodeMetaAddress;
+export const parseMetaAddress = PivyStealthAptos.parseMetaAddress;
+export const isMetaAddress = PivyStealthAptos.isMetaAddress;
+export const isValidEphemeralPub = PivyStealthAptos.isValidEphemeralPub;
 export const deriveStealthPub = PivyStealthAptos.deriveStealthPub;
+export const deriveStealthPubFromViewKey = PivyStealthAptos.deriveStealthPubFromViewKey;
+export const stealthPubFromShared = PivyStealthAptos.stealthPubFromShared;
 export const deriveStealthKeypair = PivyStealthAptos.deriveStealthKeypair;
 export const generateMetaKeys = PivyStealthAptos.generateMetaKeys;
+export const deriveMetaKeysFromSeed = PivyStealthAptos.deriveMetaKeysFromSeed;
+export const deriveMetaKeysFromSigner = PivyStealthAptos.deriveMetaKeysFromSigner;
 export const generateEphemeralKey = PivyStealthAptos.generateEphemeralKey;
 export const validateStealthMatch = PivyStealthAptos.validateStealthMatch;
 
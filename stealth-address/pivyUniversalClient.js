@@ -6,27 +6,189 @@
  * the asset type provided.
  */
 
+import { AccountAddress } from '@aptos-labs/ts-sdk';
+import bs58 from 'bs58';
+
+import PivyStealthAptos, { DEFAULT_STEALTH_SCHEME, STEALTH_SCHEME } from './pivyStealthHelpersAptos.js';
+import PivyPortfolio, {
+  APTOS_COIN_TYPE,
+  APTOS_FA_METADATA,
+  FA_METADATA_STRUCT,
+  normalizeCoinType
+} from './pivyPortfolio.js';
+import { normalizeAddress } from './pivyAnnouncementSources.js';
+import { formatUnits, parseUnits, toU64 } from './pivyAmounts.js';
+import { decodeTransactionError, PivyAmountError, PivyAssetTypeError, PivyInsufficientGasError } from './pivyErrors.js';
+
+/**
+ * APT (in octas) a stealth account must keep to pay for its own withdrawal
+ * gas; below this a withdrawal is sponsored when a fee payer is given
+ */
+export const DEFAULT_GAS_RESERVE = 200_000n;
+
+/** Submissions of a self-paid APT sweep, after one runs out of gas */
+const SWEEP_APT_ATTEMPTS = 3;
+
+/** Simulations to settle the gas of a self-paid APT sweep */
+const SWEEP_APT_SIMULATIONS = 8;
+
+/** An account or object address, short (`0xa`) or full length */
+const ADDRESS_PATTERN = /^0x[0-9a-f]{1,64}$/i;
+
+/** A Move struct tag, `0xaddress::module::Name` with optional type arguments */
+const COIN_TYPE_PATTERN = /^0x[0-9a-f]{1,64}::\w+::\w+(<.+>)?$/i;
+
 export class PIVYUniversalClient {
   constructor(aptosClient, config) {
     this.aptosClient = aptosClient;
     this.config = config;
+    this.portfolio = new PivyPortfolio(aptosClient);
+    this.assetTypes = new Map();
   }
 
   /**
    * Detects if the asset type is a Fungible Asset or traditional Coin
+   *
+   * Judged by form only; `resolveAssetType` also checks the chain.
    * @param {string} assetType - The asset type identifier
    * @returns {boolean} true if Fungible Asset, false if Coin
    */
   isFungibleAsset(assetType) {
-    // Fungible Assets are Object addresses (64 hex chars)
+    // Fungible Assets are Object addresses, short (0xa) or padded
     // Coins follow the pattern: 0xaddress::module::CoinType
-    return /^0x[0-9a-f]{64}$/i.test(assetType);
+    return ADDRESS_PATTERN.test(String(assetType).trim());
+  }
+
+  /**
+   * Resolves an asset type against the chain (cached)
+   *
+   * Accepts a coin type or an FA metadata address in any form, checks that
+   * a `coin::CoinInfo` or `fungible_asset::Metadata` exists for it, and
+   * looks up its paired form - so `0xa` and `0x1::aptos_coin::AptosCoin`
+   * both resolve to APT.
+   *
+   * @param {string} assetType - Coin type or FA metadata address
+   * @returns {Promise<Object>} `{ assetType, isFungibleAsset, coinType,
+   *   faMetadata }`: the normalised input, whether it names an FA, and both
+   *   forms (null when there is no pairing)
+   * @throws {PivyAssetTypeError} If malformed or not found on chain
+   */
+  async resolveAssetType(assetType) {
+    const input = String(assetType).trim();
+    if (this.assetTypes.has(input)) return this.assetTypes.get(input);
+
+    let resolved;
+    if (this.isFungibleAsset(input)) {
+      const faMetadata = normalizeAddress(input);
+      await this.assertAssetResource(input, faMetadata, FA_METADATA_STRUCT);
+      resolved = {
+        assetType: faMetadata,
+        isFungibleAsset: true,
+        coinType: await this.portfolio.getPairedCoin(faMetadata),
+        faMetadata
+      };
+    } else if (COIN_TYPE_PATTERN.test(input)) {
+      const coinType = normalizeCoinType(input);
+      await this.assertAssetResource(input, coinType.split('::')[0], `0x1::coin::CoinInfo<${coinType}>`);
+      resolved = {
+        assetType: coinType,
+        isFungibleAsset: false,
+        coinType,
+        faMetadata: await this.portfolio.getPairedMetadata(coinType)
+      };
+    } else {
+      throw new PivyAssetTypeError(`Not a coin type or FA metadata address: ${input}`, {
+        reason: 'malformed',
+        assetType: input
+      });
+    }
+
+    this.assetTypes.set(input, resolved);
+    return resolved;
+  }
+
+  /**
+   * Throws `PivyAssetTypeError` when an asset's defining resource is missing
+   */
+  async assertAssetResource(assetType, accountAddress, resourceType) {
+    try {
+      await this.aptosClient.getAccountResource({ accountAddress, resourceType });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      throw new PivyAssetTypeError(`Asset type not found on chain: ${assetType}`, {
+        reason: 'not-found',
+        assetType,
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Name, symbol and decimals of an asset, read from its FA `Metadata` or
+   * `coin::CoinInfo` (cached)
+   * @param {string} assetType - Coin type or FA metadata address
+   * @returns {Promise<Object>} `resolveAssetType` result plus
+   *   `{ name, symbol, decimals }` (null fields if unreadable)
+   */
+  async getAssetMetadata(assetType) {
+    const asset = await this.resolveAssetType(assetType);
+    return { ...asset, ...(await this.portfolio.getAssetInfo(asset)) };
+  }
+
+  /**
+   * Converts an amount to u64 base units of an asset
+   *
+   * A string with a decimal point (`"1.5"`) is a display amount in whole
+   * tokens and is scaled by the asset's decimals, as is any amount wrapped
+   * as `{ displayAmount: '1' }`. A bigint, number or digit-only string is
+   * already in base units and is only range-checked.
+   * @param {string} assetType - Coin type or FA metadata address
+   * @param {bigint|number|string|{displayAmount: string}} amount - Base
+   *   units, or a display amount
+   * @returns {Promise<bigint>} Base units
+   * @throws {PivyAmountError} If malformed, too precise or above u64
+   */
+  async toBaseUnits(assetType, amount) {
+    const displayAmount = typeof amount === 'string' && amount.includes('.') ? amount : amount?.displayAmount;
+    if (displayAmount === undefined) return toU64(amount);
+    return parseUnits(displayAmount, await this.getDecimals(assetType, displayAmount));
+  }
+
+  /**
+   * Formats base units of an asset for display, e.g. `"1.5 USDC"`
+   * @param {string} assetType - Coin type or FA metadata address
+   * @param {bigint|number|string} units - Amount in base units
+   * @param {Object} [options]
+   * @param {boolean} [options.withSymbol=true] - Append the asset symbol
+   * @returns {Promise<string>} Display amount
+   */
+  async formatAmount(assetType, units, { withSymbol = true } = {}) {
+    const decimals = await this.getDecimals(assetType, units);
+    const { symbol } = await this.getAssetMetadata(assetType);
+    const text = formatUnits(units, decimals);
+    return withSymbol && symbol ? `${text} ${symbol}` : text;
+  }
+
+  /** Decimals of an asset; amounts cannot be scaled without them */
+  async getDecimals(assetType, amount) {
+    const { decimals } = await this.getAssetMetadata(assetType);
+    if (decimals === null) {
+      throw new PivyAmountError(`Decimals of ${assetType} are unreadable`, { reason: 'unknown-decimals', amount });
+    }
+    return decimals;
   }
 
   /**
    * Universal announce function - automatically chooses correct implementation
    * @param {Object} params - Announcement parameters
+   * @param {bigint|number|string|Object} params.amount - Base units, or a
+   *   display amount such as `"1.5"` (see `toBaseUnits`)
+   * @param {number} [params.viewTag] - View tag from `deriveStealthPub`; when
+   *   set, `payload` is the public message and the tag is prepended to it
+   * @param {boolean} [params.simulate] - Simulate first, so a Move abort
+   *   throws (as a typed error, see pivyErrors.js) before any gas is spent
    * @returns {Promise} Transaction result
+   * @throws {PivyTransactionError} If the transaction is rejected or aborts
    */
   async announce(params) {
     const {
@@ -37,32 +199,40 @@ export class PIVYUniversalClient {
       label,
       ephPubkey,
       payload,
-      note
+      note,
+      viewTag,
+      simulate
     } = params;
 
-    if (this.isFungibleAsset(assetType)) {
+    const asset = await this.resolveAssetType(assetType);
+    const units = await this.toBaseUnits(assetType, amount);
+    if (asset.isFungibleAsset) {
       // Use Fungible Asset announce function
       return this.announceFa({
         signer,
         stealthOwner,
-        faMetadata: assetType,
-        amount,
+        faMetadata: asset.faMetadata,
+        amount: units,
         label,
         ephPubkey,
         payload,
-        note
+        note,
+        viewTag,
+        simulate
       });
     } else {
       // Use traditional Coin announce function
       return this.announceCoin({
         signer,
         stealthOwner,
-        coinType: assetType,
-        amount,
+        coinType: asset.coinType,
+        amount: units,
         label,
         ephPubkey,
         payload,
-        note
+        note,
+        viewTag,
+        simulate
       });
     }
   }
@@ -79,29 +249,29 @@ export class PIVYUniversalClient {
       label,
       ephPubkey,
       payload,
-      note
+      note,
+      viewTag,
+      simulate
     } = params;
+    const context = this.callContext('fnAnnounceFa', faMetadata, { stealthOwner, amount, label, ephPubkey, payload, note });
 
     const transaction = await this.aptosClient.transaction.build.simple({
       sender: signer.accountAddress || signer,
       data: {
-        function: `${this.config.PIVY_STEALTH.packageId}::${this.config.PIVY_STEALTH.moduleName}::${this.config.PIVY_STEALTH.fnAnnounceFa}`,
+        function: context.function,
         functionArguments: [
           stealthOwner,
           faMetadata,
           amount,
           Array.from(label),
           Array.from(ephPubkey),
-          Array.from(payload),
+          Array.from(this.withViewTag(payload, viewTag)),
           Array.from(note),
         ],
       },
     });
 
-    return await this.aptosClient.signAndSubmitTransaction({
-      signer,
-      transaction,
-    });
+    return await this.submit({ signer, transaction, simulate, context });
   }
 
   /**
@@ -116,69 +286,310 @@ export class PIVYUniversalClient {
       label,
       ephPubkey,
       payload,
-      note
+      note,
+      viewTag,
+      simulate
     } = params;
+    const context = this.callContext('fnAnnounce', coinType, { stealthOwner, amount, label, ephPubkey, payload, note });
 
     const transaction = await this.aptosClient.transaction.build.simple({
       sender: signer.accountAddress || signer,
       data: {
-        function: `${this.config.PIVY_STEALTH.packageId}::${this.config.PIVY_STEALTH.moduleName}::${this.config.PIVY_STEALTH.fnAnnounce}`,
+        function: context.function,
         typeArguments: [coinType],
         functionArguments: [
           stealthOwner,
           amount,
           Array.from(label),
           Array.from(ephPubkey),
-          Array.from(payload),
+          Array.from(this.withViewTag(payload, viewTag)),
           Array.from(note),
         ],
       },
     });
 
-    return await this.aptosClient.signAndSubmitTransaction({
+    return await this.submit({ signer, transaction, simulate, context });
+  }
+
+  /**
+   * Universal pay function - transfers funds to the stealth address and
+   * announces the payment in one transaction, choosing `pay_fa` or
+   * `pay<CoinType>` like `announce`
+   * @param {Object} params - Same parameters as `announce`
+   * @returns {Promise} Committed transaction
+   */
+  async pay(params) {
+    const {
       signer,
-      transaction,
+      stealthOwner,
+      assetType,
+      amount,
+      label,
+      ephPubkey,
+      payload,
+      note,
+      viewTag,
+      simulate
+    } = params;
+
+    const asset = await this.resolveAssetType(assetType);
+    const units = await this.toBaseUnits(assetType, amount);
+    if (asset.isFungibleAsset) {
+      return this.payFa({
+        signer,
+        stealthOwner,
+        faMetadata: asset.faMetadata,
+        amount: units,
+        label,
+        ephPubkey,
+        payload,
+        note,
+        viewTag,
+        simulate
+      });
+    } else {
+      return this.payCoin({
+        signer,
+        stealthOwner,
+        coinType: asset.coinType,
+        amount: units,
+        label,
+        ephPubkey,
+        payload,
+        note,
+        viewTag,
+        simulate
+      });
+    }
+  }
+
+  /**
+   * Pay using Fungible Asset
+   */
+  async payFa(params) {
+    const {
+      signer,
+      stealthOwner,
+      faMetadata,
+      amount,
+      label,
+      ephPubkey,
+      payload,
+      note,
+      viewTag,
+      simulate
+    } = params;
+    const context = this.callContext('fnPayFa', faMetadata, { stealthOwner, amount, label, ephPubkey, payload, note });
+
+    const transaction = await this.aptosClient.transaction.build.simple({
+      sender: signer.accountAddress || signer,
+      data: {
+        function: context.function,
+        functionArguments: [
+          stealthOwner,
+          faMetadata,
+          amount,
+          Array.from(label),
+          Array.from(ephPubkey),
+          Array.from(this.withViewTag(payload, viewTag)),
+          Array.from(note),
+        ],
+      },
     });
+
+    const pending = await this.submit({ signer, transaction, simulate, context });
+    return await this.confirm(pending, context);
+  }
+
+  /**
+   * Pay using traditional Coin
+   */
+  async payCoin(params) {
+    const {
+      signer,
+      stealthOwner,
+      coinType,
+      amount,
+      label,
+      ephPubkey,
+      payload,
+      note,
+      viewTag,
+      simulate
+    } = params;
+    const context = this.callContext('fnPay', coinType, { stealthOwner, amount, label, ephPubkey, payload, note });
+
+    const transaction = await this.aptosClient.transaction.build.simple({
+      sender: signer.accountAddress || signer,
+      data: {
+        function: context.function,
+        typeArguments: [coinType],
+        functionArguments: [
+          stealthOwner,
+          amount,
+          Array.from(label),
+          Array.from(ephPubkey),
+          Array.from(this.withViewTag(payload, viewTag)),
+          Array.from(note),
+        ],
+      },
+    });
+
+    const pending = await this.submit({ signer, transaction, simulate, context });
+    return await this.confirm(pending, context);
+  }
+
+  /**
+   * Pays a receiver's stealth meta-address in one call (payer side)
+   *
+   * Generates a fresh ephemeral key, derives the one-time stealth address,
+   * encrypts the note, pads the label, puts the view tag in the payload and
+   * submits `pay`/`pay_fa`. The ephemeral private key never leaves this
+   * function: it is not returned or logged, and is zeroed once used.
+   *
+   * @param {Object} params
+   * @param {Account} params.signer - Payer account
+   * @param {string} [params.metaAddress] - `st:apt:` meta-address; replaces
+   *   `metaSpendPub`, `metaViewPub` and `scheme`
+   * @param {string|Uint8Array} [params.metaSpendPub] - Receiver's meta spend public key
+   * @param {string|Uint8Array} [params.metaViewPub] - Receiver's meta view public key
+   * @param {number} [params.scheme] - Receiver's scheme (default: Ed25519
+   *   for 32-byte keys, else DEFAULT_STEALTH_SCHEME)
+   * @param {string} params.assetType - Coin type or FA metadata address
+   * @param {bigint|number|string|Object} params.amount - Base units, or a
+   *   display amount such as `"1.5"` (see `toBaseUnits`)
+   * @param {string} [params.note] - Private note, readable only by the receiver
+   * @param {string|Uint8Array} [params.label] - Public label (padded to 32 bytes)
+   * @param {string|Uint8Array} [params.payload] - Public message
+   * @param {boolean} [params.simulate] - Simulate first, as for `announce`
+   * @returns {Promise<Object>} `{ stealthAddress, ephPubB58, txHash, viewTag, scheme }`
+   */
+  async sendToMetaAddress(params) {
+    const {
+      signer,
+      metaAddress,
+      assetType,
+      amount,
+      note,
+      label = '',
+      payload = '',
+      simulate
+    } = params;
+    let { metaSpendPub, metaViewPub, scheme } = params;
+
+    const pivy = new PivyStealthAptos();
+    if (metaAddress) {
+      ({ metaSpendPubB58: metaSpendPub, metaViewPubB58: metaViewPub, scheme } = pivy.parseMetaAddress(metaAddress));
+    }
+    scheme ??= pivy.to32u8(metaViewPub).length === 32 ? STEALTH_SCHEME.ED25519_V1 : DEFAULT_STEALTH_SCHEME;
+
+    const ephemeral = pivy.generateEphemeralKey({ scheme });
+    const ephPriv = ephemeral.privateKey;
+    try {
+      const stealthPub = await pivy.deriveStealthPub(metaSpendPub, metaViewPub, ephPriv, { scheme });
+      const encryptedNote = note
+        ? await pivy.encryptNote(note, ephPriv, metaViewPub, { scheme })
+        : new Uint8Array(0);
+
+      const transaction = await this.pay({
+        signer,
+        stealthOwner: stealthPub.stealthAptosAddress,
+        assetType,
+        amount,
+        label: pivy.pad32(typeof label === 'string' ? pivy.toBytes(label) : label),
+        ephPubkey: bs58.decode(ephemeral.publicKeyB58),
+        payload,
+        note: encryptedNote,
+        viewTag: stealthPub.viewTag,
+        simulate
+      });
+
+      return {
+        stealthAddress: stealthPub.stealthAptosAddress,
+        ephPubB58: ephemeral.publicKeyB58,
+        txHash: transaction.hash,
+        viewTag: stealthPub.viewTag,
+        scheme
+      };
+    } finally {
+      ephPriv.fill(0);
+    }
   }
 
   /**
    * Universal withdraw function - automatically chooses correct implementation
+   *
+   * With a `feePayer`, the withdrawal is sponsored unless the stealth
+   * account holds enough APT to pay its own gas (plus the amount, when
+   * withdrawing APT itself) - a stealth address funded with an FA only
+   * usually holds none.
+   *
+   * @param {Object} params
+   * @param {Account} params.signer - Stealth account
+   * @param {string} params.assetType - Coin type or FA metadata address
+   * @param {bigint|number|string|Object} params.amount - Base units, or a
+   *   display amount such as `"1.5"` (see `toBaseUnits`)
+   * @param {string} params.destination - Recipient address
+   * @param {Account|Function} [params.feePayer] - Sponsor account, or
+   *   `async (transaction) => authenticator | { feePayerAddress, authenticator }`
+   *   to have a remote sponsor sign as fee payer
+   * @param {bigint} [params.gasReserve] - APT (octas) kept for gas when
+   *   self-paying (default DEFAULT_GAS_RESERVE)
+   * @param {boolean} [params.simulate] - Simulate first, as for `announce`
+   * @returns {Promise} Transaction result
+   * @throws {PivyTransactionError} If the transaction is rejected or aborts
    */
   async withdraw(params) {
     const {
       signer,
       assetType,
       amount,
-      destination
+      destination,
+      feePayer,
+      gasReserve = DEFAULT_GAS_RESERVE,
+      simulate
     } = params;
 
-    if (this.isFungibleAsset(assetType)) {
+    const asset = await this.resolveAssetType(assetType);
+    const units = await this.toBaseUnits(assetType, amount);
+    const sponsor = feePayer && await this.needsSponsor({ signer, assetType, amount: units, gasReserve })
+      ? feePayer
+      : undefined;
+
+    if (asset.isFungibleAsset) {
       return this.withdrawFa({
         signer,
-        faMetadata: assetType,
-        amount,
-        destination
+        faMetadata: asset.faMetadata,
+        amount: units,
+        destination,
+        feePayer: sponsor,
+        simulate
       });
     } else {
       return this.withdrawCoin({
         signer,
-        coinType: assetType,
-        amount,
-        destination
+        coinType: asset.coinType,
+        amount: units,
+        destination,
+        feePayer: sponsor,
+        simulate
       });
     }
   }
 
   /**
    * Withdraw using Fungible Asset
+   * @param {Account|Function} [params.feePayer] - Sponsors the withdrawal when set
    */
   async withdrawFa(params) {
-    const { signer, faMetadata, amount, destination } = params;
+    const { signer, faMetadata, amount, destination, feePayer, simulate } = params;
+    const context = this.callContext('fnWithdrawFa', faMetadata, { amount, destination });
 
     const transaction = await this.aptosClient.transaction.build.simple({
       sender: signer.accountAddress || signer,
+      withFeePayer: Boolean(feePayer),
       data: {
-        function: `${this.config.PIVY_STEALTH.packageId}::${this.config.PIVY_STEALTH.moduleName}::${this.config.PIVY_STEALTH.fnWithdrawFa}`,
+        function: context.function,
         functionArguments: [
           faMetadata,
           amount,
@@ -187,22 +598,33 @@ export class PIVYUniversalClient {
       },
     });
 
-    return await this.aptosClient.signAndSubmitTransaction({
-      signer,
-      transaction,
-    });
+    return this.submit({ signer, transaction, feePayer, simulate, context });
   }
 
   /**
    * Withdraw using traditional Coin
+   * @param {Account|Function} [params.feePayer] - Sponsors the withdrawal when set
+   * @param {Object} [params.options] - Transaction build options (gas)
    */
   async withdrawCoin(params) {
-    const { signer, coinType, amount, destination } = params;
+    const { signer, coinType, amount, destination, feePayer, simulate } = params;
+    const context = this.callContext('fnWithdraw', coinType, { amount, destination });
+    const transaction = await this.buildWithdrawCoin(params);
+    return this.submit({ signer, transaction, feePayer, simulate, context });
+  }
 
-    const transaction = await this.aptosClient.transaction.build.simple({
+  /**
+   * Builds an unsigned `withdraw<CoinType>` transaction
+   */
+  async buildWithdrawCoin(params) {
+    const { signer, coinType, amount, destination, feePayer, options } = params;
+
+    return await this.aptosClient.transaction.build.simple({
       sender: signer.accountAddress || signer,
+      withFeePayer: Boolean(feePayer),
+      options,
       data: {
-        function: `${this.config.PIVY_STEALTH.packageId}::${this.config.PIVY_STEALTH.moduleName}::${this.config.PIVY_STEALTH.fnWithdraw}`,
+        function: this.callContext('fnWithdraw').function,
         typeArguments: [coinType],
         functionArguments: [
           amount,
@@ -210,11 +632,322 @@ export class PIVYUniversalClient {
         ],
       },
     });
+  }
 
-    return await this.aptosClient.signAndSubmitTransaction({
-      signer,
+  /**
+   * Empties a stealth address, withdrawing every asset it holds in full
+   *
+   * Assets are found from its `CoinStore`s, the indexer's list of its
+   * fungible stores, and any `faMetadata` / `coinTypes` given (e.g. from
+   * scanned payments). APT goes last: when the stealth account pays its own
+   * gas, that withdrawal is simulated first and sends the balance minus the
+   * exact fee, so nothing is left behind. With a `feePayer` and too little
+   * APT to cover `gasReserve` per withdrawal, every withdrawal is sponsored.
+   *
+   * A failed withdrawal is reported in its outcome and the sweep goes on.
+   *
+   * @param {Object} params
+   * @param {Account} params.stealthAccount - Stealth account to empty
+   * @param {string} params.destination - Recipient address
+   * @param {Account|Function} [params.feePayer] - Sponsor, as for `withdraw`
+   * @param {string[]} [params.faMetadata] - Extra FA metadata addresses to check
+   * @param {string[]} [params.coinTypes] - Extra coin types to check
+   * @param {bigint} [params.gasReserve] - APT (octas) per withdrawal needed
+   *   to self-pay (default DEFAULT_GAS_RESERVE)
+   * @returns {Promise<Object>} `{ stealthAddress, destination, sponsored,
+   *   assets, remainingApt }`, with one outcome per asset in `assets`:
+   *   `{ assetType, symbol, decimals, function, amount, hash, success, error }`
+   *   (plus `gasFee` for a self-paid APT sweep)
+   */
+  async sweep(params) {
+    const {
+      stealthAccount,
+      destination,
+      feePayer,
+      faMetadata = [],
+      coinTypes = [],
+      gasReserve = DEFAULT_GAS_RESERVE
+    } = params;
+
+    const stealthAddress = normalizeAddress(stealthAccount.accountAddress.toString());
+    const listed = await this.portfolio.listAssetTypes(stealthAddress);
+    const holdings = await this.portfolio.getAddressBalances(stealthAddress, {
+      faMetadata: [...faMetadata, ...listed.faMetadata],
+      coinTypes: [APTOS_COIN_TYPE, ...coinTypes, ...listed.coinTypes],
+    });
+
+    const apt = holdings.find((asset) => asset.faMetadata === APTOS_FA_METADATA);
+    const others = holdings.filter((asset) => asset !== apt);
+    const sponsored = Boolean(feePayer)
+      && (apt?.balance ?? 0n) < BigInt(gasReserve) * BigInt(others.length + 1);
+    const sponsor = sponsored ? feePayer : undefined;
+
+    const assets = [];
+    for (const asset of others) {
+      assets.push(await this.sweepAsset({ stealthAccount, destination, feePayer: sponsor, asset }));
+    }
+    if (apt && sponsored) {
+      const balance = await this.getAptBalance(stealthAddress);
+      assets.push(await this.sweepAsset({ stealthAccount, destination, feePayer: sponsor, asset: { ...apt, balance } }));
+    } else if (apt) {
+      assets.push(await this.sweepApt({ stealthAccount, destination, asset: apt }));
+    }
+
+    return {
+      stealthAddress,
+      destination,
+      sponsored,
+      assets,
+      remainingApt: await this.getAptBalance(stealthAddress),
+    };
+  }
+
+  /**
+   * Withdraws the whole balance of one asset for `sweep`
+   * @returns {Promise<Object>} Outcome
+   */
+  async sweepAsset({ stealthAccount, destination, feePayer, asset }) {
+    // withdraw<CoinType> drains the coin store and its paired FA store together
+    const viaCoin = Boolean(asset.coinType);
+    const outcome = this.sweepOutcome(asset, viaCoin, viaCoin ? asset.balance : asset.faBalance);
+
+    try {
+      const pending = viaCoin
+        ? await this.withdrawCoin({ signer: stealthAccount, coinType: asset.coinType, amount: outcome.amount, destination, feePayer })
+        : await this.withdrawFa({ signer: stealthAccount, faMetadata: asset.faMetadata, amount: outcome.amount, destination, feePayer });
+      outcome.hash = pending.hash;
+      const committed = await this.confirm(pending, this.callContext(
+        viaCoin ? 'fnWithdraw' : 'fnWithdrawFa',
+        viaCoin ? asset.coinType : asset.faMetadata,
+        { amount: outcome.amount, destination }
+      ));
+      outcome.success = committed.success;
+    } catch (error) {
+      outcome.error = error.message;
+    }
+    return outcome;
+  }
+
+  /**
+   * Withdraws all APT of a self-paying stealth account for `sweep`: the
+   * gas limit is set to the simulated gas, and the balance minus that fee
+   * is sent, so the account ends at zero. A withdrawal that runs out of gas
+   * is still charged, so it is priced again from what is left and retried.
+   * @returns {Promise<Object>} Outcome, with `gasFee`
+   */
+  async sweepApt({ stealthAccount, destination, asset }) {
+    const outcome = { ...this.sweepOutcome(asset, true, 0n), gasFee: null };
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const balance = await this.getAptBalance(stealthAccount.accountAddress.toString());
+        const { amount, maxGasAmount, gasUnitPrice } = await this.priceAptSweep({ stealthAccount, destination, balance });
+        outcome.amount = amount;
+        outcome.gasFee = maxGasAmount * gasUnitPrice;
+
+        const pending = await this.withdrawCoin({
+          signer: stealthAccount,
+          coinType: APTOS_COIN_TYPE,
+          amount,
+          destination,
+          options: { maxGasAmount: Number(maxGasAmount), gasUnitPrice: Number(gasUnitPrice) },
+        });
+        outcome.hash = pending.hash;
+        try {
+          const committed = await this.confirm(pending, this.callContext('fnWithdraw', APTOS_COIN_TYPE, { amount, destination }));
+          outcome.success = committed.success;
+          return outcome;
+        } catch (error) {
+          if (!(error instanceof PivyInsufficientGasError) || attempt === SWEEP_APT_ATTEMPTS) throw error;
+        }
+      }
+    } catch (error) {
+      outcome.error = error.message;
+    }
+    return outcome;
+  }
+
+  /**
+   * Prices a withdrawal of a whole APT balance, simulating until the
+   * transfer of `balance - gasUsed * gasUnitPrice` uses exactly `gasUsed`
+   *
+   * Each simulation prices the next amount to try, starting from 1 octa.
+   * An amount that leaves too little for its own fee shows the gas grew,
+   * so the next try leaves twice the room.
+   * @returns {Promise<Object>} `{ amount, maxGasAmount, gasUnitPrice }`
+   */
+  async priceAptSweep({ stealthAccount, destination, balance }) {
+    let amount = 1n;
+    for (let attempt = 0; attempt < SWEEP_APT_SIMULATIONS; attempt++) {
+      let simulation;
+      try {
+        simulation = await this.simulate({
+          signer: stealthAccount,
+          transaction: await this.buildWithdrawCoin({ signer: stealthAccount, coinType: APTOS_COIN_TYPE, amount, destination }),
+          options: { estimateMaxGasAmount: true },
+          context: this.callContext('fnWithdraw', APTOS_COIN_TYPE, { amount, destination }),
+        });
+      } catch (error) {
+        if (!(error instanceof PivyInsufficientGasError) || amount === 1n) throw error;
+        amount = balance - 2n * (balance - amount);
+        if (amount <= 0n) throw error;
+        continue;
+      }
+
+      const gasUsed = BigInt(simulation.gas_used);
+      const gasUnitPrice = BigInt(simulation.gas_unit_price);
+      const rest = balance - gasUsed * gasUnitPrice;
+      if (rest <= 0n) throw new Error(`APT balance ${balance} does not cover gas ${gasUsed * gasUnitPrice}`);
+      if (rest === amount) return { amount, maxGasAmount: gasUsed, gasUnitPrice };
+      amount = rest;
+    }
+    throw new Error(`Gas for sweeping ${balance} octas did not settle after ${SWEEP_APT_SIMULATIONS} simulations`);
+  }
+
+  /** Initial outcome of sweeping one asset */
+  sweepOutcome(asset, viaCoin, amount) {
+    const { fnWithdraw, fnWithdrawFa } = this.config.PIVY_STEALTH;
+    return {
+      assetType: asset.assetType,
+      symbol: asset.symbol,
+      decimals: asset.decimals,
+      function: viaCoin ? `${fnWithdraw}<${asset.coinType}>` : fnWithdrawFa,
+      amount,
+      hash: null,
+      success: false,
+      error: null,
+    };
+  }
+
+  /**
+   * Whether a withdrawal needs a sponsor: true when the stealth account's
+   * APT cannot cover `gasReserve`, plus `amount` when the asset is APT
+   * @returns {Promise<boolean>}
+   */
+  async needsSponsor({ signer, assetType, amount, gasReserve = DEFAULT_GAS_RESERVE }) {
+    const balance = await this.getAptBalance(signer.accountAddress.toString());
+    const asset = await this.resolveAssetType(assetType);
+    const isApt = asset.coinType === APTOS_COIN_TYPE || asset.faMetadata === APTOS_FA_METADATA;
+    const required = BigInt(gasReserve) + (isApt ? BigInt(amount) : 0n);
+    return balance < required;
+  }
+
+  /**
+   * APT balance of an account, coin store and paired FA store together
+   * @param {string} address - Account address
+   * @returns {Promise<bigint>} Balance in octas
+   */
+  async getAptBalance(address) {
+    const [balance] = await this.aptosClient.view({
+      payload: {
+        function: '0x1::coin::balance',
+        typeArguments: [APTOS_COIN_TYPE],
+        functionArguments: [address],
+      },
+    });
+    return BigInt(balance);
+  }
+
+  /**
+   * Signs and submits a transaction, as the sender alone or with a fee
+   * payer (the transaction must then be built `withFeePayer`)
+   *
+   * With `simulate`, the transaction is simulated first so a failing call
+   * costs no gas. Failures are rethrown as typed errors (see
+   * `decodeTransactionError`) carrying `context`.
+   * @returns {Promise} Pending transaction
+   */
+  async submit({ signer, transaction, feePayer, simulate, context }) {
+    if (simulate) await this.simulate({ signer, transaction, context });
+
+    try {
+      if (!feePayer) {
+        return await this.aptosClient.signAndSubmitTransaction({
+          signer,
+          transaction,
+        });
+      }
+
+      const senderAuthenticator = this.aptosClient.transaction.sign({ signer, transaction });
+
+      let feePayerAuthenticator;
+      if (typeof feePayer === 'function') {
+        // Remote sponsor: it signs as fee payer and tells us its address
+        const sponsored = await feePayer(transaction);
+        if (sponsored?.authenticator) {
+          transaction.feePayerAddress = AccountAddress.from(sponsored.feePayerAddress);
+          feePayerAuthenticator = sponsored.authenticator;
+        } else {
+          feePayerAuthenticator = sponsored;
+        }
+      } else {
+        feePayerAuthenticator = this.aptosClient.transaction.signAsFeePayer({
+          signer: feePayer,
+          transaction,
+        });
+      }
+
+      return await this.aptosClient.transaction.submit.simple({
+        transaction,
+        senderAuthenticator,
+        feePayerAuthenticator,
+      });
+    } catch (error) {
+      throw decodeTransactionError(error, context);
+    }
+  }
+
+  /**
+   * Simulates a transaction, throwing the typed error it would fail with
+   * @param {Object} [params.options] - Simulation options (gas estimation)
+   * @returns {Promise<Object>} Simulated transaction response
+   */
+  async simulate({ signer, transaction, options, context }) {
+    const [result] = await this.aptosClient.transaction.simulate.simple({
+      signerPublicKey: signer.publicKey,
       transaction,
+      options,
     });
+    if (!result.success) throw decodeTransactionError(result, context);
+    return result;
+  }
+
+  /**
+   * Waits for a submitted transaction, rethrowing a failure as a typed error
+   * @returns {Promise} Committed transaction
+   */
+  async confirm(pending, context) {
+    try {
+      return await this.aptosClient.waitForTransaction({ transactionHash: pending.hash });
+    } catch (error) {
+      throw decodeTransactionError(error, context);
+    }
+  }
+
+  /**
+   * What a call is doing, attached to any error it raises
+   * @param {string} fnKey - Function name key in `config.PIVY_STEALTH`, e.g. `fnPayFa`
+   * @param {string} [assetType] - Coin type or FA metadata address
+   * @param {Object} [args] - Named call arguments
+   * @returns {Object} `{ function, assetType, args }`
+   */
+  callContext(fnKey, assetType, args) {
+    const { packageId, moduleName } = this.config.PIVY_STEALTH;
+    return { function: `${packageId}::${moduleName}::${this.config.PIVY_STEALTH[fnKey]}`, assetType, args };
+  }
+
+  /**
+   * Encodes an announcement payload as bytes, prepending a view tag when
+   * one is given
+   * @param {Uint8Array|number[]|string} payload - Public message bytes or text
+   * @param {number} [viewTag] - View tag from `deriveStealthPub`
+   * @returns {Uint8Array} Payload ready for the announcement
+   */
+  withViewTag(payload, viewTag) {
+    if (viewTag === undefined || viewTag === null) {
+      return typeof payload === 'string' ? PivyStealthAptos.toBytes(payload) : Uint8Array.from(payload);
+    }
+    return PivyStealthAptos.encodeAnnouncementPayload(payload, viewTag);
   }
 
   /**
@@ -225,7 +958,7 @@ export class PIVYUniversalClient {
       assetType,
       isFungibleAsset: this.isFungibleAsset(assetType),
       detectedAs: this.isFungibleAsset(assetType) ? 'Fungible Asset' : 'Coin',
-      functionToUse: this.isFungibleAsset(assetType) ? 'announce_fa/withdraw_fa' : 'announce<T>/withdraw<T>'
+      functionToUse: this.isFungibleAsset(assetType) ? 'pay_fa/announce_fa/withdraw_fa' : 'pay<T>/announce<T>/withdraw<T>'
     };
   }
 }
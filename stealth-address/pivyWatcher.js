@@ -0,0 +1,248 @@
+/**
+ * PIVY Payment Watcher - Live notifications for new stealth payments
+ *
+ * Polls a `PivyScanner` (and through it, the scanner's AnnouncementSource)
+ * for new `PaymentEvent` / `PaymentEventFA` entries and emits each payment
+ * addressed to the receiver as it lands on-chain.
+ * Consume it as an EventEmitter or with `for await`.
+ *
+ * @author PIVY Team
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+
+import { PAYMENT_EVENT_KIND } from './pivyAnnouncementSources.js';
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Constants                                                       */
+/*──────────────────────────────────────────────────────────────────*/
+
+/** Default delay between polls (ms) */
+export const DEFAULT_POLL_INTERVAL = 5_000;
+
+/** Default upper bound for the retry delay after failed polls (ms) */
+export const DEFAULT_MAX_BACKOFF = 60_000;
+
+/** Identity of a payment on-chain: one event of one transaction */
+function paymentKey(payment) {
+  return `${payment.transactionVersion}:${payment.eventIndex}`;
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Main PivyPaymentWatcher Class                                   */
+/*──────────────────────────────────────────────────────────────────*/
+
+/**
+ * Watches the chain for a receiver's new payments.
+ *
+ * Events:
+ * - `payment` (payment) - a new payment, same shape as `PivyScanner.matchAnnouncement`
+ * - `poll` ({ stats }) - a poll finished successfully
+ * - `error` (error, { attempt, retryIn }) - a poll failed and will be
+ *   retried with exponential backoff. A flaky RPC never crashes the
+ *   process: without an `error` listener the failure is reported as a
+ *   process warning instead
+ * - `stop` - the watcher has shut down
+ *
+ * Each payment is emitted once, even though pages can overlap. A page's
+ * payments are emitted before it is recorded and the cursor moves past
+ * it, so if a `payment` listener throws, the poll fails and the rest of
+ * the page is emitted on the retry. With an `index` (PivyScanIndex)
+ * payments are also persisted and watching resumes from the saved
+ * checkpoints after a restart; payments emitted just before a crash may
+ * then be emitted again.
+ *
+ * @example
+ * const watcher = scanner.watch({ pollInterval: 3_000 });
+ * watcher.on('payment', (p) => console.log('Paid', p.amount, p.assetType));
+ * watcher.on('error', (e, { retryIn }) => console.warn(e.message, 'retry in', retryIn));
+ * // ...
+ * await watcher.stop();
+ *
+ * @example
+ * // Async iterator
+ * for await (const payment of scanner.watch()) {
+ *   await fulfilOrder(payment);
+ * }
+ */
+export class PivyPaymentWatcher extends EventEmitter {
+  /**
+   * @param {PivyScanner} scanner - Scanner for the receiver's keys
+   * @param {Object} [options]
+   * @param {number} [options.pollInterval=DEFAULT_POLL_INTERVAL] - Delay between polls (ms)
+   * @param {number} [options.maxBackoff=DEFAULT_MAX_BACKOFF] - Longest retry delay (ms)
+   * @param {bigint|number|string} [options.fromVersion] - Start after this
+   *   ledger version (default: the index checkpoints, or genesis)
+   * @param {PivyScanIndex} [options.index] - Index to persist payments and
+   *   checkpoints in
+   * @param {string[]} [options.kinds] - Event kinds to watch (default: both)
+   */
+  constructor(scanner, { pollInterval = DEFAULT_POLL_INTERVAL, maxBackoff = DEFAULT_MAX_BACKOFF, fromVersion, index, kinds } = {}) {
+    super();
+    this.scanner = scanner;
+    this.pollInterval = pollInterval;
+    this.maxBackoff = maxBackoff;
+    this.index = index;
+    this.kinds = kinds ?? Object.values(PAYMENT_EVENT_KIND);
+    this.cursor = Object.fromEntries(this.kinds.map((kind) => [kind, fromVersion]));
+    this.seen = new Map(this.kinds.map((kind) => [kind, new Set()]));
+    this.running = false;
+    this.loop = null;
+    this.timer = null;
+    this.wake = null;
+  }
+
+  /**
+   * Starts polling. Calling it on a running watcher does nothing.
+   *
+   * @returns {PivyPaymentWatcher} this
+   */
+  start() {
+    if (this.running) return this;
+    this.running = true;
+    this.loop = this.run();
+    return this;
+  }
+
+  /**
+   * Stops polling and waits for an in-flight poll to finish.
+   *
+   * Open async iterators end after the payments already emitted.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    clearTimeout(this.timer);
+    this.wake?.();
+    await this.loop;
+    this.emit('stop');
+  }
+
+  /**
+   * Runs one poll over every watched event kind.
+   *
+   * @returns {Promise<Object>} `{ stats }` - combined scanner stats
+   */
+  async poll() {
+    const stats = {};
+
+    for (const kind of this.kinds) {
+      const eventType = this.scanner.getEventType(kind);
+      if (this.cursor[kind] === undefined) {
+        this.cursor[kind] = this.index ? await this.index.getCheckpoint(eventType) : 0n;
+      }
+
+      const result = await this.scanner.scan({
+        fromVersion: this.cursor[kind],
+        kinds: [kind],
+        onPage: async ({ payments, skipped, checkpoint }) => {
+          // Deliver first: a throwing listener fails the poll before the
+          // page is recorded, and the retry emits what was not delivered
+          const seen = this.seen.get(kind);
+          for (const payment of payments) {
+            const key = paymentKey(payment);
+            if (seen.has(key) || (this.index && await this.index.has(payment))) continue;
+            this.emit('payment', payment);
+            seen.add(key);
+          }
+
+          if (this.index) await this.index.record(eventType, payments, checkpoint, skipped);
+          this.cursor[kind] = checkpoint;
+
+          // Versions at or below the checkpoint are never read again
+          for (const key of seen) {
+            if (BigInt(key.split(':')[0]) <= checkpoint) seen.delete(key);
+          }
+        },
+      });
+
+      for (const [name, count] of Object.entries(result.stats)) {
+        stats[name] = (stats[name] ?? 0) + count;
+      }
+    }
+
+    return { stats };
+  }
+
+  /** Poll loop with exponential backoff on failure */
+  async run() {
+    let failures = 0;
+    while (this.running) {
+      let delay = this.pollInterval;
+      try {
+        const { stats } = await this.poll();
+        failures = 0;
+        this.emit('poll', { stats });
+      } catch (error) {
+        failures++;
+        delay = Math.min(this.pollInterval * 2 ** failures, this.maxBackoff);
+        if (this.listenerCount('error')) {
+          this.emit('error', error, { attempt: failures, retryIn: delay });
+        } else {
+          globalThis.process?.emitWarning?.(`PIVY watcher poll failed (attempt ${failures}), retrying in ${delay} ms: ${error.message}`, {
+            type: 'PivyWatcherWarning',
+            detail: error.stack,
+          });
+        }
+      }
+      if (this.running) await this.sleep(delay);
+    }
+  }
+
+  /** Delay that `stop()` can cut short */
+  sleep(ms) {
+    return new Promise((resolve) => {
+      this.wake = resolve;
+      this.timer = setTimeout(resolve, ms);
+    });
+  }
+
+  /**
+   * Iterates payments as they arrive, until `stop()` is called.
+   * Starts the watcher if needed. Leaving the loop early (`break`,
+   * `return` or a thrown error) stops the watcher.
+   *
+   * @returns {AsyncIterator<Object>}
+   */
+  [Symbol.asyncIterator]() {
+    const queue = [];
+    const waiting = [];
+    let done = false;
+
+    const onPayment = (payment) => {
+      if (waiting.length) waiting.shift()({ value: payment, done: false });
+      else queue.push(payment);
+    };
+    const finish = () => {
+      done = true;
+      this.off('payment', onPayment);
+      this.off('stop', finish);
+      while (waiting.length) waiting.shift()({ value: undefined, done: true });
+    };
+
+    this.on('payment', onPayment);
+    this.once('stop', finish);
+    this.start();
+
+    return {
+      next: () => {
+        if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+        if (done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve) => waiting.push(resolve));
+      },
+      return: async () => {
+        finish();
+        await this.stop();
+        return { value: undefined, done: true };
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+}
+
+export default PivyPaymentWatcher;
@@ -0,0 +1,437 @@
+/**
+ * Shared fixtures for the PIVY tests: a receiver's keys, raw payment
+ * events in indexer row shape, as fed to MemoryAnnouncementSource, and an
+ * in-memory stand-in for the Aptos SDK client.
+ */
+
+import bs58 from 'bs58';
+
+import PivyStealthAptos from '../pivyStealthHelpersAptos.js';
+import { normalizeAddress } from '../pivyAnnouncementSources.js';
+import { APTOS_FA_METADATA, FA_METADATA_STRUCT, primaryStoreAddress } from '../pivyPortfolio.js';
+
+export const CONFIG = Object.freeze({
+  PIVY_STEALTH: {
+    packageId: '0xc0d6',
+    moduleName: 'pivy_stealth',
+    fnAnnounce: 'announce',
+    fnAnnounceFa: 'announce_fa',
+    fnPay: 'pay',
+    fnPayFa: 'pay_fa',
+    fnWithdraw: 'withdraw',
+    fnWithdrawFa: 'withdraw_fa',
+  },
+});
+
+export const APT = '0x1::aptos_coin::AptosCoin';
+
+export const pivy = new PivyStealthAptos();
+
+const hex = (bytes) => '0x' + Buffer.from(bytes).toString('hex');
+
+/** A receiver's meta keys in the shape PivyScanner takes */
+export function makeReceiver(options) {
+  const keys = pivy.generateMetaKeys(options);
+  return {
+    ...keys,
+    metaViewPriv: keys.metaView.privateKey.toUint8Array(),
+    metaSpendPriv: keys.metaSpend.privateKey.toUint8Array(),
+    metaSpendPub: keys.metaSpendPubB58,
+  };
+}
+
+/**
+ * Raw `PaymentEvent<AptosCoin>` paying `receiver` through a fresh stealth
+ * address.
+ *
+ * @param {Object} receiver - From `makeReceiver`
+ * @param {Object} [options]
+ * @param {number} [options.version=1] - Transaction version
+ * @param {number} [options.eventIndex=0] - Event index
+ * @param {string} [options.note=''] - Private note ('' for none)
+ * @param {string} [options.payer='0x1'] - Payer address
+ * @param {bigint|number} [options.amount=100000000n] - Amount in octas
+ * @param {number} [options.timestamp=1700000000] - Block time (seconds)
+ * @param {number} [options.scheme] - Key derivation scheme
+ * @returns {Promise<Object>} `{ event, stealth, ephPubB58 }`
+ */
+export async function paymentEvent(receiver, {
+  version = 1,
+  eventIndex = 0,
+  note = '',
+  payer = '0x1',
+  amount = 100_000_000n,
+  timestamp = 1_700_000_000,
+  scheme,
+} = {}) {
+  const ephemeral = pivy.generateEphemeralKey({ scheme });
+  const options = scheme === undefined ? {} : { scheme };
+  const stealth = await pivy.deriveStealthPub(receiver.metaSpendPubB58, receiver.metaViewPubB58, ephemeral.privateKey, options);
+  const noteBytes = note ? await pivy.encryptNote(note, ephemeral.privateKey, receiver.metaViewPubB58, options) : new Uint8Array(0);
+
+  const event = {
+    type: `${CONFIG.PIVY_STEALTH.packageId}::pivy_stealth::PaymentEvent<${APT}>`,
+    transaction_version: String(version),
+    event_index: eventIndex,
+    data: {
+      stealth_owner: stealth.stealthAptosAddress,
+      payer,
+      amount: String(amount),
+      coin_type: APT,
+      label: hex(pivy.toBytes('test')),
+      eph_pubkey: hex(bs58.decode(ephemeral.publicKeyB58)),
+      payload: hex(pivy.encodeAnnouncementPayload('PIVY test', stealth.viewTag)),
+      note: hex(noteBytes),
+      timestamp: String(timestamp),
+    },
+  };
+  return { event, stealth, ephPubB58: ephemeral.publicKeyB58 };
+}
+
+/*──────────────────────────────────────────────────────────────────*/
+/*  Aptos client stand-in                                           */
+/*──────────────────────────────────────────────────────────────────*/
+
+/** Gas limit of a transaction built without one (at 100 octas, DEFAULT_GAS_RESERVE) */
+const DEFAULT_MAX_GAS = 2_000n;
+
+/** REST error as the SDK throws it (an `AptosApiError`) */
+function apiError(status, errorCode, message) {
+  return Object.assign(new Error(message), { status, data: { error_code: errorCode, message } });
+}
+
+/**
+ * In-memory Aptos: coin stores, primary fungible stores, asset metadata,
+ * and the `pivy_stealth` pay / withdraw entry functions, charging a flat
+ * `gasUsed` per transaction. Implements just the SDK calls the PIVY
+ * clients make. A coin and its paired FA are not merged, except APT,
+ * whose `coin::balance` also counts its `0xa` store.
+ *
+ * @example
+ * const aptos = new FakeAptos();
+ * aptos.fundCoin(payer.accountAddress, APT, 10n ** 8n);
+ * const client = new PIVYUniversalClient(aptos, CONFIG);
+ */
+export class FakeAptos {
+  /**
+   * @param {Object} [options]
+   * @param {bigint|Function} [options.gasUsed=10n] - Gas of every
+   *   transaction, or `(transaction, { simulated }) => bigint`
+   * @param {bigint} [options.gasUnitPrice=100n] - Octas per gas unit
+   */
+  constructor({ gasUsed = 10n, gasUnitPrice = 100n } = {}) {
+    this.gasUsed = gasUsed;
+    this.gasUnitPrice = gasUnitPrice;
+    this.state = { accounts: new Set(), coins: new Map(), stores: new Map() };
+    this.assets = new Map();
+    this.pairs = new Map();
+    this.transactions = [];
+    this.simulations = [];
+
+    this.defineCoin(APT, { name: 'Aptos Coin', symbol: 'APT', decimals: 8 });
+    this.defineFa(APTOS_FA_METADATA, { name: 'Aptos Coin', symbol: 'APT', decimals: 8 });
+    this.transaction = {
+      build: { simple: async (args) => this.build(args) },
+      simulate: { simple: async ({ transaction, options }) => [this.execute(transaction, { simulate: true, options })] },
+      submit: { simple: async ({ transaction }) => this.commit(transaction) },
+      sign: () => ({ signer: 'sender' }),
+      signAsFeePayer: ({ signer, transaction }) => {
+        transaction.feePayerAddress = signer.accountAddress;
+        return { signer: 'fee-payer' };
+      },
+    };
+  }
+
+  /** Publishes `coin::CoinInfo<coinType>` */
+  defineCoin(coinType, info) {
+    this.assets.set(coinType, info);
+  }
+
+  /** Creates an FA `Metadata` object */
+  defineFa(faMetadata, info) {
+    this.assets.set(normalizeAddress(faMetadata), info);
+  }
+
+  /** Pairs a coin with an FA, as `coin::paired_metadata` reports it */
+  pair(coinType, faMetadata) {
+    this.pairs.set(coinType, normalizeAddress(faMetadata));
+  }
+
+  /** Deposits to a `CoinStore`, creating the account */
+  fundCoin(address, coinType, amount) {
+    const owner = normalizeAddress(address);
+    this.state.accounts.add(owner);
+    addTo(this.state.coins, owner, coinType, BigInt(amount));
+  }
+
+  /** Deposits to a primary fungible store (no account is created) */
+  fundFa(address, faMetadata, amount) {
+    addTo(this.state.stores, normalizeAddress(address), normalizeAddress(faMetadata), BigInt(amount));
+  }
+
+  /** APT of an account, coin store and `0xa` store together */
+  aptBalance(address, state = this.state) {
+    const owner = normalizeAddress(address);
+    return (state.coins.get(owner)?.get(APT) ?? 0n) + (state.stores.get(owner)?.get(APTOS_FA_METADATA) ?? 0n);
+  }
+
+  /*──────────────── SDK surface ────────────────*/
+
+  async getAccountResources({ accountAddress }) {
+    const owner = normalizeAddress(accountAddress);
+    if (!this.state.accounts.has(owner)) {
+      throw apiError(404, 'account_not_found', `Account not found by Address(${owner})`);
+    }
+    return [...(this.state.coins.get(owner) ?? [])].map(([coinType, value]) => ({
+      type: `0x1::coin::CoinStore<${coinType}>`,
+      data: { coin: { value: String(value) } },
+    }));
+  }
+
+  async getAccountResource({ accountAddress, resourceType }) {
+    const coinInfo = /^0x1::coin::CoinInfo<(.+)>$/.exec(resourceType);
+    const info = resourceType === FA_METADATA_STRUCT
+      ? this.assets.get(normalizeAddress(accountAddress))
+      : coinInfo && this.assets.get(coinInfo[1]);
+    if (!info) throw apiError(404, 'resource_not_found', `Resource not found: ${resourceType}`);
+    return { ...info };
+  }
+
+  async getCurrentFungibleAssetBalances({ options }) {
+    const owner = normalizeAddress(options.where.owner_address._eq);
+    return [
+      ...[...(this.state.coins.get(owner) ?? new Map()).keys()].map((type) => ({ asset_type: type, token_standard: 'v1' })),
+      ...[...(this.state.stores.get(owner) ?? new Map()).keys()].map((type) => ({ asset_type: type, token_standard: 'v2' })),
+    ];
+  }
+
+  async view({ payload }) {
+    const [first, second] = payload.functionArguments;
+    switch (payload.function) {
+      case '0x1::coin::balance':
+        return [String(payload.typeArguments[0] === APT
+          ? this.aptBalance(first)
+          : this.state.coins.get(normalizeAddress(first))?.get(payload.typeArguments[0]) ?? 0n)];
+      case '0x1::primary_fungible_store::balance':
+        return [String(this.state.stores.get(normalizeAddress(first))?.get(normalizeAddress(second)) ?? 0n)];
+      case '0x1::coin::paired_metadata': {
+        const metadata = this.pairs.get(payload.typeArguments[0]);
+        return [{ vec: metadata ? [{ inner: metadata }] : [] }];
+      }
+      case '0x1::coin::paired_coin': {
+        const coinType = [...this.pairs].find(([, metadata]) => metadata === normalizeAddress(first))?.[0];
+        if (!coinType) return [{ vec: [] }];
+        const [address, moduleName, structName] = coinType.split('::');
+        const text = (value) => hex(new TextEncoder().encode(value));
+        return [{ vec: [{ account_address: address, module_name: text(moduleName), struct_name: text(structName) }] }];
+      }
+      default:
+        throw apiError(400, 'invalid_input', `Unknown view function ${payload.function}`);
+    }
+  }
+
+  async getTransactionByVersion({ ledgerVersion }) {
+    const transaction = this.transactions.find((t) => t.version === String(ledgerVersion));
+    if (!transaction) throw apiError(404, 'transaction_not_found', `Transaction not found: ${ledgerVersion}`);
+    return transaction;
+  }
+
+  async signAndSubmitTransaction({ transaction }) {
+    return this.commit(transaction);
+  }
+
+  async waitForTransaction({ transactionHash }) {
+    const transaction = this.transactions.find((t) => t.hash === transactionHash);
+    if (!transaction.success) {
+      throw Object.assign(new Error(`Transaction ${transactionHash} failed with an error: ${transaction.vm_status}`), { transaction });
+    }
+    return transaction;
+  }
+
+  /** Raw events of committed transactions, in indexer row shape */
+  get events() {
+    return this.transactions.flatMap((t) => t.events.map((event, index) => ({
+      ...event,
+      transaction_version: t.version,
+      event_index: index,
+    })));
+  }
+
+  /*──────────────── Execution ────────────────*/
+
+  build({ sender, withFeePayer = false, options = {}, data }) {
+    return { sender: normalizeAddress(sender), withFeePayer, feePayerAddress: null, options, data };
+  }
+
+  /** Runs a transaction to completion, rejecting it if the fee cannot be paid */
+  commit(transaction) {
+    const result = this.execute(transaction);
+    if (result.vm_status === 'INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE') {
+      throw apiError(400, 'vm_error', `Invalid transaction: Type: Validation Code: ${result.vm_status}`);
+    }
+    this.transactions.push(result);
+    return { hash: result.hash };
+  }
+
+  /**
+   * Executes a transaction against a copy of the state, keeping the copy
+   * unless simulating; the payer is charged even when the call fails
+   */
+  execute(transaction, { simulate = false, options = {} } = {}) {
+    const sender = transaction.sender;
+    const payer = transaction.feePayerAddress ? normalizeAddress(transaction.feePayerAddress) : sender;
+    const gasUnitPrice = BigInt(transaction.options.gasUnitPrice ?? this.gasUnitPrice);
+    const maxGas = options.estimateMaxGasAmount
+      ? this.aptBalance(payer) / gasUnitPrice
+      : BigInt(transaction.options.maxGasAmount ?? DEFAULT_MAX_GAS);
+    const gasUsed = typeof this.gasUsed === 'function'
+      ? BigInt(this.gasUsed(transaction, { simulated: simulate }))
+      : this.gasUsed;
+
+    const version = String(this.transactions.length + 1);
+    const result = {
+      version,
+      hash: `0x${version.padStart(64, '0')}`,
+      sender,
+      payload: transaction.data,
+      max_gas_amount: String(maxGas),
+      gas_unit_price: String(gasUnitPrice),
+      events: [],
+    };
+
+    if (this.aptBalance(payer) < maxGas * gasUnitPrice) {
+      return Object.assign(result, { success: false, vm_status: 'INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE', gas_used: '0' });
+    }
+
+    let state = cloneState(this.state);
+    let vmStatus = 'Executed successfully';
+    let charged = gasUsed;
+    if (gasUsed > maxGas) {
+      vmStatus = 'Out of gas';
+      charged = maxGas;
+    } else {
+      try {
+        result.events = this.apply(state, sender, transaction.data);
+      } catch (error) {
+        vmStatus = error.message;
+      }
+    }
+    // A call that leaves too little for its fee is undone, but still charged
+    if (vmStatus !== 'Executed successfully' || this.aptBalance(payer, state) < charged * gasUnitPrice) {
+      if (vmStatus === 'Executed successfully') vmStatus = 'INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE';
+      state = cloneState(this.state);
+      result.events = [];
+    }
+    withdrawApt(state, payer, charged * gasUnitPrice);
+
+    if (simulate) this.simulations.push(result);
+    else this.state = state;
+    return Object.assign(result, { success: vmStatus === 'Executed successfully', vm_status: vmStatus, gas_used: String(charged) });
+  }
+
+  /** Applies a `pivy_stealth` entry function, returning its events */
+  apply(state, sender, { function: fn, typeArguments = [], functionArguments: args }) {
+    const { packageId, moduleName } = CONFIG.PIVY_STEALTH;
+    const prefix = `${packageId}::${moduleName}::`;
+    const name = fn.startsWith(prefix) ? fn.slice(prefix.length) : fn;
+    const timestamp = String(1_700_000_000 + this.transactions.length);
+    const payment = (stealthOwner, amount, [label, ephPubkey, payload, note]) => ({
+      stealth_owner: normalizeAddress(stealthOwner),
+      payer: sender,
+      amount: String(amount),
+      label: hex(label),
+      eph_pubkey: hex(ephPubkey),
+      payload: hex(payload),
+      note: hex(note),
+      timestamp,
+    });
+
+    switch (name) {
+      case 'pay': {
+        const [coinType] = typeArguments;
+        const [stealthOwner, amount, ...bytes] = args;
+        return [
+          ...moveCoin(state, coinType, sender, stealthOwner, BigInt(amount)),
+          { type: `${prefix}PaymentEvent<${coinType}>`, data: { ...payment(stealthOwner, amount, bytes), coin_type: coinType } },
+        ];
+      }
+      case 'pay_fa': {
+        const [stealthOwner, faMetadata, amount, ...bytes] = args;
+        const info = this.assets.get(normalizeAddress(faMetadata));
+        return [
+          ...moveFa(state, faMetadata, sender, stealthOwner, BigInt(amount)),
+          {
+            type: `${prefix}PaymentEventFA`,
+            data: { ...payment(stealthOwner, amount, bytes), fa_metadata: normalizeAddress(faMetadata), fa_name: info?.name ?? '' },
+          },
+        ];
+      }
+      case 'withdraw': {
+        const [coinType] = typeArguments;
+        const [amount, destination] = args;
+        return [
+          ...moveCoin(state, coinType, sender, destination, BigInt(amount)),
+          {
+            type: `${prefix}WithdrawEvent<${coinType}>`,
+            data: { stealth_owner: sender, destination: normalizeAddress(destination), amount: String(amount), coin_type: coinType, timestamp },
+          },
+        ];
+      }
+      case 'withdraw_fa': {
+        const [faMetadata, amount, destination] = args;
+        return [
+          ...moveFa(state, faMetadata, sender, destination, BigInt(amount)),
+          {
+            type: `${prefix}WithdrawEventFA`,
+            data: { stealth_owner: sender, destination: normalizeAddress(destination), amount: String(amount), fa_metadata: normalizeAddress(faMetadata), timestamp },
+          },
+        ];
+      }
+      default:
+        throw new Error(`FUNCTION_RESOLUTION_FAILURE: ${fn}`);
+    }
+  }
+}
+
+function addTo(balances, owner, key, amount) {
+  if (!balances.has(owner)) balances.set(owner, new Map());
+  const held = balances.get(owner);
+  held.set(key, (held.get(key) ?? 0n) + amount);
+}
+
+function cloneState({ accounts, coins, stores }) {
+  const copy = (balances) => new Map([...balances].map(([owner, held]) => [owner, new Map(held)]));
+  return { accounts: new Set(accounts), coins: copy(coins), stores: copy(stores) };
+}
+
+/** Takes `amount` from an owner's balance, failing like `coin::withdraw` */
+function take(balances, owner, key, amount, location) {
+  const held = balances.get(owner)?.get(key) ?? 0n;
+  if (held < amount) throw new Error(`Move abort in 0x1::${location}: EINSUFFICIENT_BALANCE(0x10006): Not enough to withdraw`);
+  balances.get(owner).set(key, held - amount);
+}
+
+/** Takes APT for gas, coin store first, then the `0xa` store */
+function withdrawApt(state, owner, amount) {
+  const inCoin = state.coins.get(owner)?.get(APT) ?? 0n;
+  const fromCoin = inCoin < amount ? inCoin : amount;
+  if (fromCoin) take(state.coins, owner, APT, fromCoin, 'coin');
+  if (amount > fromCoin) take(state.stores, owner, APTOS_FA_METADATA, amount - fromCoin, 'fungible_asset');
+}
+
+function moveCoin(state, coinType, from, to, amount) {
+  const destination = normalizeAddress(to);
+  if (coinType === APT) withdrawApt(state, from, amount);
+  else take(state.coins, from, coinType, amount, 'coin');
+  state.accounts.add(destination);
+  addTo(state.coins, destination, coinType, amount);
+  return [{ type: '0x1::coin::CoinDeposit', data: { coin_type: coinType, account: destination, amount: String(amount) } }];
+}
+
+function moveFa(state, faMetadata, from, to, amount) {
+  const metadata = normalizeAddress(faMetadata);
+  const destination = normalizeAddress(to);
+  take(state.stores, from, metadata, amount, 'fungible_asset');
+  addTo(state.stores, destination, metadata, amount);
+  return [{ type: '0x1::fungible_asset::Deposit', data: { store: primaryStoreAddress(destination, metadata), amount: String(amount) } }];
+}
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  decodeTransactionError,
+  PivyCoinStoreNotFoundError,
+  PivyInsufficientFundsError,
+  PivyInsufficientGasError,
+  PivyInvalidAmountError,
+  PivyPayloadTooLongError,
+  PivyTransactionError,
+} from '../pivyErrors.js';
+import { CONFIG } from './helpers.js';
+
+const { packageId, moduleName } = CONFIG.PIVY_STEALTH;
+const PAY = `${packageId}::${moduleName}::pay`;
+
+describe('decodeTransactionError', () => {
+  const gasStatuses = [
+    'Out of gas',
+    'OUT_OF_GAS',
+    'INSUFFICIENT_BALANCE_FOR_TRANSACTION_FEE',
+    'Transaction Validation Error: insufficient_balance_for_transaction_fee',
+  ];
+
+  for (const vmStatus of gasStatuses) {
+    it(`reads "${vmStatus}" as insufficient gas`, () => {
+      const error = decodeTransactionError({ vm_status: vmStatus, hash: '0xabc' }, { function: 'withdraw' });
+      assert.ok(error instanceof PivyInsufficientGasError);
+      assert.equal(error.vmStatus, vmStatus);
+      assert.equal(error.hash, '0xabc');
+    });
+  }
+
+  it('reads a failed transaction from waitForTransaction', () => {
+    const error = decodeTransactionError({ transaction: { vm_status: 'Out of gas', hash: '0xdef' } });
+    assert.ok(error instanceof PivyInsufficientGasError);
+    assert.equal(error.hash, '0xdef');
+  });
+
+  it('leaves other failures as a plain transaction error', () => {
+    const error = decodeTransactionError('EXECUTION_FAILURE');
+    assert.ok(error instanceof PivyTransactionError);
+    assert.ok(!(error instanceof PivyInsufficientGasError));
+  });
+
+  const pivyAborts = [
+    [0, 'EInvalidAmount', PivyInvalidAmountError],
+    [1, 'EInsufficientFunds', PivyInsufficientFundsError],
+    [2, 'EPayloadTooLong', PivyPayloadTooLongError],
+  ];
+
+  for (const [code, name, ErrorClass] of pivyAborts) {
+    it(`maps pivy_stealth abort ${code} to ${ErrorClass.name}`, () => {
+      const vmStatus = `Move abort in ${packageId}::${moduleName}: ${name}(0x${code}): `;
+      const error = decodeTransactionError({ vm_status: vmStatus }, { function: PAY, assetType: '0xa' });
+      assert.ok(error instanceof ErrorClass);
+      assert.equal(error.abortCode, code);
+      assert.equal(error.location, `${packageId}::${moduleName}`);
+      assert.equal(error.assetType, '0xa');
+    });
+  }
+
+  it('maps a pivy_stealth abort without a function in the context', () => {
+    const error = decodeTransactionError('Move abort in 0xbeef::pivy_stealth: 0x2');
+    assert.ok(error instanceof PivyPayloadTooLongError);
+  });
+
+  it('ignores pivy_stealth aborts from another package', () => {
+    const error = decodeTransactionError({ vm_status: `Move abort in 0xbeef::${moduleName}: EInvalidAmount(0x0): ` }, { function: PAY });
+    assert.equal(error.constructor, PivyTransactionError);
+    assert.equal(error.abortCode, 0);
+    assert.equal(error.location, `0xbeef::${moduleName}`);
+  });
+
+  const frameworkAborts = [
+    ['Move abort in 0x1::coin: ECOIN_STORE_NOT_PUBLISHED(0x60005): ', PivyCoinStoreNotFoundError],
+    ['Move abort in 0x1::coin: EINSUFFICIENT_BALANCE(0x10006): Not enough coins', PivyInsufficientFundsError],
+    ['Move abort in 0x0000000000000000000000000000000000000000000000000000000000000001::fungible_asset: EINSUFFICIENT_BALANCE(0x10004): ', PivyInsufficientFundsError],
+    ['Move abort in 0x1::coin: 0x60005', PivyCoinStoreNotFoundError],
+    ['Move abort in 0x1::fungible_asset: 0x10004', PivyInsufficientFundsError],
+  ];
+
+  for (const [vmStatus, ErrorClass] of frameworkAborts) {
+    it(`maps "${vmStatus.slice(0, 60)}" to ${ErrorClass.name}`, () => {
+      assert.ok(decodeTransactionError(vmStatus, { function: PAY }) instanceof ErrorClass);
+    });
+  }
+
+  it('only maps framework aborts raised at 0x1', () => {
+    const error = decodeTransactionError('Move abort in 0xbeef::coin: EINSUFFICIENT_BALANCE(0x10006): ', { function: PAY });
+    assert.equal(error.constructor, PivyTransactionError);
+  });
+
+  it('reads a submission rejected by the API', () => {
+    const rejection = Object.assign(new Error('Invalid transaction'), {
+      status: 400,
+      data: { error_code: 'vm_error', message: `Move abort in ${packageId}::${moduleName}: EInsufficientFunds(0x1): ` },
+    });
+    const error = decodeTransactionError(rejection, { function: PAY });
+    assert.ok(error instanceof PivyInsufficientFundsError);
+    assert.equal(error.cause, rejection);
+  });
+
+  it('returns failures without a VM status unchanged', () => {
+    const failure = new Error('fetch failed');
+    assert.equal(decodeTransactionError(failure), failure);
+  });
+});
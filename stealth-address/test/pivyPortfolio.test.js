@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { Account } from '@aptos-labs/ts-sdk';
+
+import { PivyPortfolio } from '../pivyPortfolio.js';
+import { normalizeAddress, PAYMENT_EVENT_KIND } from '../pivyAnnouncementSources.js';
+import { APT, FakeAptos } from './helpers.js';
+
+const USDC = normalizeAddress('0x69091fbab5f7d635ee7ac5098cf0c1efbe31d68fec0f2cd565e8d168daf52832');
+
+describe('PivyPortfolio', () => {
+  it('reads the FA stores of an address with no account', async () => {
+    const aptos = new FakeAptos();
+    aptos.defineFa(USDC, { name: 'USD Coin', symbol: 'USDC', decimals: 6 });
+    const stealth = Account.generate().accountAddress.toString();
+    aptos.fundFa(stealth, USDC, 2_500_000n);
+
+    const portfolio = await new PivyPortfolio(aptos).getStealthPortfolio([
+      { stealthAddress: stealth, kind: PAYMENT_EVENT_KIND.FA, assetType: USDC },
+    ]);
+
+    assert.deepEqual(portfolio.addresses[0].assets.map(({ symbol, coinBalance, faBalance }) => ({ symbol, coinBalance, faBalance })), [
+      { symbol: 'USDC', coinBalance: 0n, faBalance: 2_500_000n },
+    ]);
+    assert.equal(portfolio.assets[0].balance, 2_500_000n);
+  });
+
+  it('totals APT held as coin and as FA', async () => {
+    const aptos = new FakeAptos();
+    const stealth = Account.generate().accountAddress.toString();
+    aptos.fundCoin(stealth, APT, 300n);
+    aptos.fundFa(stealth, '0xa', 200n);
+
+    const [asset] = await new PivyPortfolio(aptos).getAddressBalances(stealth);
+    assert.equal(asset.symbol, 'APT');
+    assert.equal(asset.coinBalance, 300n);
+    assert.equal(asset.faBalance, 200n);
+    assert.equal(asset.balance, 500n);
+  });
+
+  it('still surfaces other read errors', async () => {
+    const aptos = new FakeAptos();
+    aptos.getAccountResources = async () => {
+      throw Object.assign(new Error('Too many requests'), { status: 429 });
+    };
+    await assert.rejects(new PivyPortfolio(aptos).getAddressBalances('0x1'), /Too many requests/);
+  });
+});
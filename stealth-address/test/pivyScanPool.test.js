@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { PivyScanPool } from '../pivyScanPool.js';
+import { normalizeAnnouncement } from '../pivyAnnouncementSources.js';
+import { CONFIG, makeReceiver, paymentEvent } from './helpers.js';
+
+async function announcementsFor(receiver, count) {
+  const announcements = [];
+  for (let version = 1; version <= count; version++) {
+    announcements.push(normalizeAnnouncement((await paymentEvent(receiver, { version })).event, CONFIG));
+  }
+  return announcements;
+}
+
+describe('PivyScanPool', () => {
+  it('matches announcements in input order', async () => {
+    const receiver = makeReceiver();
+    const other = makeReceiver();
+    const mine = await announcementsFor(receiver, 2);
+    const theirs = await announcementsFor(other, 2);
+    const pool = new PivyScanPool(CONFIG, { metaViewPriv: receiver.metaViewPriv, metaSpendPub: receiver.metaSpendPub, size: 2 });
+
+    try {
+      const results = await pool.match([mine[0], theirs[0], mine[1], theirs[1]]);
+      assert.deepEqual(results.map(Boolean), [true, false, true, false]);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('rejects the batches of a worker that dies and replaces it', async () => {
+    const receiver = makeReceiver();
+    const announcements = await announcementsFor(receiver, 4);
+    const pool = new PivyScanPool(CONFIG, { metaViewPriv: receiver.metaViewPriv, metaSpendPub: receiver.metaSpendPub, size: 1 });
+
+    try {
+      const matching = pool.match(announcements);
+      await pool.start();
+      pool.workers[0].emit('error', new Error('worker crashed'));
+      await assert.rejects(matching, /worker crashed/);
+
+      await pool.start();
+      await pool.workers[0].terminate();
+      assert.equal(pool.workers.length, 0);
+
+      const results = await pool.match(announcements);
+      assert.equal(results.filter(Boolean).length, 4);
+    } finally {
+      await pool.close();
+    }
+  });
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { describe, it } from 'node:test';
+import { promisify } from 'node:util';
+import { deserialize, serialize } from 'node:v8';
+
+import { normalizeAnnouncement } from '../pivyAnnouncementSources.js';
+import { CONFIG, makeReceiver, paymentEvent } from './helpers.js';
+
+const WORKER_URL = new URL('../pivyScanWorker.js', import.meta.url).href;
+const REPO_URL = new URL('..', import.meta.url).href;
+
+// Refuses Node.js built-ins imported by repo modules (dependencies may
+// pick their own Node builds)
+const LOADER = `
+import { isBuiltin } from 'node:module';
+export async function resolve(specifier, context, next) {
+  const parent = context.parentURL ?? '';
+  if (isBuiltin(specifier) && parent.startsWith(${JSON.stringify(REPO_URL)}) && !parent.includes('/node_modules/')) {
+    throw new Error(specifier + ' imported by ' + parent);
+  }
+  return next(specifier, context);
+}`;
+
+// Loads the worker as a module Web Worker would: no Buffer, a
+// WorkerGlobalScope and messages through \`self\`
+const BROWSER_LIKE = `
+import { register } from 'node:module';
+import { deserialize, serialize } from 'node:v8';
+register('data:text/javascript,' + encodeURIComponent(${JSON.stringify(LOADER)}));
+
+const messages = deserialize(Buffer.from(process.argv[1], 'base64'));
+const posted = [];
+globalThis.WorkerGlobalScope = class WorkerGlobalScope {};
+globalThis.self = { postMessage: (message) => posted.push(message) };
+delete globalThis.Buffer;
+
+await import(${JSON.stringify(WORKER_URL)});
+for (const message of messages) await self.onmessage({ data: message });
+process.stdout.write(serialize(posted).toString('base64'));
+`;
+
+describe('pivyScanWorker', () => {
+  it('loads and matches without Node.js built-ins, as a Web Worker', async () => {
+    const receiver = makeReceiver();
+    const mine = await paymentEvent(receiver, { note: 'invoice #7' });
+    const theirs = await paymentEvent(makeReceiver(), { version: 2 });
+    const messages = [
+      { type: 'init', config: CONFIG, options: { metaViewPriv: receiver.metaViewPriv, metaSpendPub: receiver.metaSpendPub } },
+      {
+        type: 'match',
+        id: 7,
+        announcements: [mine.event, theirs.event].map((event) => normalizeAnnouncement(event, CONFIG)),
+      },
+    ];
+
+    const { stdout } = await promisify(execFile)(
+      process.execPath,
+      ['--input-type=module', '-e', BROWSER_LIKE, serialize(messages).toString('base64')],
+      { timeout: 60_000 },
+    );
+
+    const [reply] = deserialize(Buffer.from(stdout, 'base64'));
+    assert.equal(reply.id, 7);
+    assert.equal(reply.error, undefined);
+    assert.equal(reply.results[0].stealthAddress, mine.stealth.stealthAptosAddress);
+    assert.equal(reply.results[0].note, 'invoice #7');
+    assert.equal(reply.results[1], null);
+  });
+});
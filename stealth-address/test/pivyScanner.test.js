@@ -0,0 +1,305 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { Account } from '@aptos-labs/ts-sdk';
+
+import { PAYMENT_STATUS, PivyScanner, SKIP_REASON, VERIFICATION_STATUS } from '../pivyScanner.js';
+import { JsonLinesScanStore, MemoryScanStore, PivyScanIndex } from '../pivyScanIndex.js';
+import { MemoryAnnouncementSource, normalizeAddress } from '../pivyAnnouncementSources.js';
+import { PIVYUniversalClient } from '../pivyUniversalClient.js';
+import { STEALTH_SCHEME } from '../pivyStealthHelpersAptos.js';
+import { APT, CONFIG, FakeAptos, makeReceiver, paymentEvent, pivy } from './helpers.js';
+
+function scannerFor(receiver, source, options = {}) {
+  return new PivyScanner(null, CONFIG, {
+    metaViewPriv: receiver.metaViewPriv,
+    metaSpendPub: receiver.metaSpendPub,
+    source,
+    ...options,
+  });
+}
+
+describe('PivyScanner', () => {
+  it('finds the receiver\'s payments and decrypts their notes', async () => {
+    const receiver = makeReceiver();
+    const { event, stealth } = await paymentEvent(receiver, { version: 5, note: 'invoice #42' });
+    const scanner = scannerFor(receiver, new MemoryAnnouncementSource(CONFIG, [event]));
+
+    const { payments, stats, lastVersion } = await scanner.scan();
+
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].stealthAddress, stealth.stealthAptosAddress);
+    assert.equal(payments[0].amount, 100_000_000n);
+    assert.equal(payments[0].note, 'invoice #42');
+    assert.equal(payments[0].message, 'PIVY test');
+    assert.equal(stats.matched, 1);
+    assert.equal(lastVersion.coin, 5n);
+  });
+
+  it('ignores announcements for other receivers', async () => {
+    const receiver = makeReceiver();
+    const other = makeReceiver();
+    const events = [
+      (await paymentEvent(other, { version: 1, note: 'not yours' })).event,
+      (await paymentEvent(receiver, { version: 2 })).event,
+      (await paymentEvent(other, { version: 3 })).event,
+    ];
+    const scanner = scannerFor(receiver, new MemoryAnnouncementSource(CONFIG, events));
+
+    const { payments, stats } = await scanner.scan();
+
+    assert.deepEqual(payments.map((p) => p.transactionVersion), [2n]);
+    assert.equal(stats.scanned, 3);
+    assert.equal(stats.matched, 1);
+  });
+
+  it('finds payments made under the legacy scheme', async () => {
+    const receiver = makeReceiver();
+    const { event } = await paymentEvent(receiver, { note: 'old client', scheme: STEALTH_SCHEME.LEGACY });
+    const scanner = scannerFor(receiver, new MemoryAnnouncementSource(CONFIG, [event]));
+
+    const { payments } = await scanner.scan();
+
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].scheme, STEALTH_SCHEME.LEGACY);
+    assert.equal(payments[0].note, 'old client');
+  });
+
+  it('does one ECDH per announcement across candidate schemes', async () => {
+    const receiver = makeReceiver();
+    const other = makeReceiver();
+    const events = [];
+    for (let version = 1; version <= 20; version++) {
+      events.push((await paymentEvent(other, { version })).event);
+    }
+    const scanner = scannerFor(receiver, new MemoryAnnouncementSource(CONFIG, events));
+    let ecdh = 0;
+    const computeSharedSecret = scanner.pivy.computeSharedSecret.bind(scanner.pivy);
+    scanner.pivy.computeSharedSecret = (...args) => {
+      ecdh++;
+      return computeSharedSecret(...args);
+    };
+
+    const { payments } = await scanner.scan();
+
+    assert.equal(payments.length, 0);
+    assert.equal(ecdh, events.length);
+  });
+
+  it('de-duplicates payments when a scan re-reads a version', async () => {
+    const receiver = makeReceiver();
+    const events = [];
+    for (let i = 0; i < 3; i++) {
+      events.push((await paymentEvent(receiver, { version: 10, eventIndex: i })).event);
+    }
+    // A page of two ends part-way through version 10, so it is read twice
+    const scanner = scannerFor(receiver, new MemoryAnnouncementSource(CONFIG, events), { pageSize: 2 });
+    const index = new PivyScanIndex();
+
+    const { added } = await index.sync(scanner);
+
+    assert.equal(added.length, 3);
+    assert.equal((await index.getPayments()).length, 3);
+    assert.equal(await index.getCheckpoint(scanner.getEventType('coin')), 10n);
+  });
+
+  it('resumes from the index checkpoint', async () => {
+    const receiver = makeReceiver();
+    const source = new MemoryAnnouncementSource(CONFIG, [(await paymentEvent(receiver, { version: 1 })).event]);
+    const scanner = scannerFor(receiver, source);
+    const index = new PivyScanIndex();
+
+    assert.equal((await index.sync(scanner)).added.length, 1);
+
+    source.push((await paymentEvent(receiver, { version: 7 })).event);
+    const { added, stats } = await index.sync(scanner);
+
+    assert.deepEqual(added.map((p) => p.transactionVersion), [7n]);
+    assert.equal(stats.scanned, 1);
+    assert.equal((await index.getPayments()).length, 2);
+  });
+});
+
+describe('PivyScanner policy', () => {
+  const rateLimit = { payerRateLimit: { maxAnnouncements: 2, windowSeconds: 3_600 } };
+
+  it('counts each announcement once toward the payer rate', async () => {
+    const receiver = makeReceiver();
+    const events = [
+      (await paymentEvent(receiver, { version: 1, timestamp: 1_000 })).event,
+      (await paymentEvent(receiver, { version: 2, timestamp: 1_001 })).event,
+    ];
+    const scanner = scannerFor(receiver, new MemoryAnnouncementSource(CONFIG, events), { policy: rateLimit });
+
+    const first = await scanner.scan();
+    const again = await scanner.scan();
+
+    assert.equal(first.payments.length, 2);
+    assert.equal(again.payments.length, 2);
+    assert.equal(again.stats.rateLimited, 0);
+  });
+
+  it('forgets payer activity once the scan is a window past it', async () => {
+    const receiver = makeReceiver();
+    const events = [
+      (await paymentEvent(receiver, { version: 1, timestamp: 1_000, payer: '0xa' })).event,
+      (await paymentEvent(receiver, { version: 2, timestamp: 1_500, payer: '0xa' })).event,
+      (await paymentEvent(receiver, { version: 3, timestamp: 9_000, payer: '0xb' })).event,
+    ];
+    const scanner = scannerFor(receiver, new MemoryAnnouncementSource(CONFIG, events), { policy: rateLimit, pageSize: 1 });
+
+    await scanner.scan();
+
+    assert.deepEqual([...scanner.payerActivity.keys()], [`0x${'b'.padStart(64, '0')}`]);
+  });
+
+  it('keeps skipped announcements in the index to retry them', async () => {
+    const receiver = makeReceiver();
+    const { event } = await paymentEvent(receiver, { amount: 10n, note: 'small tip' });
+    const source = new MemoryAnnouncementSource(CONFIG, [event]);
+    const store = new MemoryScanStore();
+
+    const strict = scannerFor(receiver, source, { policy: { minAmounts: { [APT]: 1_000n } } });
+    const { added } = await new PivyScanIndex(store).sync(strict);
+    assert.equal(added.length, 0);
+
+    // Reloaded from the store, after the checkpoint has passed the announcement
+    const index = new PivyScanIndex(store);
+    const [skipped] = await index.getSkipped();
+    assert.equal(skipped.skipReason, SKIP_REASON.DUST);
+    assert.equal(await index.getCheckpoint(strict.getEventType('coin')), 1n);
+
+    const stillStrict = await index.retrySkipped(strict);
+    assert.equal(stillStrict.added.length, 0);
+    assert.equal(stillStrict.skipped.length, 1);
+
+    const lenient = scannerFor(receiver, source);
+    const retried = await index.retrySkipped(lenient);
+    assert.equal(retried.added.length, 1);
+    assert.equal(retried.added[0].note, 'small tip');
+    assert.deepEqual(await index.getSkipped(), []);
+    assert.equal((await new PivyScanIndex(store).getSkipped()).length, 0);
+  });
+});
+
+describe('PivyScanner.trackWithdrawals', () => {
+  /** Two APT payments to `receiver`, the first partly and the second fully withdrawn */
+  async function history(receiver) {
+    const aptos = new FakeAptos();
+    const client = new PIVYUniversalClient(aptos, CONFIG);
+    const payer = Account.generate();
+    const sponsor = Account.generate();
+    const destination = normalizeAddress(Account.generate().accountAddress.toString());
+    aptos.fundCoin(payer.accountAddress, APT, 100_000_000n);
+    aptos.fundCoin(sponsor.accountAddress, APT, 100_000_000n);
+
+    const pay = (amount) => client.sendToMetaAddress({
+      signer: payer,
+      metaSpendPub: receiver.metaSpendPubB58,
+      metaViewPub: receiver.metaViewPubB58,
+      assetType: APT,
+      amount,
+    });
+    const withdraw = async ({ stealthAddress, ephPubB58 }, amount) => {
+      const { account } = await pivy.deriveStealthKeypair(receiver.metaSpendPriv, receiver.metaViewPriv, ephPubB58, { stealthAddress });
+      await client.withdraw({ signer: account, assetType: APT, amount, destination, feePayer: sponsor });
+    };
+
+    const partly = await pay(1_000_000n);
+    const fully = await pay(300_000n);
+    await withdraw(partly, 400_000n);
+    await withdraw(fully, 300_000n); // sponsored: too little APT left for gas
+    return { events: aptos.events, destination, partly, fully };
+  }
+
+  it('marks payments partly or fully withdrawn', async () => {
+    const receiver = makeReceiver();
+    const { events, destination, partly } = await history(receiver);
+    const scanner = scannerFor(receiver, new MemoryAnnouncementSource(CONFIG, events));
+
+    const tracked = await scanner.trackWithdrawals((await scanner.scan()).payments);
+
+    assert.deepEqual(tracked.map(({ status, withdrawn, remaining }) => ({ status, withdrawn, remaining })), [
+      { status: PAYMENT_STATUS.PARTIAL, withdrawn: 400_000n, remaining: 600_000n },
+      { status: PAYMENT_STATUS.WITHDRAWN, withdrawn: 300_000n, remaining: 0n },
+    ]);
+    assert.equal(tracked[0].stealthAddress, partly.stealthAddress);
+    assert.deepEqual(tracked[0].destinations, [destination]);
+    assert.equal(tracked[0].withdrawals[0].amount, 400_000n);
+  });
+
+  it('stores tracked payments in a JSON-lines index', async () => {
+    const receiver = makeReceiver();
+    const { events } = await history(receiver);
+    const scanner = scannerFor(receiver, new MemoryAnnouncementSource(CONFIG, events));
+    const tracked = await scanner.trackWithdrawals((await scanner.scan()).payments);
+
+    const dir = await mkdtemp(join(tmpdir(), 'pivy-scan-'));
+    try {
+      const filePath = join(dir, 'index.jsonl');
+      await new PivyScanIndex(new JsonLinesScanStore(filePath)).record(scanner.getEventType('coin'), tracked, 10n);
+
+      const reloaded = await new PivyScanIndex(new JsonLinesScanStore(filePath)).getPayments();
+      assert.deepEqual(reloaded, tracked);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('PivyScanner.verifyPayments', () => {
+  /** One transaction paying `amounts` to a single stealth address, depositing `deposits` */
+  async function transaction(receiver, amounts, deposits) {
+    const { event, stealth } = await paymentEvent(receiver, { version: 7 });
+    const announcements = amounts.map((amount, eventIndex) => ({
+      ...event,
+      event_index: eventIndex,
+      data: { ...event.data, amount: String(amount) },
+    }));
+    const events = [
+      ...deposits.map((amount) => ({
+        type: '0x1::coin::CoinDeposit',
+        data: { coin_type: APT, account: stealth.stealthAptosAddress, amount: String(amount) },
+      })),
+      ...announcements.map(({ type, data }) => ({ type, data })),
+    ];
+    const aptos = { getTransactionByVersion: async () => ({ version: '7', events }) };
+    const scanner = new PivyScanner(aptos, CONFIG, {
+      metaViewPriv: receiver.metaViewPriv,
+      metaSpendPub: receiver.metaSpendPub,
+      source: new MemoryAnnouncementSource(CONFIG, announcements),
+    });
+    return { scanner, payments: (await scanner.scan()).payments };
+  }
+
+  const statuses = (checked) => checked.map(({ verification, verifiedBy }) => [verification, verifiedBy]);
+
+  it('verifies several payments to one address in one transaction by their total', async () => {
+    const { scanner, payments } = await transaction(makeReceiver(), [100n, 50n], [100n, 50n]);
+    assert.equal(payments.length, 2);
+
+    const checked = await scanner.verifyPayments(payments);
+    assert.deepEqual(statuses(checked), [
+      [VERIFICATION_STATUS.VERIFIED, 'deposit'],
+      [VERIFICATION_STATUS.VERIFIED, 'deposit'],
+    ]);
+    assert.equal(checked[0].deposited, 150n);
+  });
+
+  it('flags the group when its deposits fall short of what it announced', async () => {
+    const { scanner, payments } = await transaction(makeReceiver(), [100n, 50n], [100n]);
+    assert.deepEqual(statuses(await scanner.verifyPayments(payments)), [
+      [VERIFICATION_STATUS.MISMATCH, null],
+      [VERIFICATION_STATUS.MISMATCH, null],
+    ]);
+  });
+
+  it('verifies a single payment by its deposit', async () => {
+    const { scanner, payments } = await transaction(makeReceiver(), [100n], [100n]);
+    assert.deepEqual(statuses(await scanner.verifyPayments(payments)), [[VERIFICATION_STATUS.VERIFIED, 'deposit']]);
+  });
+});
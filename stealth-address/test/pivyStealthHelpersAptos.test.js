@@ -0,0 +1,428 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import * as secp from '@noble/secp256k1';
+import { Account, Ed25519PublicKey } from '@aptos-labs/ts-sdk';
+import { ed25519 } from '@noble/curves/ed25519';
+import { sha256 } from '@noble/hashes/sha256';
+import { HDKey } from '@scure/bip32';
+import { mnemonicToSeedSync } from '@scure/bip39';
+import bs58 from 'bs58';
+
+import {
+  META_KEY_PATHS,
+  META_KEY_SIGN_MESSAGE,
+  META_KEY_SIGN_NONCE,
+  MEMO_FLAGS,
+  MEMO_MAGIC,
+  MEMO_VERSION,
+  NONCE_LENGTH,
+  NOTE_VERSION,
+  STEALTH_SCHEME,
+} from '../pivyStealthHelpersAptos.js';
+import { PivyDecryptionError, PivyMetaAddressError, PivySchemeError } from '../pivyErrors.js';
+import { makeReceiver, pivy } from './helpers.js';
+
+/** Pre-versioning note: nonce(24) | plaintext XOR sha256(shared) */
+function legacyNote(plaintext, ephPriv, metaViewPub, nonce) {
+  const shared = secp.getSharedSecret(ephPriv, metaViewPub, true).slice(1);
+  const key = sha256(shared);
+  const encrypted = new TextEncoder().encode(plaintext).map((byte, i) => byte ^ key[i % 32]);
+  return new Uint8Array([...nonce, ...encrypted]);
+}
+
+/** Pre-envelope memo: nonce(24) | (ephPriv | ephPub) XOR sha256(shared) */
+function legacyMemo(ephemeral, metaViewPub, nonce) {
+  const shared = secp.getSharedSecret(ephemeral.privateKey, metaViewPub, true).slice(1);
+  const key = sha256(shared);
+  const plain = [...ephemeral.privateKey, ...secp.getPublicKey(ephemeral.privateKey, true)];
+  return bs58.encode(new Uint8Array([...nonce, ...plain.map((byte, i) => byte ^ key[i % 32])]));
+}
+
+describe('decryptNote', () => {
+  const receiver = makeReceiver();
+  const ephemeral = pivy.generateEphemeralKey();
+  const metaViewPub = bs58.decode(receiver.metaViewPubB58);
+
+  it('opens versioned notes', async () => {
+    const note = await pivy.encryptNote('hello', ephemeral.privateKey, receiver.metaViewPubB58);
+    assert.equal(await pivy.decryptNote(note, receiver.metaViewPriv, ephemeral.publicKeyB58), 'hello');
+  });
+
+  it('reads legacy notes whose nonce starts with a version byte', async () => {
+    for (const version of Object.values(NOTE_VERSION)) {
+      for (const plaintext of ['hi', 'a longer legacy note that spans more than one key block']) {
+        const nonce = new Uint8Array(NONCE_LENGTH).fill(0xab);
+        nonce[0] = version;
+        const note = legacyNote(plaintext, ephemeral.privateKey, metaViewPub, nonce);
+
+        assert.equal(await pivy.decryptNote(note, receiver.metaViewPriv, ephemeral.publicKeyB58), plaintext);
+      }
+    }
+  });
+
+  it('still rejects a tampered versioned note', async () => {
+    const note = await pivy.encryptNote('a note that must not be altered', ephemeral.privateKey, receiver.metaViewPubB58);
+    note[note.length - 1] ^= 0x01;
+
+    await assert.rejects(
+      pivy.decryptNote(note, receiver.metaViewPriv, ephemeral.publicKeyB58),
+      (error) => error instanceof PivyDecryptionError && error.reason === 'authentication-failed',
+    );
+  });
+});
+
+describe('memo envelopes', () => {
+  const receiver = makeReceiver();
+  const ephemeral = pivy.generateEphemeralKey();
+  const metaViewPub = bs58.decode(receiver.metaViewPubB58);
+
+  const decrypt = (memo, metaViewPriv = receiver.metaViewPriv) =>
+    pivy.decryptEphemeralPrivKey(memo, metaViewPriv, ephemeral.publicKeyB58);
+  const rejectsWith = (promise, reason) =>
+    assert.rejects(promise, (error) => error instanceof PivyDecryptionError && error.reason === reason);
+
+  it('round-trips with and without a hint', async () => {
+    const hint = new Uint8Array([1, 2, 3]);
+    for (const options of [{}, { hint }]) {
+      const memo = await pivy.encryptEphemeralPrivKey(ephemeral.privateKey, receiver.metaViewPubB58, options);
+      const envelope = pivy.decodeMemoEnvelope(bs58.decode(memo));
+
+      assert.equal(envelope.version, MEMO_VERSION.ENVELOPE_V1);
+      assert.equal(envelope.scheme, STEALTH_SCHEME.HKDF_V1);
+      assert.deepEqual(envelope.hint, options.hint);
+      assert.deepEqual(await decrypt(memo), ephemeral.privateKey);
+    }
+  });
+
+  it('reports a wrong view key, a tampered memo and an unknown version', async () => {
+    const memo = await pivy.encryptEphemeralPrivKey(ephemeral.privateKey, receiver.metaViewPubB58);
+    await rejectsWith(decrypt(memo, makeReceiver().metaViewPriv), 'wrong-key');
+
+    const tampered = bs58.decode(memo);
+    tampered[tampered.length - 1] ^= 0x01;
+    await rejectsWith(decrypt(bs58.encode(tampered)), 'corrupted');
+
+    const future = bs58.decode(memo);
+    future[2] = 0x7f;
+    await rejectsWith(decrypt(bs58.encode(future)), 'unknown-version');
+  });
+
+  it('reads legacy memos', async () => {
+    const memo = legacyMemo(ephemeral, metaViewPub, new Uint8Array(NONCE_LENGTH).fill(0xab));
+    assert.deepEqual(await decrypt(memo), ephemeral.privateKey);
+    await rejectsWith(decrypt(memo, makeReceiver().metaViewPriv), 'wrong-key');
+  });
+
+  it('reads a legacy memo whose nonce parses as an envelope header', async () => {
+    // magic | version | scheme | flags | keyCheck(4) | hint length | hint(7)
+    // fills 17 nonce bytes and leaves exactly a nonce and a ciphertext
+    const header = [...MEMO_MAGIC, MEMO_VERSION.ENVELOPE_V1, STEALTH_SCHEME.HKDF_V1, MEMO_FLAGS.HINT, 9, 9, 9, 9, 7, 1, 2, 3, 4, 5, 6, 7];
+    const nonce = new Uint8Array(NONCE_LENGTH).fill(0xab);
+    nonce.set(header);
+    const memo = legacyMemo(ephemeral, metaViewPub, nonce);
+
+    assert.equal(pivy.decodeMemoEnvelope(bs58.decode(memo)).hint.length, 7);
+    assert.deepEqual(await decrypt(memo), ephemeral.privateKey);
+    await rejectsWith(decrypt(memo, makeReceiver().metaViewPriv), 'wrong-key');
+  });
+});
+
+describe('deriveStealthKeypair', () => {
+  const receiver = makeReceiver();
+
+  async function payment(scheme) {
+    const ephemeral = pivy.generateEphemeralKey();
+    const stealth = await pivy.deriveStealthPub(receiver.metaSpendPubB58, receiver.metaViewPubB58, ephemeral.privateKey, { scheme });
+    return { ephPub: ephemeral.publicKeyB58, stealthAddress: stealth.stealthAptosAddress };
+  }
+
+  it('requires the scheme or the announced stealth address', async () => {
+    const { ephPub } = await payment(STEALTH_SCHEME.LEGACY);
+    await assert.rejects(
+      pivy.deriveStealthKeypair(receiver.metaSpendPriv, receiver.metaViewPriv, ephPub),
+      (error) => error instanceof PivySchemeError && error.reason === 'missing',
+    );
+  });
+
+  it('detects the scheme from the announced stealth address', async () => {
+    for (const scheme of [STEALTH_SCHEME.LEGACY, STEALTH_SCHEME.HKDF_V1]) {
+      const { ephPub, stealthAddress } = await payment(scheme);
+      const stealthKP = await pivy.deriveStealthKeypair(receiver.metaSpendPriv, receiver.metaViewPriv, ephPub, { stealthAddress });
+
+      assert.equal(stealthKP.stealthAddress, stealthAddress);
+      assert.equal(stealthKP.scheme, scheme);
+    }
+  });
+
+  it('rejects an address no scheme derives', async () => {
+    const { ephPub } = await payment(STEALTH_SCHEME.HKDF_V1);
+    const { stealthAddress } = await payment(STEALTH_SCHEME.HKDF_V1);
+    await assert.rejects(
+      pivy.deriveStealthKeypair(receiver.metaSpendPriv, receiver.metaViewPriv, ephPub, { stealthAddress }),
+      (error) => error instanceof PivySchemeError && error.reason === 'no-match',
+    );
+  });
+
+  it('uses an explicit scheme as given', async () => {
+    const { ephPub, stealthAddress } = await payment(STEALTH_SCHEME.LEGACY);
+    const stealthKP = await pivy.deriveStealthKeypair(receiver.metaSpendPriv, receiver.metaViewPriv, ephPub, { scheme: STEALTH_SCHEME.LEGACY });
+    assert.equal(stealthKP.stealthAddress, stealthAddress);
+  });
+});
+
+describe('meta-addresses', () => {
+  const receiver = makeReceiver();
+  const metaAddress = pivy.encodeMetaAddress(receiver.metaSpendPubB58, receiver.metaViewPubB58);
+  const [prefix, , , spend, view, checksum] = metaAddress.split(':');
+
+  const rejectsWith = (value, reason) =>
+    assert.throws(() => pivy.parseMetaAddress(value), (error) => error instanceof PivyMetaAddressError && error.reason === reason);
+
+  it('round-trips the keys and scheme', () => {
+    assert.match(metaAddress, /^st:apt:1:[1-9A-HJ-NP-Za-km-z]+:[1-9A-HJ-NP-Za-km-z]+:[0-9a-f]{8}$/);
+    assert.deepEqual(pivy.parseMetaAddress(metaAddress), {
+      scheme: STEALTH_SCHEME.HKDF_V1,
+      metaSpendPubB58: receiver.metaSpendPubB58,
+      metaViewPubB58: receiver.metaViewPubB58,
+    });
+
+    const ed = makeReceiver({ scheme: STEALTH_SCHEME.ED25519_V1 });
+    const edAddress = pivy.encodeMetaAddress(ed.metaSpendPubB58, ed.metaViewPubB58, { scheme: STEALTH_SCHEME.ED25519_V1 });
+    assert.equal(pivy.parseMetaAddress(edAddress).scheme, STEALTH_SCHEME.ED25519_V1);
+  });
+
+  it('rejects a mistyped checksum or key', () => {
+    const flipped = checksum.replace(/^./, (c) => (c === '0' ? '1' : '0'));
+    rejectsWith([prefix, 'apt', '1', spend, view, flipped].join(':'), 'checksum');
+
+    const other = makeReceiver().metaViewPubB58;
+    rejectsWith([prefix, 'apt', '1', spend, other, checksum].join(':'), 'checksum');
+  });
+
+  it('tells swapped spend and view keys from a bad checksum', () => {
+    rejectsWith([prefix, 'apt', '1', view, spend, checksum].join(':'), 'swapped-keys');
+  });
+
+  it('rejects keys that are not points on the scheme curve', () => {
+    const offCurve = bs58.encode(new Uint8Array([0x02, ...new Uint8Array(32).fill(0xff)]));
+    rejectsWith([prefix, 'apt', '1', offCurve, view, checksum].join(':'), 'invalid-point');
+
+    // Secp256k1 keys under the Ed25519 scheme, and a small-order Ed25519 point
+    rejectsWith([prefix, 'apt', String(STEALTH_SCHEME.ED25519_V1), spend, view, checksum].join(':'), 'invalid-point');
+    const identity = new Uint8Array(32);
+    identity[0] = 1;
+    assert.throws(
+      () => pivy.encodeMetaAddress(identity, identity, { scheme: STEALTH_SCHEME.ED25519_V1 }),
+      (error) => error instanceof PivyMetaAddressError && error.reason === 'invalid-point',
+    );
+  });
+
+  it('rejects malformed strings and unknown schemes', () => {
+    rejectsWith(receiver.metaSpendPubB58, 'malformed');
+    rejectsWith(`st:apt:1:${spend}:${view}`, 'malformed');
+    rejectsWith(`st:apt:1:${spend}:${view}:XYZ`, 'malformed');
+    rejectsWith(`st:apt:1:${spend}0OIl:${view}:${checksum}`, 'malformed');
+    rejectsWith(`st:apt:9:${spend}:${view}:${checksum}`, 'unknown-scheme');
+  });
+});
+
+describe('deriveMetaKeysFromSeed', () => {
+  const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+  const publicKeys = ({ metaSpendPubB58, metaViewPubB58 }) => [metaSpendPubB58, metaViewPubB58];
+
+  it('derives the same keys from the same mnemonic, at the documented paths', () => {
+    const keys = pivy.deriveMetaKeysFromSeed(MNEMONIC);
+    assert.deepEqual(publicKeys(pivy.deriveMetaKeysFromSeed(`  ${MNEMONIC.replaceAll(' ', '   ')}\n`)), publicKeys(keys));
+
+    const root = HDKey.fromMasterSeed(mnemonicToSeedSync(MNEMONIC));
+    assert.deepEqual(keys.metaSpend.privateKey.toUint8Array(), root.derive(META_KEY_PATHS.spend(0)).privateKey);
+    assert.deepEqual(keys.metaView.privateKey.toUint8Array(), root.derive(META_KEY_PATHS.view(0)).privateKey);
+  });
+
+  it('gives independent keys per account index, passphrase and scheme', () => {
+    const all = [
+      pivy.deriveMetaKeysFromSeed(MNEMONIC),
+      pivy.deriveMetaKeysFromSeed(MNEMONIC, { accountIndex: 1 }),
+      pivy.deriveMetaKeysFromSeed(MNEMONIC, { passphrase: 'TREZOR' }),
+      pivy.deriveMetaKeysFromSeed(MNEMONIC, { scheme: STEALTH_SCHEME.ED25519_V1 }),
+    ].flatMap(publicKeys);
+    assert.equal(new Set(all).size, all.length);
+
+    const ed = pivy.deriveMetaKeysFromSeed(MNEMONIC, { scheme: STEALTH_SCHEME.ED25519_V1, accountIndex: 1 });
+    assert.equal(bs58.decode(ed.metaSpendPubB58).length, 32);
+    assert.deepEqual(publicKeys(pivy.deriveMetaKeysFromSeed(MNEMONIC, { scheme: STEALTH_SCHEME.ED25519_V1, accountIndex: 1 })), publicKeys(ed));
+  });
+
+  it('takes a 32-byte seed as bytes or hex', () => {
+    const seed = sha256(new TextEncoder().encode('seed'));
+    const hex = Buffer.from(seed).toString('hex');
+    assert.deepEqual(publicKeys(pivy.deriveMetaKeysFromSeed(hex)), publicKeys(pivy.deriveMetaKeysFromSeed(seed)));
+    assert.throws(() => pivy.deriveMetaKeysFromSeed(seed.slice(0, 31)), /32 bytes/);
+  });
+
+  it('rejects an invalid mnemonic or account index', () => {
+    assert.throws(() => pivy.deriveMetaKeysFromSeed(MNEMONIC.replace(/about$/, 'abandon')), /Invalid BIP39 mnemonic/);
+    for (const accountIndex of [-1, 1.5, 2 ** 31]) {
+      assert.throws(() => pivy.deriveMetaKeysFromSeed(MNEMONIC, { accountIndex }), /Account index/);
+    }
+  });
+});
+
+describe('deriveMetaKeysFromSigner', () => {
+  const wallet = Account.generate();
+  const publicKeys = ({ metaSpendPubB58, metaViewPubB58 }) => [metaSpendPubB58, metaViewPubB58];
+
+  /** Wallet-standard `signMessage` backed by an SDK account */
+  const walletSigner = (account, format = (signature) => signature) => ({
+    async signMessage({ message, nonce }) {
+      const fullMessage = `APTOS\nmessage: ${message}\nnonce: ${nonce}`;
+      return { fullMessage, signature: format(account.sign(new TextEncoder().encode(fullMessage))) };
+    },
+  });
+
+  it('recovers the same keys from the same wallet', async () => {
+    const keys = await pivy.deriveMetaKeysFromSigner(wallet);
+    assert.deepEqual(publicKeys(await pivy.deriveMetaKeysFromSigner(wallet)), publicKeys(keys));
+    assert.notDeepEqual(publicKeys(await pivy.deriveMetaKeysFromSigner(Account.generate())), publicKeys(keys));
+  });
+
+  it('gives a wallet and its SDK account identical keys, whatever the signature format', async () => {
+    const keys = publicKeys(await pivy.deriveMetaKeysFromSigner(wallet));
+    for (const format of [(s) => s, (s) => s.toUint8Array(), (s) => s.toString()]) {
+      assert.deepEqual(publicKeys(await pivy.deriveMetaKeysFromSigner(walletSigner(wallet, format))), keys);
+    }
+  });
+
+  it('signs the fixed message and nonce', async () => {
+    const seen = [];
+    await pivy.deriveMetaKeysFromSigner({
+      signMessage: async (request) => {
+        seen.push(request);
+        return new Uint8Array(64);
+      },
+    });
+    assert.deepEqual(seen, [{ message: META_KEY_SIGN_MESSAGE, nonce: META_KEY_SIGN_NONCE }]);
+  });
+
+  it('passes the account index and scheme through', async () => {
+    const keys = await pivy.deriveMetaKeysFromSigner(wallet);
+    const second = await pivy.deriveMetaKeysFromSigner(wallet, { accountIndex: 1 });
+    const ed = await pivy.deriveMetaKeysFromSigner(wallet, { scheme: STEALTH_SCHEME.ED25519_V1 });
+    assert.notEqual(second.metaSpendPubB58, keys.metaSpendPubB58);
+    assert.equal(bs58.decode(ed.metaSpendPubB58).length, 32);
+  });
+
+  it('rejects signers that cannot sign or return a bad signature', async () => {
+    await assert.rejects(pivy.deriveMetaKeysFromSigner({}), /signMessage\(\) or sign\(\)/);
+    await assert.rejects(pivy.deriveMetaKeysFromSigner({ signMessage: async () => new Uint8Array(63) }), /64-byte/);
+    await assert.rejects(pivy.deriveMetaKeysFromSigner({ signMessage: async () => ({ signature: 42 }) }), /Unsupported signature/);
+  });
+});
+
+describe('Ed25519 scheme', () => {
+  const scheme = STEALTH_SCHEME.ED25519_V1;
+  const receiver = makeReceiver({ scheme });
+
+  async function payment() {
+    const ephemeral = pivy.generateEphemeralKey({ scheme });
+    const stealth = await pivy.deriveStealthPub(receiver.metaSpendPubB58, receiver.metaViewPubB58, ephemeral.privateKey, { scheme });
+    const stealthKP = await pivy.deriveStealthKeypair(receiver.metaSpendPriv, receiver.metaViewPriv, ephemeral.publicKeyB58, { scheme });
+    return { ephemeral, stealth, stealthKP };
+  }
+
+  it('gives payer and receiver the same Ed25519 stealth address', async () => {
+    const { ephemeral, stealth, stealthKP } = await payment();
+    assert.equal(bs58.decode(ephemeral.publicKeyB58).length, 32);
+    assert.equal(stealth.scheme, scheme);
+    assert.ok(pivy.validateStealthMatch(stealth.stealthAptosAddress, stealthKP.stealthAddress));
+
+    const publicKey = new Ed25519PublicKey(stealth.stealthPubKeyBytes);
+    assert.equal(publicKey.authKey().derivedAddress().toString(), stealth.stealthAptosAddress);
+    assert.equal(stealthKP.account.accountAddress.toString(), stealth.stealthAptosAddress);
+  });
+
+  it('signs with the stealth key so that standard Ed25519 verification passes', async () => {
+    const { stealth, stealthKP } = await payment();
+    const message = new TextEncoder().encode('withdraw');
+    const signature = stealthKP.account.sign(message);
+
+    assert.ok(stealthKP.account.publicKey.verifySignature({ message, signature }));
+    assert.ok(ed25519.verify(signature.toUint8Array(), message, stealth.stealthPubKeyBytes));
+    assert.deepEqual(stealthKP.account.sign(message).toUint8Array(), signature.toUint8Array());
+    assert.ok(!ed25519.verify(signature.toUint8Array(), new TextEncoder().encode('withdraw all'), stealth.stealthPubKeyBytes));
+  });
+
+  it('derives a fresh address for every payment', async () => {
+    const first = await payment();
+    const second = await payment();
+    assert.notEqual(first.stealth.stealthAptosAddress, second.stealth.stealthAptosAddress);
+  });
+
+  it('rejects secp256k1 meta keys', async () => {
+    const secpReceiver = makeReceiver();
+    const ephemeral = pivy.generateEphemeralKey({ scheme });
+    await assert.rejects(pivy.deriveStealthPub(secpReceiver.metaSpendPubB58, secpReceiver.metaViewPubB58, ephemeral.privateKey, { scheme }));
+  });
+});
+
+describe('deriveStealthPubFromViewKey', () => {
+  const schemes = [STEALTH_SCHEME.LEGACY, STEALTH_SCHEME.HKDF_V1, STEALTH_SCHEME.ED25519_V1];
+
+  async function payment(receiver, scheme) {
+    const ephemeral = pivy.generateEphemeralKey({ scheme });
+    const stealth = await pivy.deriveStealthPub(receiver.metaSpendPubB58, receiver.metaViewPubB58, ephemeral.privateKey, { scheme });
+    return { ephPub: ephemeral.publicKeyB58, stealth };
+  }
+
+  it('matches the payer and spender derivations without the spend private key', async () => {
+    for (const scheme of schemes) {
+      const receiver = makeReceiver({ scheme });
+      const { ephPub, stealth } = await payment(receiver, scheme);
+
+      const watched = await pivy.deriveStealthPubFromViewKey(receiver.metaViewPriv, receiver.metaSpendPubB58, ephPub, { scheme });
+      assert.equal(watched.stealthAptosAddress, stealth.stealthAptosAddress);
+      assert.equal(watched.stealthPubKeyB58, stealth.stealthPubKeyB58);
+      assert.equal(watched.viewTag, stealth.viewTag);
+
+      const stealthKP = await pivy.deriveStealthKeypair(receiver.metaSpendPriv, receiver.metaViewPriv, ephPub, { scheme });
+      assert.equal(stealthKP.stealthAddress, watched.stealthAptosAddress);
+    }
+  });
+
+  it('detects the scheme from the announced stealth address', async () => {
+    const receiver = makeReceiver();
+    for (const scheme of [STEALTH_SCHEME.LEGACY, STEALTH_SCHEME.HKDF_V1]) {
+      const { ephPub, stealth } = await payment(receiver, scheme);
+      const watched = await pivy.deriveStealthPubFromViewKey(receiver.metaViewPriv, receiver.metaSpendPubB58, ephPub, {
+        stealthAddress: stealth.stealthAptosAddress,
+      });
+      assert.equal(watched.scheme, scheme);
+    }
+  });
+
+  it('does not derive the address with another view key', async () => {
+    const receiver = makeReceiver();
+    const { ephPub, stealth } = await payment(receiver, STEALTH_SCHEME.HKDF_V1);
+    const watched = await pivy.deriveStealthPubFromViewKey(makeReceiver().metaViewPriv, receiver.metaSpendPubB58, ephPub, {
+      scheme: STEALTH_SCHEME.HKDF_V1,
+    });
+    assert.notEqual(watched.stealthAptosAddress, stealth.stealthAptosAddress);
+
+    await assert.rejects(
+      pivy.deriveStealthPubFromViewKey(makeReceiver().metaViewPriv, receiver.metaSpendPubB58, ephPub, {
+        stealthAddress: stealth.stealthAptosAddress,
+      }),
+      (error) => error instanceof PivySchemeError && error.reason === 'no-match',
+    );
+  });
+
+  it('requires the scheme or the announced stealth address', async () => {
+    const receiver = makeReceiver();
+    const { ephPub } = await payment(receiver, STEALTH_SCHEME.HKDF_V1);
+    await assert.rejects(
+      pivy.deriveStealthPubFromViewKey(receiver.metaViewPriv, receiver.metaSpendPubB58, ephPub),
+      (error) => error instanceof PivySchemeError && error.reason === 'missing',
+    );
+  });
+});
@@ -0,0 +1,391 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { Account } from '@aptos-labs/ts-sdk';
+
+import { DEFAULT_GAS_RESERVE, PIVYUniversalClient } from '../pivyUniversalClient.js';
+import { PivyAmountError, PivyAssetTypeError, PivyInsufficientGasError } from '../pivyErrors.js';
+import { normalizeAddress, normalizeAnnouncement } from '../pivyAnnouncementSources.js';
+import { APTOS_FA_METADATA, normalizeCoinType } from '../pivyPortfolio.js';
+import { PivyAnnouncementMatcher } from '../pivyAnnouncementMatcher.js';
+import PivyStealthAptos, { STEALTH_SCHEME } from '../pivyStealthHelpersAptos.js';
+import { APT, CONFIG, FakeAptos, makeReceiver, pivy } from './helpers.js';
+
+const client = new PIVYUniversalClient(null, CONFIG);
+
+const USDC = '0x69091fbab5f7d635ee7ac5098cf0c1efbe31d68fec0f2cd565e8d168daf52832';
+
+describe('toBaseUnits', () => {
+  const usdcClient = new PIVYUniversalClient(null, CONFIG);
+  usdcClient.getAssetMetadata = async () => ({ symbol: 'USDC', decimals: 6 });
+
+  it('takes bigints, numbers and digit-only strings as base units', async () => {
+    assert.equal(await usdcClient.toBaseUnits(USDC, '1000000'), 1_000_000n);
+    assert.equal(await usdcClient.toBaseUnits(USDC, 1_000_000n), 1_000_000n);
+    assert.equal(await usdcClient.toBaseUnits(USDC, 1_000_000), 1_000_000n);
+  });
+
+  it('scales a decimal string by the asset decimals', async () => {
+    assert.equal(await usdcClient.toBaseUnits(USDC, '1.5'), 1_500_000n);
+    assert.equal(await usdcClient.toBaseUnits(USDC, '0.000001'), 1n);
+    await assert.rejects(
+      usdcClient.toBaseUnits(USDC, '1.0000001'),
+      (error) => error instanceof PivyAmountError && error.reason === 'too-precise',
+    );
+  });
+
+  it('scales a wrapped display amount by the asset decimals', async () => {
+    assert.equal(await usdcClient.toBaseUnits(USDC, { displayAmount: '2' }), 2_000_000n);
+    assert.equal(await usdcClient.toBaseUnits(USDC, { displayAmount: '1.5' }), 1_500_000n);
+  });
+});
+
+describe('resolveAssetType', () => {
+  const USDC_COIN = '0xbeef::usdc::USDC';
+
+  function setup() {
+    const aptos = new FakeAptos();
+    aptos.defineCoin(normalizeCoinType(USDC_COIN), { name: 'USD Coin', symbol: 'USDC', decimals: 6 });
+    aptos.defineFa(USDC, { name: 'USD Coin', symbol: 'USDC', decimals: 6 });
+    aptos.pair(normalizeCoinType(USDC_COIN), USDC);
+    return { aptos, client: new PIVYUniversalClient(aptos, CONFIG) };
+  }
+
+  const rejectsWith = (promise, reason) =>
+    assert.rejects(promise, (error) => error instanceof PivyAssetTypeError && error.reason === reason);
+
+  it('resolves a coin type with its paired FA, in any address form', async () => {
+    const { client } = setup();
+    const padded = USDC_COIN.replace('0xbeef', normalizeAddress('0xbeef'));
+    for (const coinType of [USDC_COIN, padded]) {
+      assert.deepEqual(await client.resolveAssetType(coinType), {
+        assetType: normalizeCoinType(USDC_COIN),
+        isFungibleAsset: false,
+        coinType: normalizeCoinType(USDC_COIN),
+        faMetadata: normalizeAddress(USDC),
+      });
+    }
+  });
+
+  it('resolves an FA address with its paired coin', async () => {
+    const { client } = setup();
+    assert.deepEqual(await client.resolveAssetType(` ${USDC} `), {
+      assetType: normalizeAddress(USDC),
+      isFungibleAsset: true,
+      coinType: normalizeCoinType(USDC_COIN),
+      faMetadata: normalizeAddress(USDC),
+    });
+  });
+
+  it('resolves both forms of APT', async () => {
+    const { client } = setup();
+    const coin = await client.resolveAssetType(APT);
+    const fa = await client.resolveAssetType('0xa');
+    assert.equal(coin.faMetadata, APTOS_FA_METADATA);
+    assert.equal(fa.coinType, APT);
+  });
+
+  it('leaves an unpaired asset without its other form', async () => {
+    const { aptos, client } = setup();
+    const other = normalizeAddress('0xfa');
+    aptos.defineFa(other, { name: 'Other', symbol: 'OTH', decimals: 8 });
+    assert.equal((await client.resolveAssetType(other)).coinType, null);
+  });
+
+  it('rejects malformed asset types', async () => {
+    const { client } = setup();
+    for (const assetType of ['USDC', '0xbeef::usdc', 'beef::usdc::USDC', '0xzz', '']) {
+      await rejectsWith(client.resolveAssetType(assetType), 'malformed');
+    }
+  });
+
+  it('rejects asset types missing on chain, and caches only successes', async () => {
+    const { aptos, client } = setup();
+    await rejectsWith(client.resolveAssetType('0xfa'), 'not-found');
+    await rejectsWith(client.resolveAssetType('0xbeef::usdc::EURC'), 'not-found');
+
+    aptos.defineFa('0xfa', { name: 'Late', symbol: 'LATE', decimals: 8 });
+    assert.equal((await client.resolveAssetType('0xfa')).assetType, normalizeAddress('0xfa'));
+  });
+});
+
+describe('sendToMetaAddress', () => {
+  function setup() {
+    const aptos = new FakeAptos();
+    aptos.defineFa(USDC, { name: 'USD Coin', symbol: 'USDC', decimals: 6 });
+    const payer = Account.generate();
+    aptos.fundCoin(payer.accountAddress, APT, 100_000_000n);
+    aptos.fundFa(payer.accountAddress, USDC, 10_000_000n);
+    return { aptos, client: new PIVYUniversalClient(aptos, CONFIG), payer };
+  }
+
+  /** The receiver's view of the last payment announced */
+  function receive(aptos, receiver) {
+    const event = aptos.events.findLast((e) => e.type.includes('::PaymentEvent'));
+    const matcher = new PivyAnnouncementMatcher({ metaViewPriv: receiver.metaViewPriv, metaSpendPub: receiver.metaSpendPub });
+    return matcher.matchAnnouncement(normalizeAnnouncement(event, CONFIG));
+  }
+
+  it('pays a meta-address so that only the receiver finds the payment', async () => {
+    const { aptos, client, payer } = setup();
+    const receiver = makeReceiver();
+    const metaAddress = pivy.encodeMetaAddress(receiver.metaSpendPubB58, receiver.metaViewPubB58);
+
+    const result = await client.sendToMetaAddress({ signer: payer, metaAddress, assetType: APT, amount: 1_000n, note: 'thanks', label: 'invoice' });
+
+    assert.deepEqual(Object.keys(result).sort(), ['ephPubB58', 'scheme', 'stealthAddress', 'txHash', 'viewTag']);
+    assert.equal(result.scheme, STEALTH_SCHEME.HKDF_V1);
+    assert.equal(aptos.aptBalance(result.stealthAddress), 1_000n);
+
+    const payment = await receive(aptos, receiver);
+    assert.equal(payment.stealthAddress, result.stealthAddress);
+    assert.equal(payment.ephPubB58, result.ephPubB58);
+    assert.equal(payment.note, 'thanks');
+    assert.equal(payment.label.replace(/\0+$/, ''), 'invoice');
+    assert.equal(await receive(aptos, makeReceiver()), null);
+  });
+
+  it('pays an FA to raw Ed25519 keys, inferring the scheme', async () => {
+    const { aptos, client, payer } = setup();
+    const receiver = makeReceiver({ scheme: STEALTH_SCHEME.ED25519_V1 });
+
+    const result = await client.sendToMetaAddress({
+      signer: payer,
+      metaSpendPub: receiver.metaSpendPubB58,
+      metaViewPub: receiver.metaViewPubB58,
+      assetType: USDC,
+      amount: '1.5',
+    });
+
+    assert.equal(result.scheme, STEALTH_SCHEME.ED25519_V1);
+    const stealthKP = await pivy.deriveStealthKeypair(receiver.metaSpendPriv, receiver.metaViewPriv, result.ephPubB58, { scheme: result.scheme });
+    assert.equal(stealthKP.stealthAddress, result.stealthAddress);
+    assert.equal((await receive(aptos, receiver)).amount, 1_500_000n);
+  });
+
+  it('zeroes the ephemeral private key, even when the payment fails', async () => {
+    const { client, payer } = setup();
+    const receiver = makeReceiver();
+    const generate = PivyStealthAptos.prototype.generateEphemeralKey;
+    const keys = [];
+    PivyStealthAptos.prototype.generateEphemeralKey = function (options) {
+      const ephemeral = generate.call(this, options);
+      keys.push(ephemeral.privateKey);
+      return ephemeral;
+    };
+
+    try {
+      const params = { signer: payer, metaSpendPub: receiver.metaSpendPubB58, metaViewPub: receiver.metaViewPubB58, assetType: APT };
+      await client.sendToMetaAddress({ ...params, amount: 1n });
+      await assert.rejects(client.sendToMetaAddress({ ...params, amount: 10n ** 12n }));
+    } finally {
+      PivyStealthAptos.prototype.generateEphemeralKey = generate;
+    }
+
+    assert.equal(keys.length, 2);
+    for (const key of keys) assert.ok(key.every((byte) => byte === 0));
+  });
+});
+
+describe('withdraw sponsorship', () => {
+  /** A stealth account holding `apt` octas and 5 USDC, and a funded sponsor */
+  function setup({ apt = 0n } = {}) {
+    const aptos = new FakeAptos();
+    aptos.defineFa(USDC, { name: 'USD Coin', symbol: 'USDC', decimals: 6 });
+    const signer = Account.generate();
+    const sponsor = Account.generate();
+    if (apt) aptos.fundCoin(signer.accountAddress, APT, apt);
+    aptos.fundFa(signer.accountAddress, USDC, 5_000_000n);
+    aptos.fundCoin(sponsor.accountAddress, APT, 100_000_000n);
+    const destination = Account.generate().accountAddress.toString();
+    return { aptos, client: new PIVYUniversalClient(aptos, CONFIG), signer, sponsor, destination };
+  }
+
+  it('needs a sponsor when the APT held is below the gas reserve', async () => {
+    const { client, signer } = setup({ apt: DEFAULT_GAS_RESERVE - 1n });
+    assert.equal(await client.needsSponsor({ signer, assetType: USDC, amount: 1n }), true);
+    assert.equal(await client.needsSponsor({ signer, assetType: USDC, amount: 1n, gasReserve: 1_000n }), false);
+  });
+
+  it('counts the amount when withdrawing APT itself, in either form', async () => {
+    const { client, signer } = setup({ apt: DEFAULT_GAS_RESERVE + 500n });
+    for (const assetType of [APT, '0xa']) {
+      assert.equal(await client.needsSponsor({ signer, assetType, amount: 500n }), false);
+      assert.equal(await client.needsSponsor({ signer, assetType, amount: 501n }), true);
+    }
+    assert.equal(await client.needsSponsor({ signer, assetType: USDC, amount: 10n ** 9n }), false);
+  });
+
+  it('sponsors a withdrawal from an address without APT', async () => {
+    const { aptos, client, signer, sponsor, destination } = setup();
+
+    await client.withdraw({ signer, assetType: USDC, amount: '1.5', destination, feePayer: sponsor });
+
+    assert.equal(aptos.state.stores.get(normalizeAddress(destination)).get(normalizeAddress(USDC)), 1_500_000n);
+    assert.equal(aptos.aptBalance(sponsor.accountAddress), 100_000_000n - 1_000n);
+  });
+
+  it('lets an address with enough APT pay its own gas', async () => {
+    const { aptos, client, signer, sponsor, destination } = setup({ apt: DEFAULT_GAS_RESERVE });
+
+    await client.withdraw({ signer, assetType: USDC, amount: 1n, destination, feePayer: sponsor });
+
+    assert.equal(aptos.aptBalance(sponsor.accountAddress), 100_000_000n);
+    assert.equal(aptos.aptBalance(signer.accountAddress), DEFAULT_GAS_RESERVE - 1_000n);
+  });
+
+  it('asks a remote sponsor to sign only when needed', async () => {
+    const { aptos, client, signer, sponsor, destination } = setup();
+    const requests = [];
+    const remote = async (transaction) => {
+      requests.push(transaction);
+      const authenticator = aptos.transaction.signAsFeePayer({ signer: sponsor, transaction });
+      return { feePayerAddress: sponsor.accountAddress.toString(), authenticator };
+    };
+
+    await client.withdraw({ signer, assetType: USDC, amount: 1n, destination, feePayer: remote });
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].withFeePayer, true);
+    assert.equal(aptos.aptBalance(sponsor.accountAddress), 100_000_000n - 1_000n);
+  });
+
+  it('fails with a typed gas error when no sponsor is given', async () => {
+    const { client, signer, destination } = setup();
+    await assert.rejects(
+      client.withdraw({ signer, assetType: USDC, amount: 1n, destination }),
+      PivyInsufficientGasError,
+    );
+  });
+});
+
+describe('withViewTag', () => {
+  it('encodes a text payload as UTF-8 bytes without a view tag', () => {
+    const payload = client.withViewTag('héllo');
+    assert.ok(payload instanceof Uint8Array);
+    assert.deepEqual(payload, new TextEncoder().encode('héllo'));
+  });
+
+  it('returns byte payloads as a Uint8Array', () => {
+    assert.deepEqual(client.withViewTag([1, 2, 3]), new Uint8Array([1, 2, 3]));
+    assert.deepEqual(client.withViewTag(new Uint8Array([4]), null), new Uint8Array([4]));
+  });
+
+  it('prepends the view tag when given', () => {
+    assert.deepEqual(client.withViewTag('hi', 7), pivy.encodeAnnouncementPayload('hi', 7));
+  });
+});
+
+describe('sweep', () => {
+  const USDC_INFO = { name: 'USD Coin', symbol: 'USDC', decimals: 6 };
+
+  /** A stealth account holding `apt` octas and `usdc` base units of an FA-only USDC */
+  function setup({ apt = 0n, usdc = 0n, gasUsed } = {}) {
+    const aptos = new FakeAptos({ gasUsed });
+    aptos.defineFa(USDC, USDC_INFO);
+    const stealthAccount = Account.generate();
+    const destination = normalizeAddress(Account.generate().accountAddress.toString());
+    if (apt) aptos.fundCoin(stealthAccount.accountAddress, APT, apt);
+    if (usdc) aptos.fundFa(stealthAccount.accountAddress, USDC, usdc);
+    return { aptos, client: new PIVYUniversalClient(aptos, CONFIG), stealthAccount, destination };
+  }
+
+  const withdrawals = (aptos) => aptos.transactions.filter((t) => t.payload.function.endsWith('::withdraw'));
+
+  it('empties a self-paying stealth address to exactly zero APT', async () => {
+    const { aptos, client, stealthAccount, destination } = setup({ apt: 100_000_000n, usdc: 5_000_000n });
+
+    const result = await client.sweep({ stealthAccount, destination });
+
+    assert.equal(result.sponsored, false);
+    assert.equal(result.remainingApt, 0n);
+    assert.equal(aptos.aptBalance(stealthAccount.accountAddress), 0n);
+    assert.equal(aptos.state.stores.get(destination).get(normalizeAddress(USDC)), 5_000_000n);
+    // Two withdrawals at 10 gas x 100 octas each
+    assert.equal(aptos.aptBalance(destination), 100_000_000n - 2_000n);
+
+    const [usdc, apt] = result.assets;
+    assert.deepEqual(
+      { ...usdc, hash: typeof usdc.hash },
+      { assetType: normalizeAddress(USDC), symbol: 'USDC', decimals: 6, function: 'withdraw_fa', amount: 5_000_000n, hash: 'string', success: true, error: null },
+    );
+    assert.equal(apt.function, `withdraw<${APT}>`);
+    assert.equal(apt.amount, 100_000_000n - 2_000n);
+    assert.equal(apt.gasFee, 1_000n);
+    assert.equal(apt.success, true);
+  });
+
+  it('re-prices the APT withdrawal when its gas depends on the amount', async () => {
+    // A 1-octa probe costs 10 gas; the real withdrawal costs 12
+    const gasUsed = (transaction) => (transaction.data.functionArguments[0] === 1n ? 10n : 12n);
+    const { aptos, client, stealthAccount, destination } = setup({ apt: 1_000_000n, gasUsed });
+
+    const { assets, remainingApt } = await client.sweep({ stealthAccount, destination });
+
+    assert.equal(remainingApt, 0n);
+    assert.equal(assets[0].gasFee, 1_200n);
+    assert.equal(withdrawals(aptos).length, 1);
+  });
+
+  it('retries an APT withdrawal that runs out of gas', async () => {
+    // Simulation says 10 gas, but the first submission needs 15
+    let submissions = 0;
+    const gasUsed = (transaction, { simulated }) => (!simulated && submissions++ === 0 ? 15n : 10n);
+    const { aptos, client, stealthAccount, destination } = setup({ apt: 1_000_000n, gasUsed });
+
+    const { assets, remainingApt } = await client.sweep({ stealthAccount, destination });
+
+    assert.equal(remainingApt, 0n);
+    assert.deepEqual(withdrawals(aptos).map((t) => t.vm_status), ['Out of gas', 'Executed successfully']);
+    assert.equal(assets[0].success, true);
+    assert.equal(aptos.aptBalance(destination), 1_000_000n - 2_000n);
+  });
+
+  it('sponsors every withdrawal when the stealth address lacks gas', async () => {
+    const { aptos, client, stealthAccount, destination } = setup({ apt: 500n, usdc: 5_000_000n });
+    const feePayer = Account.generate();
+    aptos.fundCoin(feePayer.accountAddress, APT, 10_000_000n);
+
+    const result = await client.sweep({ stealthAccount, destination, feePayer });
+
+    assert.equal(result.sponsored, true);
+    assert.equal(result.remainingApt, 0n);
+    assert.deepEqual(result.assets.map((a) => [a.symbol, a.amount, a.success]), [['USDC', 5_000_000n, true], ['APT', 500n, true]]);
+    assert.equal(result.assets[1].gasFee, undefined);
+    assert.equal(aptos.aptBalance(destination), 500n);
+    assert.equal(aptos.aptBalance(feePayer.accountAddress), 10_000_000n - 2_000n);
+  });
+
+  it('reports a failed withdrawal in its outcome and goes on', async () => {
+    const gasUsed = (transaction) => (transaction.data.function.endsWith('::withdraw_fa') ? 300_000n : 10n);
+    const { aptos, client, stealthAccount, destination } = setup({ apt: 100_000_000n, usdc: 5_000_000n, gasUsed });
+
+    const { assets, remainingApt } = await client.sweep({ stealthAccount, destination });
+
+    assert.equal(assets[0].success, false);
+    assert.match(assets[0].error, /not enough APT for gas/);
+    assert.equal(aptos.state.stores.get(normalizeAddress(stealthAccount.accountAddress.toString())).get(normalizeAddress(USDC)), 5_000_000n);
+    assert.equal(assets[1].success, true);
+    assert.equal(remainingApt, 0n);
+  });
+
+  it('withdraws one asset in full with sweepAsset', async () => {
+    const { aptos, client, stealthAccount, destination } = setup({ apt: 1_000_000n });
+    const asset = { assetType: APT, coinType: APT, symbol: 'APT', decimals: 8, balance: 400_000n };
+
+    const outcome = await client.sweepAsset({ stealthAccount, destination, asset });
+
+    assert.equal(outcome.function, `withdraw<${APT}>`);
+    assert.equal(outcome.amount, 400_000n);
+    assert.equal(outcome.success, true);
+    assert.equal(aptos.aptBalance(destination), 400_000n);
+  });
+
+  it('reports an APT balance too small for its own gas with sweepApt', async () => {
+    const { client, stealthAccount, destination } = setup({ apt: 500n });
+
+    const outcome = await client.sweepApt({ stealthAccount, destination, asset: { assetType: APT, coinType: APT } });
+
+    assert.equal(outcome.success, false);
+    assert.match(outcome.error, /not enough APT for gas/);
+  });
+});
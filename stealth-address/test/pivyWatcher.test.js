@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { describe, it } from 'node:test';
+
+import { PivyScanner } from '../pivyScanner.js';
+import { PivyScanIndex } from '../pivyScanIndex.js';
+import { MemoryAnnouncementSource } from '../pivyAnnouncementSources.js';
+import { CONFIG, makeReceiver, paymentEvent } from './helpers.js';
+
+const WATCH = { pollInterval: 10, maxBackoff: 20, kinds: ['coin'] };
+
+function scannerFor(receiver, source) {
+  return new PivyScanner(null, CONFIG, {
+    metaViewPriv: receiver.metaViewPriv,
+    metaSpendPub: receiver.metaSpendPub,
+    source,
+  });
+}
+
+/** Resolves once `predicate()` holds, polling every few ms */
+async function until(predicate, timeout = 5_000) {
+  const deadline = Date.now() + timeout;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the watcher');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+async function paymentEvents(receiver, versions) {
+  const events = [];
+  for (const version of versions) events.push((await paymentEvent(receiver, { version })).event);
+  return events;
+}
+
+describe('PivyPaymentWatcher', () => {
+  it('emits each new payment once as it arrives', async () => {
+    const receiver = makeReceiver();
+    const source = new MemoryAnnouncementSource(CONFIG, await paymentEvents(receiver, [1]));
+    const watcher = scannerFor(receiver, source).watch(WATCH);
+    const seen = [];
+    watcher.on('payment', (payment) => seen.push(payment.transactionVersion));
+
+    await until(() => seen.length === 1);
+    source.push(...await paymentEvents(receiver, [2, 3]));
+    await until(() => seen.length === 3);
+    await once(watcher, 'poll');
+    await watcher.stop();
+
+    assert.deepEqual(seen, [1n, 2n, 3n]);
+  });
+
+  it('re-emits the rest of a page after a listener throws', async () => {
+    const receiver = makeReceiver();
+    const source = new MemoryAnnouncementSource(CONFIG, await paymentEvents(receiver, [1, 2, 3]));
+    const watcher = scannerFor(receiver, source).watch(WATCH);
+    const delivered = [];
+    const errors = [];
+    let failed = false;
+    watcher.on('error', (error) => errors.push(error));
+    watcher.on('payment', (payment) => {
+      if (payment.transactionVersion === 2n && !failed) {
+        failed = true;
+        throw new Error('listener failed');
+      }
+      delivered.push(payment.transactionVersion);
+    });
+
+    await until(() => delivered.length === 3);
+    await once(watcher, 'poll');
+    await watcher.stop();
+
+    assert.deepEqual(delivered, [1n, 2n, 3n]);
+    assert.equal(errors[0].message, 'listener failed');
+  });
+
+  it('records a page in the index only once it is delivered', async () => {
+    const receiver = makeReceiver();
+    const source = new MemoryAnnouncementSource(CONFIG, await paymentEvents(receiver, [1, 2]));
+    const scanner = scannerFor(receiver, source);
+    const index = new PivyScanIndex();
+    const watcher = scanner.watch({ ...WATCH, index });
+    const delivered = [];
+    let cursorAtFailure;
+    watcher.on('error', () => {});
+    watcher.on('payment', (payment) => {
+      if (payment.transactionVersion === 2n && cursorAtFailure === undefined) {
+        cursorAtFailure = watcher.cursor.coin;
+        throw new Error('listener failed');
+      }
+      delivered.push(payment.transactionVersion);
+    });
+
+    await until(() => delivered.length === 2);
+    await once(watcher, 'poll');
+    await watcher.stop();
+
+    assert.equal(cursorAtFailure, 0n);
+    assert.equal(await index.getCheckpoint(scanner.getEventType('coin')), 2n);
+    assert.deepEqual(delivered, [1n, 2n]);
+    assert.equal((await index.getPayments()).length, 2);
+  });
+
+  it('reports poll failures as a process warning without an error listener', async () => {
+    const receiver = makeReceiver();
+    const source = {
+      fetchAnnouncements: async () => {
+        throw new Error('RPC down');
+      },
+    };
+    const watcher = scannerFor(receiver, source).watch(WATCH);
+
+    const [warning] = await once(process, 'warning');
+    await watcher.stop();
+
+    assert.equal(warning.name, 'PivyWatcherWarning');
+    assert.match(warning.message, /RPC down/);
+  });
+});